@@ -51,6 +51,14 @@ const config = {
     minPlayersPerGame: parseInt(process.env.MIN_PLAYERS_PER_GAME) || 2,
     gameTimeoutMs: parseInt(process.env.GAME_TIMEOUT_MS) || 5 * 60 * 1000, // 5 minutes
     turnTimeoutMs: parseInt(process.env.TURN_TIMEOUT_MS) || 30 * 1000, // 30 seconds
+    turnTimerTickMs: parseInt(process.env.TURN_TIMER_TICK_MS) || 5 * 1000, // 5 seconds
+    turnTimeoutAction: process.env.TURN_TIMEOUT_ACTION || "auto", // auto (roll/move) or skip
+    maxTurnTimeouts: parseInt(process.env.MAX_TURN_TIMEOUTS) || 3, // Forfeit after this many
+    diceSource: process.env.DICE_SOURCE || "seeded", // seeded (commit-reveal) or crypto
+    diceSeed: process.env.DICE_SEED || null, // Fixed seed for reproducible games (testing only)
+    botMoveDelayMs: parseInt(process.env.BOT_MOVE_DELAY_MS) || 1000, // Pause before a bot acts
+    undoRequestTimeoutMs:
+      parseInt(process.env.UNDO_REQUEST_TIMEOUT_MS) || 15 * 1000, // Undo vote is rejected after this
     reconnectTimeoutMs: parseInt(process.env.RECONNECT_TIMEOUT_MS) || 60 * 1000, // 1 minute
   },
 
@@ -1,5 +1,8 @@
 const Game = require("../models/Game");
 const User = require("../models/User");
+const { SEEDED_ALGORITHM, verifyRolls } = require("../game/dice");
+const { getBoardGeometry } = require("../game/board");
+const { projectPlayer } = require("../game/projection");
 
 // Create a new game
 const createGame = async (req, res) => {
@@ -39,7 +42,7 @@ const createGame = async (req, res) => {
 // Join an existing game
 const joinGame = async (req, res) => {
   try {
-    const { gameId } = req.body;
+    const { gameId, team = null } = req.body;
     const userId = req.userId;
 
     // Find the game
@@ -76,8 +79,8 @@ const joinGame = async (req, res) => {
       });
     }
 
-    // Add player to game
-    await game.addPlayer(userId);
+    // Add player to game (team choice only applies to team games)
+    await game.addPlayer(userId, { team: game.isTeamMode() ? team : null });
 
     // Get updated game with players
     const updatedGame = await Game.findById(gameId);
@@ -98,7 +101,8 @@ const joinGame = async (req, res) => {
 
     if (
       error.message === "Game is full" ||
-      error.message === "Player already in game"
+      error.message === "Player already in game" ||
+      error.message === "No available slots on that team"
     ) {
       return res.status(400).json({
         success: false,
@@ -113,6 +117,81 @@ const joinGame = async (req, res) => {
   }
 };
 
+// Fill a seat with a computer opponent
+const addBot = async (req, res) => {
+  try {
+    const { id: gameId } = req.params;
+    const { difficulty, team = null } = req.body;
+    const userId = req.userId;
+
+    // Find the game
+    const game = await Game.findById(gameId);
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        message: "Game not found",
+      });
+    }
+
+    // Only players in the lobby may add bots
+    const player = await game.getPlayer(userId);
+    if (!player) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not in this game",
+      });
+    }
+
+    if (game.status !== "waiting") {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot add bots to a game that is not waiting for players",
+      });
+    }
+
+    if (game.isFull()) {
+      return res.status(400).json({
+        success: false,
+        message: "Game is full",
+      });
+    }
+
+    await game.addBot(difficulty, { team: game.isTeamMode() ? team : null });
+
+    // Get updated game with players
+    const updatedGame = await Game.findById(gameId);
+    const players = await updatedGame.getPlayers();
+
+    res.status(201).json({
+      success: true,
+      message: "Bot added successfully",
+      data: {
+        game: {
+          ...updatedGame.toJSON(),
+          players,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Add bot error:", error);
+
+    if (
+      error.message === "Game is full" ||
+      error.message === "No available slots on that team"
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to add bot",
+    });
+  }
+};
+
 // Leave a game
 const leaveGame = async (req, res) => {
   try {
@@ -164,6 +243,66 @@ const leaveGame = async (req, res) => {
   }
 };
 
+// Resign from a game in progress (recorded as a forfeit)
+const resignGame = async (req, res) => {
+  try {
+    const { id: gameId } = req.params;
+    const userId = req.userId;
+
+    const game = await Game.findById(gameId);
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        message: "Game not found",
+      });
+    }
+
+    if (game.status !== "playing") {
+      return res.status(400).json({
+        success: false,
+        message: "Game is not in progress",
+      });
+    }
+
+    const player = await game.getPlayer(userId);
+    if (!player) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not in this game",
+      });
+    }
+
+    const gameService = req.app.get("gameService");
+    const gameInstance = await gameService.resignPlayer(game.id, userId);
+
+    res.json({
+      success: true,
+      message: "Resigned from game",
+      data: {
+        gameEnded: gameInstance.gameStatus === "finished",
+        winners: gameInstance.getWinners(),
+      },
+    });
+  } catch (error) {
+    console.error("Resign game error:", error);
+
+    if (
+      error.message === "You are not in this game" ||
+      error.message === "You have already finished"
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to resign from game",
+    });
+  }
+};
+
 // Get list of available games
 const getAvailableGames = async (req, res) => {
   try {
@@ -236,9 +375,10 @@ const getGame = async (req, res) => {
       });
     }
 
-    // Check if user is in the game
+    // Check if user is in the game (admins may view any game)
     const player = await game.getPlayer(userId);
-    if (!player) {
+    const isAdmin = !!req.user?.is_admin;
+    if (!player && !isAdmin) {
       return res.status(403).json({
         success: false,
         message: "You are not authorized to view this game",
@@ -248,13 +388,22 @@ const getGame = async (req, res) => {
     // Get game with players
     const players = await game.getPlayers();
 
+    // State of a game in play (or its final state once finished), as this
+    // viewer may see it
+    let state = null;
+    if (game.status === "playing" || game.status === "finished") {
+      const gameService = req.app.get("gameService");
+      state = await gameService.getGameStateForPlayer(game.id, userId, isAdmin);
+    }
+
     res.json({
       success: true,
       data: {
         game: {
           ...game.toJSON(),
-          players,
+          players: isAdmin && !player ? players : players.map(projectPlayer),
           currentPlayer: player,
+          state,
         },
       },
     });
@@ -325,6 +474,178 @@ const startGame = async (req, res) => {
   }
 };
 
+// Get ranked move hints for the requesting player's pending roll
+const getMoveHints = async (req, res) => {
+  try {
+    const { id: gameId } = req.params;
+    const userId = req.userId;
+
+    const game = await Game.findById(gameId);
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        message: "Game not found",
+      });
+    }
+
+    if (game.status !== "playing") {
+      return res.status(400).json({
+        success: false,
+        message: "Game is not in progress",
+      });
+    }
+
+    const player = await game.getPlayer(userId);
+    if (!player) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not in this game",
+      });
+    }
+
+    const gameService = req.app.get("gameService");
+    const result = await gameService.getMoveHints(game.id, userId);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Get move hints error:", error);
+
+    if (error.message === "Roll the dice before asking for hints") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to get move hints",
+    });
+  }
+};
+
+// Export a game as notation
+const getGameNotation = async (req, res) => {
+  try {
+    const { id: gameId } = req.params;
+
+    const game = await Game.findById(gameId);
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        message: "Game not found",
+      });
+    }
+
+    // Seated players (and admins) may export a game in play, anyone else
+    // only once it is finished
+    const player = await game.getPlayer(req.userId);
+    const isAdmin = !!req.user?.is_admin;
+    if (!player && !isAdmin && game.status !== "finished") {
+      return res.status(403).json({
+        success: false,
+        message: "You are not authorized to view this game",
+      });
+    }
+
+    const gameService = req.app.get("gameService");
+    const notation = await gameService.exportGameNotation(game.id);
+
+    res.json({
+      success: true,
+      data: {
+        notation,
+      },
+    });
+  } catch (error) {
+    console.error("Get game notation error:", error);
+
+    if (error.message === "Game has no recorded moves") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to export game notation",
+    });
+  }
+};
+
+// Validate notation by replaying it, and return the resulting game state
+const importGameNotation = async (req, res) => {
+  try {
+    const { notation } = req.body;
+    const gameService = req.app.get("gameService");
+
+    let gameInstance;
+    try {
+      gameInstance = gameService.importGameNotation(notation);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        gameState: gameInstance.getGameState(),
+        moveHistory: gameInstance.moveHistory,
+      },
+    });
+  } catch (error) {
+    console.error("Import game notation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to import game notation",
+    });
+  }
+};
+
+// Get dice commitment, revealed seed and recorded rolls for verification
+const getGameFairness = async (req, res) => {
+  try {
+    const { id: gameId } = req.params;
+
+    const game = await Game.findById(gameId);
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        message: "Game not found",
+      });
+    }
+
+    const rolls = await game.getRolls();
+    const revealed = game.isDiceSeedRevealed();
+
+    res.json({
+      success: true,
+      data: {
+        algorithm: game.dice_commitment ? SEEDED_ALGORITHM : null,
+        commitment: game.dice_commitment,
+        seed: revealed ? game.dice_seed : null,
+        rolls,
+        verification: revealed
+          ? verifyRolls(game.dice_seed, game.dice_commitment, rolls)
+          : null,
+      },
+    });
+  } catch (error) {
+    console.error("Get game fairness error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get game fairness data",
+    });
+  }
+};
+
 // Get public user profile for game context
 const getPublicProfile = async (req, res) => {
   try {
@@ -353,6 +674,26 @@ const getPublicProfile = async (req, res) => {
   }
 };
 
+// Get board geometry (square coordinates, safe squares, yards) for a layout
+const getBoard = async (req, res) => {
+  try {
+    const { layout } = req.query;
+
+    res.json({
+      success: true,
+      data: {
+        board: getBoardGeometry(layout),
+      },
+    });
+  } catch (error) {
+    console.error("Get board geometry error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get board geometry",
+    });
+  }
+};
+
 // Get game statistics
 const getGameStats = async (req, res) => {
   try {
@@ -385,11 +726,18 @@ const getGameStats = async (req, res) => {
 module.exports = {
   createGame,
   joinGame,
+  addBot,
   leaveGame,
+  resignGame,
   getAvailableGames,
   getUserGames,
   getGame,
   startGame,
+  getGameFairness,
+  getMoveHints,
+  getGameNotation,
+  importGameNotation,
   getPublicProfile,
+  getBoard,
   getGameStats,
 };
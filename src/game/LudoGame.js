@@ -1,39 +1,88 @@
 const config = require("../config/app");
+const { resolveRules, EXIT_ROLLS, SCORE_POINTS } = require("./rules");
+const { createDiceSource } = require("./dice");
+const {
+  createBoardConfig,
+  getRelativeProgress,
+  getBoardGeometry,
+} = require("./board");
+const {
+  EVENTS,
+  STATE_FIELDS,
+  createEvent,
+  createInitialState,
+  reduceGame,
+  replayEvents,
+} = require("./events");
+const { projectGameState } = require("./projection");
+const { checkInvariants } = require("./invariants");
+const { loadPlugins } = require("./plugins");
+const { ITEM_NAMES, MAX_ITEMS, getPowerUpSquares } = require("./items");
+const {
+  resolveHandicaps,
+  placeHeadStarts,
+  isImmunitySquare,
+  hasHandicaps,
+} = require("./handicaps");
+
+// Roll-off rounds before the first seat among the tied players starts anyway
+const MAX_OPENING_ROUNDS = 20;
+
+// Events a move may produce after the roll (undo is only possible until the next one)
+const MOVE_EVENTS = [
+  EVENTS.PIECE_CAPTURED,
+  EVENTS.PIECE_MOVED,
+  EVENTS.PLAYER_FINISHED,
+  EVENTS.TURN_PASSED,
+  EVENTS.ITEM_GRANTED,
+];
 
 class LudoGame {
-  constructor(gameId, players = []) {
+  constructor(gameId, players = [], options = {}) {
     this.gameId = gameId;
-    this.players = players; // Array of player objects with {id, position, color, username}
-    this.currentTurn = 0; // Index of current player
-    this.gameStatus = "waiting"; // waiting, playing, finished
-    this.winnerId = null;
-    this.lastDiceRoll = null;
-    this.moveHistory = [];
-
-    // Initialize piece positions for all players
-    this.piecePositions = {};
-    this.players.forEach((player) => {
-      this.piecePositions[player.id] = [0, 0, 0, 0]; // All pieces start at home (position 0)
+
+    // Engine state: players ({id, position, color, username}), turn, pieces,
+    // scores... Changed only by applying events (see ./events)
+    Object.assign(this, createInitialState(players));
+    this.events = []; // Event log since the game started
+    this.savedEventCount = 0; // Events already persisted by GameService
+
+    this.turnTimer = null; // { playerId, startedAt, deadline } set by GameService
+
+    // House rules for this lobby (validated, with defaults filled in)
+    this.rules = resolveRules(options.rules);
+
+    // Dice source (seeded commit-reveal by default, injectable for tests)
+    this.dice = options.dice || createDiceSource();
+
+    // 2v2 team mode: seats 0+2 (red+green) vs 1+3 (blue+yellow)
+    this.teamMode = !!options.teamMode;
+    this.partnerPlay = this.teamMode && !!options.partnerPlay; // Finished players move partner's pieces
+
+    // Quick Ludo: each player has a game clock, highest score wins when one runs out
+    this.gameMode = options.gameMode === "quick" ? "quick" : "normal";
+    this.gameClocks = {}; // Remaining game clock (ms) per player in quick mode
+    this.gameClock = null; // { playerId, startedAt } whose clock is running
+
+    this.players.forEach((player, seat) => {
+      this.gameClocks[player.id] = config.game.gameTimeoutMs;
+      this.assignTeam(player, seat);
     });
 
-    // Ludo board configuration
-    this.boardConfig = {
-      totalSquares: 52, // Main track squares
-      homeSquares: 6, // Safe home squares for each player
-      safeSquares: [1, 9, 14, 22, 27, 35, 40, 48], // Safe squares on main track
-      playerStartSquares: {
-        0: 1, // Red player starts at square 1
-        1: 14, // Blue player starts at square 14
-        2: 27, // Green player starts at square 27
-        3: 40, // Yellow player starts at square 40
-      },
-      playerHomeEntrySquares: {
-        0: 51, // Red player enters home from square 51
-        1: 12, // Blue player enters home from square 12
-        2: 25, // Green player enters home from square 25
-        3: 38, // Yellow player enters home from square 38
-      },
-    };
+    // Opening roll-off: the highest roller starts instead of the first seat
+    this.openingRoll = !!options.openingRoll;
+
+    // Ludo board configuration (classic 4-seat or 6-seat board)
+    this.boardConfig = createBoardConfig(options.board);
+
+    // Rule plugins chosen by the lobby, called in order (see ./plugins)
+    this.plugins = loadPlugins(options.plugins);
+
+    // Arcade mode: power-up squares grant items (see ./items)
+    this.arcade = !!options.arcade;
+
+    // Per-seat handicaps for mixed-skill games (see ./handicaps)
+    this.handicaps = resolveHandicaps(options.handicaps, this.boardConfig);
   }
 
   // Roll dice (server-side to prevent cheating)
@@ -47,131 +96,398 @@ class LudoGame {
       throw new Error("Game is not in playing status");
     }
 
-    // Generate random dice roll (1-6)
-    const diceValue = Math.floor(Math.random() * 6) + 1;
-    this.lastDiceRoll = {
-      playerId,
-      value: diceValue,
-      timestamp: new Date(),
-    };
+    if (this.hasPendingRoll(playerId)) {
+      throw new Error("You must move a piece before rolling again");
+    }
+
+    // Rule plugins may refuse the roll
+    this.runPluginHook("beforeRoll", playerId);
+
+    // Roll dice (1-6) from the game's dice source, one per die in play
+    const dice = [];
+    for (let i = 0; i < this.rules.diceCount; i++) {
+      const { value, nonce } = this.dice.roll();
+      dice.push({ value, nonce });
+    }
+    const diceValue = dice[0].value;
+    const rolledSix = dice.some((die) => die.value === 6);
+
+    this.apply(
+      createEvent(EVENTS.DICE_ROLLED, {
+        playerId,
+        value: diceValue, // First die (the only one without the two-dice rule)
+        nonce: dice[0].nonce,
+        dice,
+        sixStreak: rolledSix ? this.sixStreak + 1 : 0,
+      })
+    );
+
+    // Third consecutive six forfeits the turn
+    if (this.sixStreak >= 3 && this.rules.threeSixesPenalty !== "none") {
+      this.applySixesPenalty(playerId, diceValue);
+    } else if (this.getValidMoves(playerId).length === 0) {
+      // No legal moves: pass automatically so the game cannot get stuck
+      this.passTurn(playerId, diceValue);
+    }
 
     return diceValue;
   }
 
-  // Get valid moves for a player after dice roll
+  // Pass the turn after a roll with no legal moves (a 6 or a handicap extra
+  // roll still earns a re-roll)
+  passTurn(playerId, diceValue) {
+    const rolledSix = this.hasRolledSix();
+    const extraRoll = this.usesExtraRoll(rolledSix);
+    const extraTurn = rolledSix || extraRoll;
+
+    this.apply(
+      createEvent(EVENTS.TURN_PASSED, {
+        kind: "pass",
+        nextTurn: extraTurn ? this.currentTurn : this.getNextTurn(),
+        playerId,
+        pieceIndex: null,
+        diceValue,
+        rollNonce: this.lastDiceRoll.nonce,
+        from: null,
+        to: null,
+        captured: false,
+        capturedPlayer: null,
+        extraTurn,
+        extraRoll,
+        sixStreak: this.sixStreak,
+      })
+    );
+
+    return this.getLastRecord();
+  }
+
+  // Forfeit the turn after three sixes (optionally sending the last moved piece home)
+  applySixesPenalty(playerId, diceValue) {
+    const { playerId: ownerId, pieceIndex } = this.lastMovedPiece || {};
+    let from = null;
+    let to = null;
+
+    if (this.rules.threeSixesPenalty === "send_home" && this.lastMovedPiece) {
+      from = this.piecePositions[ownerId][pieceIndex];
+
+      // Pieces already on the home track are safe from the penalty
+      if (from > 0 && from <= this.boardConfig.totalSquares) {
+        to = 0;
+      }
+    }
+
+    this.apply(
+      createEvent(EVENTS.TURN_PASSED, {
+        kind: "penalty",
+        nextTurn: this.getNextTurn(),
+        playerId,
+        pieceOwnerId: to === 0 ? ownerId : null,
+        pieceIndex: to === 0 ? pieceIndex : null,
+        diceValue,
+        rollNonce: this.lastDiceRoll.nonce,
+        from: to === 0 ? from : null,
+        to,
+        captured: false,
+        capturedPlayer: null,
+        sixStreak: this.sixStreak,
+      })
+    );
+
+    return this.getLastRecord();
+  }
+
+  // Check if a player has rolled and still has to move a piece
+  hasPendingRoll(playerId) {
+    const roll = this.lastDiceRoll;
+    return (
+      !!roll &&
+      roll.playerId === playerId &&
+      !roll.used &&
+      !roll.passed &&
+      !roll.forfeited
+    );
+  }
+
+  // Get the dice of a player's pending roll that are still to be spent
+  // ([{ dieIndex, value }], one per value: equal dice allow the same moves)
+  getPendingDice(playerId) {
+    if (!this.hasPendingRoll(playerId)) return [];
+
+    const pending = [];
+    this.lastDiceRoll.dice.forEach((die, dieIndex) => {
+      if (!die.used && !pending.some((other) => other.value === die.value)) {
+        pending.push({ dieIndex, value: die.value });
+      }
+    });
+    return pending;
+  }
+
+  // Find the unspent die a move pays with (any die of that value if no index is given)
+  findPendingDie(playerId, diceValue, dieIndex) {
+    if (!this.hasPendingRoll(playerId)) return null;
+
+    const { dice } = this.lastDiceRoll;
+    const index =
+      dieIndex !== undefined && dieIndex !== null
+        ? dieIndex
+        : dice.findIndex((die) => !die.used && die.value === diceValue);
+    const die = Number.isInteger(index) ? dice[index] : null;
+
+    if (!die || die.used || die.value !== diceValue) return null;
+    return { ...die, dieIndex: index };
+  }
+
+  // Check if the last roll has a six on any die
+  hasRolledSix() {
+    return (
+      !!this.lastDiceRoll &&
+      this.lastDiceRoll.dice.some((die) => die.value === 6)
+    );
+  }
+
+  // Check if the current roll earned another roll: a six, or (by house rule)
+  // a capture or a piece reaching the finish with any of its dice
+  earnsExtraTurn() {
+    const nonces = this.lastDiceRoll.dice.map((die) => die.nonce);
+    const homeTarget =
+      this.boardConfig.totalSquares + this.boardConfig.homeSquares;
+
+    return (
+      this.hasRolledSix() ||
+      this.moveHistory.some(
+        (record) =>
+          record.type === "move" &&
+          !record.reverted &&
+          nonces.includes(record.rollNonce) &&
+          ((record.captured && this.rules.extraTurnOnCapture) ||
+            (record.to === homeTarget && this.rules.extraTurnOnHome))
+      )
+    );
+  }
+
+  // Skip the current player's turn without a roll (e.g. turn timer expired)
+  skipTurn(playerId, reason = "timeout") {
+    if (!this.isPlayerTurn(playerId)) {
+      throw new Error("Not your turn");
+    }
+
+    // A roll made before the skip is still recorded for verification
+    const pendingRoll = this.hasPendingRoll(playerId)
+      ? this.lastDiceRoll
+      : null;
+
+    this.apply(
+      createEvent(EVENTS.TURN_PASSED, {
+        kind: "skip",
+        nextTurn: this.getNextTurn(),
+        playerId,
+        pieceIndex: null,
+        diceValue: pendingRoll ? pendingRoll.value : null,
+        rollNonce: pendingRoll ? pendingRoll.nonce : null,
+        from: null,
+        to: null,
+        captured: false,
+        capturedPlayer: null,
+        reason,
+      })
+    );
+
+    return this.getLastRecord();
+  }
+
+  // Count a turn the player let expire
+  recordTurnTimeout(playerId) {
+    this.apply(createEvent(EVENTS.TURN_TIMED_OUT, { playerId }));
+    return this.turnTimeouts[playerId];
+  }
+
+  // Get valid moves for a player after dice roll: for one dice value, or for
+  // every unspent die of the pending roll (each move names its dieIndex)
   getValidMoves(playerId, diceValue) {
-    const playerPieces = this.piecePositions[playerId];
+    if (diceValue === undefined) {
+      const validMoves = [];
+      this.getPendingDice(playerId).forEach(({ dieIndex, value }) => {
+        this.getValidMoves(playerId, value).forEach((move) => {
+          validMoves.push({ ...move, dieIndex });
+        });
+      });
+      return validMoves;
+    }
+
+    const pieceOwnerId = this.getPieceOwner(playerId);
+    const playerPieces = this.piecePositions[pieceOwnerId];
     const validMoves = [];
-    const playerPosition = this.getPlayerPosition(playerId);
 
     playerPieces.forEach((piecePosition, pieceIndex) => {
-      const move = this.calculateMove(playerId, pieceIndex, diceValue);
+      const move = this.calculateMove(pieceOwnerId, pieceIndex, diceValue);
       if (move.isValid) {
         validMoves.push({
+          pieceOwnerId,
           pieceIndex,
+          diceValue,
           from: piecePosition,
           to: move.newPosition,
           canCapture: move.canCapture,
           capturedPlayer: move.capturedPlayer,
+          capturedPlayers: move.capturedPlayers,
           entersHome: move.entersHome,
+          reachesHome: move.reachesHome,
+          formsBlockade: move.formsBlockade,
         });
       }
     });
 
-    return validMoves;
+    // Rule plugins may rule out some of the moves
+    return this.plugins.reduce(
+      (moves, plugin) =>
+        plugin.filterMoves ? plugin.filterMoves(this, playerId, moves) : moves,
+      validMoves
+    );
+  }
+
+  // Check that no rule plugin ruled out a move
+  isMoveAllowed(playerId, pieceIndex, diceValue) {
+    if (!this.plugins.some((plugin) => plugin.filterMoves)) return true;
+
+    return this.getValidMoves(playerId, diceValue).some(
+      (move) => move.pieceIndex === pieceIndex
+    );
   }
 
   // Calculate move result for a piece
   calculateMove(playerId, pieceIndex, diceValue) {
     const currentPosition = this.piecePositions[playerId][pieceIndex];
-    const playerPosition = this.getPlayerPosition(playerId);
+    const playerPosition = this.getSeat(playerId);
 
     let newPosition;
     let isValid = true;
     let canCapture = false;
     let capturedPlayer = null;
+    let capturedPlayers = [];
     let entersHome = false;
+    let formsBlockade = false;
+    const path = []; // Main track squares the piece passes through or lands on
+
+    const { totalSquares, homeSquares } = this.boardConfig;
+    const homeTarget = totalSquares + homeSquares;
+    const steps = this.getMoveSteps(diceValue);
 
     // Piece is at home (position 0)
     if (currentPosition === 0) {
-      // Can only move out with a 6
-      if (diceValue === 6) {
+      // Can only move out with an exit roll (6, or 1-or-6 by house rule)
+      if (EXIT_ROLLS[this.rules.exitOn].includes(diceValue)) {
         newPosition = this.boardConfig.playerStartSquares[playerPosition];
+        path.push(newPosition);
       } else {
         return { isValid: false };
       }
-    } else if (
-      currentPosition > 0 &&
-      currentPosition <= this.boardConfig.totalSquares
-    ) {
+    } else if (currentPosition > 0 && currentPosition <= totalSquares) {
       // Piece is on main track
-      const potentialPosition = currentPosition + diceValue;
-
-      // Check if piece reaches home entry square
       const homeEntrySquare =
         this.boardConfig.playerHomeEntrySquares[playerPosition];
+      const stepsToEntry =
+        (homeEntrySquare - currentPosition + totalSquares) % totalSquares;
+      const entering = steps > stepsToEntry && this.canEnterHome(playerId);
+      const trackSteps = entering ? stepsToEntry : steps;
 
-      if (
-        currentPosition <= homeEntrySquare &&
-        potentialPosition > homeEntrySquare
-      ) {
+      for (let step = 1; step <= trackSteps; step++) {
+        path.push(((currentPosition - 1 + step) % totalSquares) + 1);
+      }
+
+      if (entering) {
         // Piece enters home track
-        const homePosition =
-          this.boardConfig.totalSquares +
-          1 +
-          (potentialPosition - homeEntrySquare - 1);
-        if (
-          homePosition <=
-          this.boardConfig.totalSquares + this.boardConfig.homeSquares
-        ) {
-          newPosition = homePosition;
-          entersHome = true;
+        const homeStep = steps - stepsToEntry;
+        if (homeStep <= homeSquares) {
+          newPosition = totalSquares + homeStep;
+        } else if (!this.rules.exactRollToFinish) {
+          newPosition = homeTarget;
         } else {
           // Overshoot home
           return { isValid: false };
         }
-      } else if (potentialPosition <= this.boardConfig.totalSquares) {
-        // Normal move on main track
-        newPosition =
-          potentialPosition > this.boardConfig.totalSquares
-            ? potentialPosition - this.boardConfig.totalSquares
-            : potentialPosition;
+        entersHome = true;
       } else {
-        // Overshoot
-        return { isValid: false };
+        // Normal move on main track (wraps around after the last square)
+        newPosition = path[path.length - 1];
       }
     } else {
       // Piece is in home track
-      const homeTrackPosition = currentPosition - this.boardConfig.totalSquares;
-      const newHomePosition = homeTrackPosition + diceValue;
-
-      if (newHomePosition <= this.boardConfig.homeSquares) {
-        newPosition = this.boardConfig.totalSquares + newHomePosition;
+      const homeTrackPosition = currentPosition - totalSquares;
+      const newHomePosition = homeTrackPosition + steps;
+
+      if (newHomePosition <= homeSquares) {
+        newPosition = totalSquares + newHomePosition;
+      } else if (
+        !this.rules.exactRollToFinish &&
+        currentPosition < homeTarget
+      ) {
+        newPosition = homeTarget;
       } else {
         // Overshoot home
         return { isValid: false };
       }
     }
 
-    // Check for captures (only on main track, not in home)
+    // Rule plugins may move the landing square (e.g. teleport squares)
+    const landing = this.plugins.reduce(
+      (to, plugin) =>
+        plugin.adjustMove
+          ? plugin.adjustMove(this, {
+              playerId,
+              pieceIndex,
+              diceValue,
+              from: currentPosition,
+              to,
+            })
+          : to,
+      newPosition
+    );
+    if (landing !== newPosition) {
+      newPosition = landing;
+      if (newPosition <= totalSquares) path.push(newPosition);
+    }
+
+    // Opponent blockades can neither be passed nor landed on
     if (
-      newPosition <= this.boardConfig.totalSquares &&
-      !this.isSafeSquare(newPosition)
+      this.rules.blockades &&
+      path.some((square) => this.isBlockadeAgainst(square, playerId))
     ) {
-      const occupyingPlayer = this.getPlayerAtPosition(newPosition, playerId);
-      if (occupyingPlayer) {
+      return { isValid: false };
+    }
+
+    // Check for captures (only on main track, not in home); teammates may
+    // share a square, so one move can capture a piece of each of them
+    if (newPosition <= totalSquares && !this.isSafeSquare(newPosition)) {
+      const occupyingPlayers = this.getPlayersAtPosition(newPosition, playerId);
+      if (
+        occupyingPlayers.some(
+          (occupyingPlayer) =>
+            this.isShielded(occupyingPlayer, newPosition) ||
+            this.isImmune(occupyingPlayer, newPosition)
+        )
+      ) {
+        // Shielded pieces and pieces on their handicap immunity squares can
+        // be neither captured nor landed on
+        return { isValid: false };
+      }
+      if (occupyingPlayers.length > 0) {
         canCapture = true;
-        capturedPlayer = occupyingPlayer;
+        capturedPlayer = occupyingPlayers[0];
+        capturedPlayers = occupyingPlayers;
       }
     }
 
-    // Check if position is blocked by own piece
-    if (
-      this.piecePositions[playerId].some(
+    // Own pieces may share a main track square only to form a blockade
+    if (newPosition <= totalSquares) {
+      const ownPiecesThere = this.piecePositions[playerId].filter(
         (pos, idx) => pos === newPosition && idx !== pieceIndex
-      )
-    ) {
-      return { isValid: false };
+      ).length;
+      const maxOwnPieces = this.rules.blockades ? 1 : 0;
+
+      if (ownPiecesThere > maxOwnPieces) {
+        return { isValid: false };
+      }
+      formsBlockade = this.rules.blockades && ownPiecesThere === 1;
     }
 
     return {
@@ -179,12 +495,27 @@ class LudoGame {
       newPosition,
       canCapture,
       capturedPlayer,
+      capturedPlayers,
       entersHome,
+      reachesHome: newPosition === homeTarget,
+      formsBlockade,
     };
   }
 
-  // Move a piece
-  movePiece(playerId, pieceIndex, diceValue) {
+  // Squares a die moves a piece along the track (doubled by a double move item)
+  getMoveSteps(diceValue) {
+    const roll = this.lastDiceRoll;
+    return roll && roll.doubled && !roll.used ? diceValue * 2 : diceValue;
+  }
+
+  // Check if a player's pieces may enter the home track (house rule)
+  canEnterHome(playerId) {
+    if (!this.rules.mustCaptureBeforeHome) return true;
+    return (this.capturesMade[playerId] || 0) > 0;
+  }
+
+  // Move a piece with one die of the pending roll
+  movePiece(playerId, pieceIndex, diceValue, dieIndex) {
     // Validate turn and game status
     if (!this.isPlayerTurn(playerId)) {
       throw new Error("Not your turn");
@@ -195,113 +526,899 @@ class LudoGame {
     }
 
     // Validate dice roll
-    if (
-      !this.lastDiceRoll ||
-      this.lastDiceRoll.playerId !== playerId ||
-      this.lastDiceRoll.value !== diceValue
-    ) {
+    const die = this.findPendingDie(playerId, diceValue, dieIndex);
+    if (!die) {
       throw new Error("Invalid dice value");
     }
 
+    // Finished team players may move their partner's pieces
+    const pieceOwnerId = this.getPieceOwner(playerId);
+
     // Calculate and validate move
-    const move = this.calculateMove(playerId, pieceIndex, diceValue);
-    if (!move.isValid) {
+    const move = this.calculateMove(pieceOwnerId, pieceIndex, diceValue);
+    if (!move.isValid || !this.isMoveAllowed(playerId, pieceIndex, diceValue)) {
       throw new Error("Invalid move");
     }
 
-    const fromPosition = this.piecePositions[playerId][pieceIndex];
+    const fromPosition = this.piecePositions[pieceOwnerId][pieceIndex];
+
+    // Execute captures if applicable
+    move.capturedPlayers.forEach((capturedPlayer) => {
+      this.capturePiece(
+        playerId,
+        pieceOwnerId,
+        capturedPlayer,
+        move.newPosition
+      );
+    });
+
+    // Score squares advanced and captures for the player who moved
+    const points =
+      (fromPosition === 0 ? 1 : this.getMoveSteps(diceValue)) *
+        SCORE_POINTS.square +
+      move.capturedPlayers.length * SCORE_POINTS.capture;
+
+    // Update piece position and record the move in history
+    this.apply(
+      createEvent(EVENTS.PIECE_MOVED, {
+        playerId,
+        pieceOwnerId,
+        pieceIndex,
+        diceValue,
+        dieIndex: die.dieIndex,
+        rollNonce: die.nonce,
+        from: fromPosition,
+        to: move.newPosition,
+        captured: move.canCapture,
+        capturedPlayer: move.capturedPlayer,
+        capturedPlayers: move.capturedPlayers,
+        points,
+        sixStreak: this.sixStreak,
+      })
+    );
+    let moveRecord = this.getLastRecord();
+
+    // Arcade mode: landing on a power-up square grants its item
+    const itemGranted = this.grantPowerUp(playerId, move.newPosition);
+    if (itemGranted) {
+      moveRecord = { ...moveRecord, itemGranted };
+    }
+
+    // Let rule plugins react to each capture and to a piece entering home
+    move.capturedPlayers.forEach((capturedPlayer) => {
+      this.runPluginHook("onCapture", {
+        playerId,
+        pieceOwnerId,
+        capturedPlayer,
+        position: move.newPosition,
+      });
+    });
+    if (move.entersHome) {
+      this.runPluginHook("onEnterHome", {
+        playerId,
+        pieceOwnerId,
+        pieceIndex,
+        position: move.newPosition,
+      });
+    }
 
-    // Execute capture if applicable
-    if (move.canCapture) {
-      this.capturePiece(move.capturedPlayer, move.newPosition);
+    // Check for win condition (a team wins outright once both partners are home)
+    if (this.teamMode && this.checkWinCondition(playerId)) {
+      this.apply(
+        createEvent(EVENTS.GAME_ENDED, {
+          winnerId: playerId,
+          winningTeam: this.getTeam(playerId),
+          reason: "finished",
+        })
+      );
+      return {
+        ...moveRecord,
+        gameEnded: true,
+        winner: playerId,
+        winners: this.getWinners(),
+      };
     }
 
-    // Update piece position
-    this.piecePositions[playerId][pieceIndex] = move.newPosition;
+    // Team player finished before their partner: record the placement and pass
+    // the turn (with partnerPlay they keep playing, moving their partner's pieces)
+    if (
+      this.teamMode &&
+      pieceOwnerId === playerId &&
+      !this.finishingOrder.includes(playerId) &&
+      this.hasCompletedRace(playerId)
+    ) {
+      const placement = this.recordFinish(playerId);
+      moveRecord = { ...moveRecord, playerFinished: true, placement };
 
-    // Record move in history
-    const moveRecord = {
-      playerId,
-      pieceIndex,
-      diceValue,
-      from: fromPosition,
-      to: move.newPosition,
-      captured: move.canCapture,
-      capturedPlayer: move.capturedPlayer,
-      timestamp: new Date(),
-    };
-    this.moveHistory.push(moveRecord);
+      if (this.isPlayerFinished(playerId)) {
+        this.endTurn();
+        return { ...moveRecord, extraTurn: false, gameEnded: false };
+      }
+    }
+
+    // Player finished: record placement, the game goes on until one player is left
+    if (!this.teamMode && this.hasCompletedRace(playerId)) {
+      const placement = this.recordFinish(playerId);
+
+      if (this.finishIfDecided()) {
+        return {
+          ...moveRecord,
+          playerFinished: true,
+          placement,
+          gameEnded: true,
+          winner: this.winnerId,
+          winners: this.getWinners(),
+          finishingOrder: this.finishingOrder,
+        };
+      }
 
-    // Check for win condition
-    if (this.checkWinCondition(playerId)) {
-      this.gameStatus = "finished";
-      this.winnerId = playerId;
-      return { ...moveRecord, gameEnded: true, winner: playerId };
+      this.endTurn();
+      return {
+        ...moveRecord,
+        playerFinished: true,
+        placement,
+        extraTurn: false,
+        gameEnded: false,
+      };
     }
 
-    // Determine next turn (extra turn for 6 or capture)
-    const extraTurn = diceValue === 6 || move.canCapture;
+    // Two-dice rule: the turn goes on while another die can be played
+    const remainingDice = this.getPendingDice(playerId);
+    if (this.getValidMoves(playerId).length > 0) {
+      return {
+        ...moveRecord,
+        extraTurn: false,
+        remainingDice,
+        gameEnded: false,
+      };
+    }
+
+    // Determine next turn (extra turn for 6, capture or reaching home)
+    const extraTurn = this.earnsExtraTurn();
+    let extraRoll = false;
     if (!extraTurn) {
-      this.nextTurn();
+      extraRoll = this.endTurn();
+    } else if (remainingDice.length > 0) {
+      this.endTurn(true); // Drop the dice that cannot be played, roll again
     }
 
-    return { ...moveRecord, extraTurn, gameEnded: false };
+    return {
+      ...moveRecord,
+      extraTurn: extraTurn || extraRoll,
+      extraRoll,
+      gameEnded: false,
+    };
   }
 
-  // Capture an opponent's piece
-  capturePiece(targetPlayerId, position) {
-    const targetPieces = this.piecePositions[targetPlayerId];
+  // Grant the item of the power-up square a player's piece landed on
+  // (null outside arcade mode, off power-up squares or with a full inventory)
+  grantPowerUp(playerId, position) {
+    if (!this.arcade) return null;
+
+    const item = getPowerUpSquares(this.boardConfig)[position];
+    if (!item || this.items[playerId].length >= MAX_ITEMS) return null;
+
+    this.apply(
+      createEvent(EVENTS.ITEM_GRANTED, { playerId, item, square: position })
+    );
+    return item;
+  }
+
+  // Use an arcade item on the player's turn: shield ({ pieceIndex }),
+  // double_move and reroll (after rolling, before moving) or swap
+  // ({ pieceIndex, targetPlayerId, targetPieceIndex }, before rolling)
+  useItem(playerId, item, target = {}) {
+    if (!this.arcade) {
+      throw new Error("Items are only available in arcade mode");
+    }
+
+    if (!this.isPlayerTurn(playerId)) {
+      throw new Error("Not your turn");
+    }
+
+    if (this.gameStatus !== "playing") {
+      throw new Error("Game is not in playing status");
+    }
+
+    if (!ITEM_NAMES.includes(item)) {
+      throw new Error(`Unknown item: ${item}`);
+    }
+
+    if (!this.items[playerId].includes(item)) {
+      throw new Error(`You have no ${item} item`);
+    }
+
+    switch (item) {
+      case "shield":
+        return this.useShield(playerId, target.pieceIndex);
+      case "double_move":
+        return this.useDoubleMove(playerId);
+      case "swap":
+        return this.useSwap(playerId, target);
+      default:
+        return this.useReroll(playerId);
+    }
+  }
 
-    for (let i = 0; i < targetPieces.length; i++) {
-      if (targetPieces[i] === position) {
-        this.piecePositions[targetPlayerId][i] = 0; // Send back to home
-        break;
+  // Get a piece's position if it is on the main track (null otherwise)
+  getTrackPosition(playerId, pieceIndex) {
+    const pieces = this.piecePositions[playerId];
+    const position = pieces && pieces[pieceIndex];
+    return Number.isInteger(position) &&
+      position >= 1 &&
+      position <= this.boardConfig.totalSquares
+      ? position
+      : null;
+  }
+
+  // Shield one of the player's pieces on the main track
+  useShield(playerId, pieceIndex) {
+    const pieceOwnerId = this.getPieceOwner(playerId);
+    const position = this.getTrackPosition(pieceOwnerId, pieceIndex);
+    if (position === null) {
+      throw new Error("Only pieces on the main track can be shielded");
+    }
+    if (this.shields[pieceOwnerId].includes(pieceIndex)) {
+      throw new Error("Piece is already shielded");
+    }
+
+    this.apply(
+      createEvent(EVENTS.ITEM_USED, {
+        playerId,
+        item: "shield",
+        pieceOwnerId,
+        pieceIndex,
+        from: position,
+        to: position,
+      })
+    );
+    return this.getLastRecord();
+  }
+
+  // Get the player's roll if it is pending with no die spent yet
+  getUnplayedRoll(playerId, item) {
+    const roll = this.lastDiceRoll;
+    if (!this.hasPendingRoll(playerId) || roll.dice.some((die) => die.used)) {
+      throw new Error(`Use ${item} after rolling, before moving`);
+    }
+    return roll;
+  }
+
+  // Double the squares moved with the pending roll (a roll that is left
+  // without a legal move passes the turn)
+  useDoubleMove(playerId) {
+    const roll = this.getUnplayedRoll(playerId, "double_move");
+    if (roll.doubled) {
+      throw new Error("Roll is already doubled");
+    }
+
+    this.apply(
+      createEvent(EVENTS.ITEM_USED, {
+        playerId,
+        item: "double_move",
+        diceValue: roll.value,
+      })
+    );
+    const record = this.getLastRecord();
+
+    if (this.getValidMoves(playerId).length === 0) {
+      this.passTurn(playerId, roll.value);
+    }
+    return record;
+  }
+
+  // Swap one of the player's pieces with an opponent's piece (each alone on
+  // its main track square, the opponent's not shielded) before rolling
+  useSwap(playerId, { pieceIndex, targetPlayerId, targetPieceIndex } = {}) {
+    if (this.hasPendingRoll(playerId)) {
+      throw new Error("Use swap before rolling");
+    }
+
+    const pieceOwnerId = this.getPieceOwner(playerId);
+    const from = this.getTrackPosition(pieceOwnerId, pieceIndex);
+    if (from === null) {
+      throw new Error("Only pieces on the main track can be swapped");
+    }
+
+    if (
+      targetPlayerId === pieceOwnerId ||
+      this.getPlayerPosition(targetPlayerId) === -1 ||
+      this.areTeammates(pieceOwnerId, targetPlayerId)
+    ) {
+      throw new Error("Swap with an opponent's piece");
+    }
+    const to = this.getTrackPosition(targetPlayerId, targetPieceIndex);
+    if (to === null) {
+      throw new Error("Only pieces on the main track can be swapped");
+    }
+    if (this.shields[targetPlayerId].includes(targetPieceIndex)) {
+      throw new Error("Shielded pieces cannot be swapped");
+    }
+    if (this.isImmune(targetPlayerId, to)) {
+      throw new Error("Pieces on their immunity squares cannot be swapped");
+    }
+
+    const occupancy = this.getOccupancy();
+    if (occupancy[from].length > 1 || occupancy[to].length > 1) {
+      throw new Error("Pieces sharing a square cannot be swapped");
+    }
+
+    this.apply(
+      createEvent(EVENTS.ITEM_USED, {
+        playerId,
+        item: "swap",
+        pieceOwnerId,
+        pieceIndex,
+        from,
+        to,
+        targetPlayerId,
+        targetPieceIndex,
+      })
+    );
+    return this.getLastRecord();
+  }
+
+  // Throw the pending roll away and roll again (its sixes no longer count
+  // toward the three-sixes penalty)
+  useReroll(playerId) {
+    const roll = this.getUnplayedRoll(playerId, "reroll");
+
+    let rolledAt = -1;
+    this.events.forEach((event, index) => {
+      if (event.type === EVENTS.DICE_ROLLED) rolledAt = index;
+    });
+    const previous = replayEvents(
+      createInitialState(),
+      this.events.slice(0, rolledAt)
+    );
+
+    this.apply(
+      createEvent(EVENTS.ITEM_USED, {
+        playerId,
+        item: "reroll",
+        diceValue: roll.value,
+        rollNonce: roll.nonce,
+        sixStreak: previous.sixStreak,
+      })
+    );
+    const record = this.getLastRecord();
+
+    this.rollDice(playerId);
+    return record;
+  }
+
+  // Check if an opponent's piece on a square is shielded
+  isShielded(playerId, position) {
+    const shielded = this.shields[playerId] || [];
+    return this.piecePositions[playerId].some(
+      (piecePosition, pieceIndex) =>
+        piecePosition === position && shielded.includes(pieceIndex)
+    );
+  }
+
+  // Check if an opponent's piece on a square is on one of its handicap
+  // immunity squares
+  isImmune(playerId, position) {
+    const seat = this.getSeat(playerId);
+    return (
+      this.piecePositions[playerId].includes(position) &&
+      isImmunitySquare(
+        this.getHandicap(playerId),
+        this.boardConfig,
+        seat,
+        position
+      )
+    );
+  }
+
+  // Get the handicap of a seated player (null without one)
+  getHandicap(playerId) {
+    const seat = this.getSeat(playerId);
+    return this.handicaps.find((handicap) => handicap.seat === seat) || null;
+  }
+
+  // Check if ending the current turn uses up one of the current player's
+  // handicap extra rolls (never on top of an extra turn, nor once finished)
+  usesExtraRoll(extraTurn) {
+    const player = this.getCurrentPlayer();
+    return (
+      !extraTurn &&
+      !!player &&
+      this.gameStatus === "playing" &&
+      (this.extraRolls[player.id] || 0) > 0 &&
+      !this.isPlayerFinished(player.id)
+    );
+  }
+
+  // Check if results count toward player statistics (handicapped games do not)
+  isRated() {
+    return !hasHandicaps(this.handicaps);
+  }
+
+  // Get the index in the event log where the player's undoable move starts
+  // (-1 unless the last thing that happened is this player's move)
+  findUndoableMove(playerId) {
+    if (this.gameStatus !== "playing") return -1;
+
+    // A move starts after the roll, an undo or the move with the roll's other die
+    let start = -1;
+    let boundary = -1;
+    this.events.forEach((event, index) => {
+      if (
+        event.type === EVENTS.DICE_ROLLED ||
+        event.type === EVENTS.MOVE_UNDONE
+      ) {
+        start = index + 1;
+        boundary = index + 1;
+      } else if (event.type === EVENTS.PIECE_MOVED) {
+        start = boundary;
+        boundary = index + 1;
       }
+    });
+    if (start === -1) return -1;
+
+    const moveEvents = this.events.slice(start);
+    const moved = moveEvents.some(
+      (event) =>
+        event.type === EVENTS.PIECE_MOVED && event.playerId === playerId
+    );
+    const onlyMove = moveEvents.every(
+      (event) =>
+        MOVE_EVENTS.includes(event.type) &&
+        (event.type !== EVENTS.TURN_PASSED || event.kind === "end")
+    );
+
+    return moved && onlyMove ? start : -1;
+  }
+
+  // Get the move a player could still take back (null if none)
+  getUndoableMove(playerId) {
+    const start = this.findUndoableMove(playerId);
+    if (start === -1) return null;
+
+    const moveEvent = this.events
+      .slice(start)
+      .find((event) => event.type === EVENTS.PIECE_MOVED);
+    return this.moveHistory.find(
+      (record) =>
+        record.type === "move" &&
+        record.rollNonce === moveEvent.rollNonce &&
+        !record.reverted
+    );
+  }
+
+  // Take back a player's last move (before the next roll): pieces, captures,
+  // scores and the turn go back to how they were, and the roll is pending again
+  undoLastMove(playerId) {
+    const start = this.findUndoableMove(playerId);
+    if (start === -1) {
+      throw new Error("No move to undo");
     }
+
+    const move = this.getUndoableMove(playerId);
+    const previous = replayEvents(
+      createInitialState(),
+      this.events.slice(0, start)
+    );
+
+    this.apply(
+      createEvent(EVENTS.MOVE_UNDONE, {
+        playerId,
+        rollNonce: move.rollNonce,
+        restore: {
+          currentTurn: previous.currentTurn,
+          finishingOrder: previous.finishingOrder,
+          lastDiceRoll: previous.lastDiceRoll,
+          sixStreak: previous.sixStreak,
+          lastMovedPiece: previous.lastMovedPiece,
+          piecePositions: previous.piecePositions,
+          capturesMade: previous.capturesMade,
+          scores: previous.scores,
+          items: previous.items,
+          shields: previous.shields,
+          extraRolls: previous.extraRolls,
+        },
+      })
+    );
+
+    return { ...move, reverted: true };
   }
 
-  // Check if a player has won
+  // Capture an opponent's piece (credited to the owner of the capturing piece)
+  capturePiece(playerId, pieceOwnerId, targetPlayerId, position) {
+    const capturedPieceIndex =
+      this.piecePositions[targetPlayerId].indexOf(position);
+    if (capturedPieceIndex === -1) return;
+
+    this.apply(
+      createEvent(EVENTS.PIECE_CAPTURED, {
+        playerId,
+        pieceOwnerId,
+        capturedPlayer: targetPlayerId,
+        capturedPieceIndex,
+        position,
+      })
+    );
+  }
+
+  // Check if a player has won (in team mode, both partners must be home)
   checkWinCondition(playerId) {
+    if (this.teamMode) {
+      return this.getTeammates(playerId).every((id) =>
+        this.hasCompletedRace(id)
+      );
+    }
+
+    return this.hasCompletedRace(playerId);
+  }
+
+  // Record a player's finishing position (1-based)
+  recordFinish(playerId) {
+    if (!this.finishingOrder.includes(playerId)) {
+      this.apply(createEvent(EVENTS.PLAYER_FINISHED, { playerId }));
+    }
+    return this.finishingOrder.indexOf(playerId) + 1;
+  }
+
+  // Check if a player no longer takes turns
+  isPlayerFinished(playerId) {
+    if (this.teamMode) {
+      return !this.partnerPlay && this.hasCompletedRace(playerId);
+    }
+    return this.finishingOrder.includes(playerId);
+  }
+
+  // Get players still racing
+  getActivePlayers() {
+    return this.players.filter((player) => !this.isPlayerFinished(player.id));
+  }
+
+  // End the game once only one player (or team) is left racing
+  finishIfDecided() {
+    if (this.gameStatus === "finished") return true;
+
+    if (this.teamMode) {
+      const teams = new Set(this.players.map((p) => this.getTeam(p.id)));
+      if (teams.size > 1) return false;
+
+      const winnerId = this.players.length > 0 ? this.players[0].id : null;
+      this.apply(
+        createEvent(EVENTS.GAME_ENDED, {
+          winnerId,
+          winningTeam: this.getTeam(winnerId),
+          reason: "finished",
+        })
+      );
+    } else {
+      const activePlayers = this.getActivePlayers();
+      if (activePlayers.length > 1) return false;
+
+      activePlayers.forEach((player) => this.recordFinish(player.id));
+      this.apply(
+        createEvent(EVENTS.GAME_ENDED, {
+          winnerId:
+            this.finishingOrder.length > 0 ? this.finishingOrder[0] : null,
+          reason: "finished",
+        })
+      );
+    }
+
+    return true;
+  }
+
+  // Run the current player's game clock (quick mode), charging the previous one
+  startGameClock(now) {
+    if (this.gameMode !== "quick") return;
+
+    this.chargeGameClock(now);
+    const player = this.getCurrentPlayer();
+    this.gameClock = player ? { playerId: player.id, startedAt: now } : null;
+  }
+
+  // Deduct elapsed time from the running game clock
+  chargeGameClock(now) {
+    if (!this.gameClock) return;
+
+    const { playerId, startedAt } = this.gameClock;
+    if (this.gameClocks[playerId] !== undefined) {
+      this.gameClocks[playerId] = Math.max(
+        0,
+        this.gameClocks[playerId] - (now - startedAt)
+      );
+    }
+    this.gameClock = { playerId, startedAt: now };
+  }
+
+  // Get a player's remaining game clock (ms), counting the running turn
+  getGameClockRemaining(playerId, now) {
+    const remaining = this.gameClocks[playerId] || 0;
+    if (!this.gameClock || this.gameClock.playerId !== playerId) {
+      return remaining;
+    }
+    return Math.max(0, remaining - (now - this.gameClock.startedAt));
+  }
+
+  // End a quick game on time: rank players (or teams) by score
+  finishOnTime(now) {
+    this.chargeGameClock(now);
+    this.gameClock = null;
+
+    const ranked = [...this.players].sort(
+      (a, b) => (this.scores[b.id] || 0) - (this.scores[a.id] || 0)
+    );
+
+    if (this.teamMode) {
+      const teamScores = {};
+      ranked.forEach((player) => {
+        const team = this.getTeam(player.id);
+        teamScores[team] = (teamScores[team] || 0) + this.scores[player.id];
+      });
+      const bestScore = Math.max(...Object.values(teamScores));
+      const best = ranked.find(
+        (player) => teamScores[this.getTeam(player.id)] === bestScore
+      );
+      this.apply(
+        createEvent(EVENTS.GAME_ENDED, {
+          winnerId: best ? best.id : null,
+          winningTeam: best ? this.getTeam(best.id) : null,
+          reason: "time",
+        })
+      );
+    } else {
+      this.apply(
+        createEvent(EVENTS.GAME_ENDED, {
+          winnerId: ranked.length > 0 ? ranked[0].id : null,
+          finishingOrder: ranked.map((player) => player.id),
+          reason: "time",
+        })
+      );
+    }
+  }
+
+  // Get final placements: player ID -> position (partners share their team's)
+  getPlacements() {
+    const placements = {};
+    const winners = this.getWinners();
+
+    this.players.forEach((player) => {
+      if (this.teamMode) {
+        placements[player.id] = winners.includes(player.id) ? 1 : 2;
+      } else {
+        const index = this.finishingOrder.indexOf(player.id);
+        placements[player.id] =
+          index !== -1 ? index + 1 : this.finishingOrder.length + 1;
+      }
+    });
+
+    return placements;
+  }
+
+  // Check if all of a player's pieces are in the final home position
+  hasAllPiecesHome(playerId) {
     const playerPieces = this.piecePositions[playerId];
     const homeTarget =
       this.boardConfig.totalSquares + this.boardConfig.homeSquares;
 
-    // All pieces must be in the final home position
     return playerPieces.every((position) => position === homeTarget);
   }
 
+  // Check if a player has finished the race: the first rule plugin with a
+  // verdict decides, otherwise every piece must be home
+  hasCompletedRace(playerId) {
+    for (const plugin of this.plugins) {
+      const verdict = plugin.checkWin
+        ? plugin.checkWin(this, playerId)
+        : undefined;
+      if (verdict !== undefined) return !!verdict;
+    }
+    return this.hasAllPiecesHome(playerId);
+  }
+
+  // Get the names of the game's rule plugins
+  getPluginNames() {
+    return this.plugins.map((plugin) => plugin.name);
+  }
+
+  // Call a rule plugin hook on every plugin that has it
+  runPluginHook(hook, ...args) {
+    this.plugins.forEach((plugin) => {
+      if (plugin[hook]) plugin[hook](this, ...args);
+    });
+  }
+
+  // Assign a player to a team by seat (red+green vs blue+yellow)
+  assignTeam(player, seat) {
+    if (!this.teamMode) return;
+
+    const seatPosition = player.position !== undefined ? player.position : seat;
+    this.teams[player.id] = seatPosition % 2;
+  }
+
+  // Get a player's team index (null outside team mode)
+  getTeam(playerId) {
+    if (!this.teamMode) return null;
+    return this.teams[playerId] !== undefined ? this.teams[playerId] : null;
+  }
+
+  // Get all players on the same team (including the player)
+  getTeammates(playerId) {
+    const team = this.getTeam(playerId);
+    if (team === null) return [playerId];
+
+    return this.players
+      .filter((player) => this.teams[player.id] === team)
+      .map((player) => player.id);
+  }
+
+  // Check if two different players are on the same team
+  areTeammates(playerId, otherPlayerId) {
+    const team = this.getTeam(playerId);
+    return (
+      playerId !== otherPlayerId &&
+      team !== null &&
+      team === this.getTeam(otherPlayerId)
+    );
+  }
+
+  // Get the player whose pieces are moved with this player's rolls
+  getPieceOwner(playerId) {
+    if (!this.partnerPlay || !this.hasCompletedRace(playerId)) {
+      return playerId;
+    }
+
+    const partnerId = this.getTeammates(playerId).find((id) => id !== playerId);
+    return partnerId !== undefined ? partnerId : playerId;
+  }
+
+  // Get the winning player IDs (both partners in team mode)
+  getWinners() {
+    if (!this.winnerId) return [];
+    if (!this.teamMode) return [this.winnerId];
+
+    return this.getTeammates(this.winnerId);
+  }
+
+  // Check if a player is a computer opponent
+  isBot(playerId) {
+    return !!this.getBotDifficulty(playerId);
+  }
+
+  // Get a bot player's difficulty (null for humans)
+  getBotDifficulty(playerId) {
+    const player = this.players.find((p) => p.id === playerId);
+    return (player && player.bot_difficulty) || null;
+  }
+
+  // Squares a piece at a position has travelled from the yard (0 in the yard)
+  getPieceProgress(playerId, position) {
+    return getRelativeProgress(
+      this.boardConfig,
+      this.getSeat(playerId),
+      position
+    );
+  }
+
+  // Progress of every piece, per player (same order as piecePositions)
+  getAllPieceProgress() {
+    const progress = {};
+    this.players.forEach((player) => {
+      progress[player.id] = this.piecePositions[player.id].map((position) =>
+        this.getPieceProgress(player.id, position)
+      );
+    });
+    return progress;
+  }
+
   // Check if a square is safe
   isSafeSquare(position) {
+    if (!this.rules.safeSquares) return false;
     return this.boardConfig.safeSquares.includes(position);
   }
 
-  // Get player at a specific position (excluding specified player)
-  getPlayerAtPosition(position, excludePlayerId) {
+  // Get occupancy of the main track: square -> [{ playerId, pieceIndex }]
+  getOccupancy() {
+    const occupancy = {};
+
     for (const player of this.players) {
-      if (player.id === excludePlayerId) continue;
+      const pieces = this.piecePositions[player.id] || [];
+      pieces.forEach((position, pieceIndex) => {
+        if (position < 1 || position > this.boardConfig.totalSquares) return;
 
-      const pieces = this.piecePositions[player.id];
-      if (pieces.some((piecePos) => piecePos === position)) {
-        return player.id;
-      }
+        if (!occupancy[position]) occupancy[position] = [];
+        occupancy[position].push({ playerId: player.id, pieceIndex });
+      });
+    }
+
+    return occupancy;
+  }
+
+  // Get the player holding a blockade (two own pieces) on a square
+  getBlockadeOwner(position) {
+    const occupants = this.getOccupancy()[position] || [];
+
+    for (const player of this.players) {
+      const count = occupants.filter((o) => o.playerId === player.id).length;
+      if (count >= 2) return player.id;
     }
     return null;
   }
 
+  // Check if a square holds a blockade that stops the given player
+  isBlockadeAgainst(position, playerId) {
+    const owner = this.getBlockadeOwner(position);
+    return (
+      owner !== null &&
+      owner !== playerId &&
+      !this.areTeammates(owner, playerId)
+    );
+  }
+
+  // Get players with a piece at a specific position (excluding specified
+  // player and teammates)
+  getPlayersAtPosition(position, excludePlayerId) {
+    return this.players
+      .filter(
+        (player) =>
+          player.id !== excludePlayerId &&
+          !this.areTeammates(player.id, excludePlayerId)
+      )
+      .filter((player) =>
+        this.piecePositions[player.id].some((piecePos) => piecePos === position)
+      )
+      .map((player) => player.id);
+  }
+
   // Check if it's a specific player's turn
   isPlayerTurn(playerId) {
     if (this.players.length === 0) return false;
     return this.players[this.currentTurn].id === playerId;
   }
 
-  // Get player's position index
+  // Get player's index in the turn order (-1 if not seated)
   getPlayerPosition(playerId) {
     return this.players.findIndex((player) => player.id === playerId);
   }
 
-  // Move to next turn
-  nextTurn() {
-    this.currentTurn = (this.currentTurn + 1) % this.players.length;
+  // Get the board seat of a player (-1 if not seated). Seats are fixed when
+  // the game starts, so players who leave do not move anyone's start square
+  // or home track
+  getSeat(playerId) {
+    const seat = this.seats[playerId];
+    return seat !== undefined ? seat : -1;
+  }
+
+  // Move to next turn (or keep it, dropping unplayable dice, on an extra turn
+  // or a handicap extra roll); returns whether an extra roll was used
+  endTurn(extraTurn = false) {
+    const extraRoll = this.usesExtraRoll(extraTurn);
+
+    this.apply(
+      createEvent(EVENTS.TURN_PASSED, {
+        kind: "end",
+        nextTurn:
+          extraTurn || extraRoll ? this.currentTurn : this.getNextTurn(),
+        extraTurn: extraTurn || extraRoll,
+        extraRoll,
+      })
+    );
+
+    return extraRoll;
+  }
+
+  // Get the index of the player who plays after the current one
+  getNextTurn() {
+    return this.skipFinishedPlayers(
+      (this.currentTurn + 1) % this.players.length
+    );
+  }
+
+  // Advance a turn index past players who have already finished
+  skipFinishedPlayers(turn, players = this.players) {
+    for (let i = 0; i < players.length; i++) {
+      if (!this.isPlayerFinished(players[turn].id)) return turn;
+      turn = (turn + 1) % players.length;
+    }
+    return turn;
   }
 
   // Get current player
@@ -316,13 +1433,107 @@ class LudoGame {
       throw new Error("Not enough players to start game");
     }
 
-    this.gameStatus = "playing";
-    this.currentTurn = 0; // Start with first player
+    if (this.teamMode && this.players.length !== 4) {
+      throw new Error("Team mode requires 4 players");
+    }
+
+    // The log starts here: lobby changes before this are not events
+    this.events = [];
+    this.savedEventCount = 0;
+    this.apply(
+      createEvent(EVENTS.GAME_STARTED, {
+        gameId: this.gameId,
+        players: this.players,
+        teams: this.teams,
+        options: {
+          rules: this.rules,
+          board: this.boardConfig.layout,
+          teamMode: this.teamMode,
+          partnerPlay: this.partnerPlay,
+          gameMode: this.gameMode,
+          openingRoll: this.openingRoll,
+          plugins: this.getPluginNames(),
+          arcade: this.arcade,
+          handicaps: this.handicaps,
+        },
+        ...this.getHandicapStart(),
+        dice: this.dice.getPublicInfo(false),
+      })
+    );
+
+    if (this.openingRoll) {
+      this.rollForFirstTurn();
+    }
+  }
+
+  // Pieces placed by handicap head starts and extra rolls per player ({}
+  // without handicaps); head starts that clash throw (see placeHeadStarts)
+  getHandicapStart() {
+    if (!hasHandicaps(this.handicaps)) return {};
+
+    // Only seats with a player get their pieces
+    const playerAt = {};
+    this.players.forEach((player) => {
+      playerAt[this.getSeat(player.id)] = player.id;
+    });
+    const squares = placeHeadStarts(
+      this.handicaps.filter(
+        (handicap) => playerAt[handicap.seat] !== undefined
+      ),
+      this.boardConfig,
+      this.rules,
+      (seat, otherSeat) =>
+        this.areTeammates(playerAt[seat], playerAt[otherSeat])
+    );
+
+    const piecePositions = {};
+    const extraRolls = {};
+    this.players.forEach((player) => {
+      const handicap = this.getHandicap(player.id);
+      const placed = squares[this.getSeat(player.id)] || [];
+
+      piecePositions[player.id] = [0, 1, 2, 3].map(
+        (pieceIndex) => placed[pieceIndex] || 0
+      );
+      extraRolls[player.id] = handicap ? handicap.extraRolls : 0;
+    });
+
+    return { piecePositions, extraRolls };
+  }
+
+  // Opening roll-off: every player rolls once, the tied highest rollers roll
+  // again until one is left, and that player takes the first turn
+  rollForFirstTurn() {
+    let contenders = this.players.map((player) => player.id);
+
+    for (
+      let round = 1;
+      contenders.length > 1 && round <= MAX_OPENING_ROUNDS;
+      round++
+    ) {
+      const values = contenders.map((playerId) => {
+        const { value, nonce } = this.dice.roll();
+        this.apply(
+          createEvent(EVENTS.OPENING_ROLLED, { playerId, value, nonce, round })
+        );
+        return value;
+      });
+
+      const highest = Math.max(...values);
+      contenders = contenders.filter((_, index) => values[index] === highest);
+    }
+
+    this.apply(
+      createEvent(EVENTS.FIRST_TURN_DECIDED, {
+        playerId: contenders[0],
+        currentTurn: this.getPlayerPosition(contenders[0]),
+      })
+    );
   }
 
   // Add player to the game
   addPlayer(player) {
-    if (this.players.length >= config.game.maxPlayersPerGame) {
+    if (this.players.length >= this.boardConfig.seats) {
       throw new Error("Game is full");
     }
 
@@ -331,7 +1542,16 @@ class LudoGame {
     }
 
     this.players.push(player);
+    this.seats[player.id] = this.players.length - 1;
     this.piecePositions[player.id] = [0, 0, 0, 0];
+    this.capturesMade[player.id] = 0;
+    this.turnTimeouts[player.id] = 0;
+    this.scores[player.id] = 0;
+    this.items[player.id] = [];
+    this.shields[player.id] = [];
+    this.extraRolls[player.id] = 0;
+    this.gameClocks[player.id] = config.game.gameTimeoutMs;
+    this.assignTeam(player, this.players.length - 1);
   }
 
   // Remove player from the game
@@ -341,17 +1561,92 @@ class LudoGame {
     );
     if (playerIndex === -1) return false;
 
-    this.players.splice(playerIndex, 1);
-    delete this.piecePositions[playerId];
+    // Keep the turn with the same player: seats after the removed one move
+    // down, and the removed player's turn goes to the next seat
+    const players = this.players.filter((player) => player.id !== playerId);
+    let currentTurn =
+      playerIndex < this.currentTurn ? this.currentTurn - 1 : this.currentTurn;
+    if (currentTurn >= players.length) currentTurn = 0;
+    if (players.length > 0) {
+      currentTurn = this.skipFinishedPlayers(currentTurn, players);
+    }
 
-    // Adjust current turn if necessary
-    if (this.currentTurn >= this.players.length) {
-      this.currentTurn = 0;
+    const event = createEvent(EVENTS.PLAYER_REMOVED, {
+      playerId,
+      currentTurn,
+      wasCurrent: playerIndex === this.currentTurn,
+    });
+    if (this.gameStatus === "waiting") {
+      this.reduce(event); // Leaving the lobby is not part of the game log
+    } else {
+      this.apply(event);
+    }
+
+    delete this.gameClocks[playerId];
+    if (this.gameClock && this.gameClock.playerId === playerId) {
+      this.gameClock = null;
     }
 
     return true;
   }
 
+  // Get the engine state owned by the event reducer
+  getEngineState() {
+    const state = {};
+    STATE_FIELDS.forEach((field) => {
+      state[field] = this[field];
+    });
+    return state;
+  }
+
+  // Apply an event to the engine state without logging it
+  reduce(event) {
+    Object.assign(this, reduceGame(this.getEngineState(), event));
+  }
+
+  // Apply an event to the engine state and append it to the log
+  apply(event) {
+    this.reduce(event);
+    this.events.push(event);
+    return event;
+  }
+
+  // Get the latest move history record (move, pass, penalty or skip)
+  getLastRecord() {
+    return this.moveHistory[this.moveHistory.length - 1];
+  }
+
+  // Get the events that have not been persisted yet
+  getUnsavedEvents() {
+    return this.events.slice(this.savedEventCount);
+  }
+
+  // Mark the first eventCount events of the log as persisted
+  markEventsSaved(eventCount) {
+    this.savedEventCount = Math.max(this.savedEventCount, eventCount);
+  }
+
+  // Rebuild a game by replaying its event log from the last GameStarted
+  static fromEvents(gameId, events, options = {}) {
+    let startIndex = -1;
+    events.forEach((event, index) => {
+      if (event.type === EVENTS.GAME_STARTED) startIndex = index;
+    });
+    if (startIndex === -1) {
+      throw new Error("Event log has no GameStarted event");
+    }
+
+    const started = events[startIndex];
+    const game = new LudoGame(gameId, started.players, {
+      ...started.options,
+      dice: options.dice,
+    });
+    events.slice(startIndex).forEach((event) => game.apply(event));
+    game.savedEventCount = game.events.length;
+
+    return game;
+  }
+
   // Get game state
   getGameState() {
     return {
@@ -361,26 +1656,57 @@ class LudoGame {
       currentPlayer: this.getCurrentPlayer(),
       gameStatus: this.gameStatus,
       winnerId: this.winnerId,
+      finishingOrder: this.finishingOrder,
       piecePositions: this.piecePositions,
       lastDiceRoll: this.lastDiceRoll,
+      sixStreak: this.sixStreak,
+      lastMovedPiece: this.lastMovedPiece,
+      turnTimer: this.turnTimer,
+      turnTimeouts: this.turnTimeouts,
       moveHistory: this.moveHistory.slice(-10), // Last 10 moves
       boardConfig: this.boardConfig,
+      boardGeometry: getBoardGeometry(this.boardConfig.layout),
+      pieceProgress: this.getAllPieceProgress(),
+      rules: this.rules,
+      capturesMade: this.capturesMade,
+      teamMode: this.teamMode,
+      partnerPlay: this.partnerPlay,
+      teams: this.teams,
+      winningTeam: this.winningTeam,
+      gameMode: this.gameMode,
+      openingRoll: this.openingRoll,
+      openingRolls: this.openingRolls,
+      plugins: this.getPluginNames(),
+      arcade: this.arcade,
+      powerUpSquares: this.arcade ? getPowerUpSquares(this.boardConfig) : {},
+      items: this.items,
+      shields: this.shields,
+      handicaps: this.handicaps,
+      extraRolls: this.extraRolls,
+      rated: this.isRated(),
+      scores: this.scores,
+      gameClocks: this.gameClocks,
+      gameClock: this.gameClock,
+      dice: this.dice.getPublicInfo(this.gameStatus === "finished"),
     };
   }
 
-  // Get public game state (for other players)
-  getPublicGameState(requestingPlayerId) {
-    const state = this.getGameState();
-
-    // Hide dice roll if it's not the requesting player's turn
-    if (
-      state.lastDiceRoll &&
-      state.lastDiceRoll.playerId !== requestingPlayerId
-    ) {
-      state.lastDiceRoll = null;
-    }
+  // Get full snapshot for caching (includes secret dice state)
+  getSnapshot() {
+    return {
+      ...this.getGameState(),
+      events: this.events,
+      savedEventCount: this.savedEventCount,
+      diceState: this.dice.getState(),
+    };
+  }
 
-    return state;
+  // Get game state as seen by a viewer (see projection.js for the views)
+  getPublicGameState(requestingPlayerId, isAdmin = false) {
+    return projectGameState(this.getGameState(), {
+      userId: requestingPlayerId,
+      isAdmin,
+    });
   }
 
   // Get player statistics
@@ -399,53 +1725,54 @@ class LudoGame {
       piecesHome,
       piecesInPlay,
       piecesAtStart,
-      totalMoves: this.moveHistory.filter((move) => move.playerId === playerId)
-        .length,
+      score: this.scores[playerId] || 0,
+      totalMoves: this.moveHistory.filter(
+        (move) =>
+          move.playerId === playerId &&
+          (move.type || "move") === "move" &&
+          !move.reverted
+      ).length,
     };
   }
 
   // Reset the game
   reset() {
-    this.currentTurn = 0;
-    this.gameStatus = "waiting";
-    this.winnerId = null;
-    this.lastDiceRoll = null;
-    this.moveHistory = [];
+    Object.assign(this, createInitialState(this.players, this.teams));
+    this.events = [];
+    this.savedEventCount = 0;
+    this.turnTimer = null;
+    this.gameClock = null;
 
-    // Reset all piece positions
     this.players.forEach((player) => {
-      this.piecePositions[player.id] = [0, 0, 0, 0];
+      this.gameClocks[player.id] = config.game.gameTimeoutMs;
     });
   }
 
   // Validate game state
   validateGameState() {
-    // Check player count
-    if (
-      this.players.length < config.game.minPlayersPerGame ||
-      this.players.length > config.game.maxPlayersPerGame
-    ) {
-      return false;
-    }
+    return this.getInvariantViolations().length === 0;
+  }
 
-    // Check piece positions
-    for (const playerId in this.piecePositions) {
-      const pieces = this.piecePositions[playerId];
-      if (pieces.length !== 4) return false;
+  // Get every invariant the current state breaks (see invariants.js)
+  getInvariantViolations() {
+    return checkInvariants(this);
+  }
 
-      for (const position of pieces) {
-        if (
-          position < 0 ||
-          position >
-            this.boardConfig.totalSquares + this.boardConfig.homeSquares
-        ) {
-          return false;
-        }
-      }
-    }
+  // Recompute the engine state by replaying the event log, dropping any edit
+  // made outside the reducer (false when there is no log to replay)
+  rebuildState() {
+    if (this.events.length === 0) return false;
 
+    Object.assign(this, replayEvents(createInitialState(), this.events));
     return true;
   }
+
+  // Drop the events logged after the first eventCount and recompute the
+  // state (takes back a change that could not be persisted)
+  rollbackTo(eventCount) {
+    this.events = this.events.slice(0, eventCount);
+    return this.rebuildState();
+  }
 }
 
 module.exports = LudoGame;
@@ -0,0 +1,216 @@
+// Board layouts: each seat owns an arm of 13 main track squares
+// Drawing: arms are 3 cells wide and point out from the center of a square
+// grid, one every 360/seats degrees clockwise (seat 0 points down).
+const BOARD_LAYOUTS = {
+  classic: {
+    seats: 4,
+    colors: ["red", "blue", "green", "yellow"],
+    gridSize: 15, // 15x15 cells, every square on a whole cell
+    armStart: 2, // Cells between the center and an arm's first cell
+    yardDistance: 4.5 * Math.SQRT2, // Center to the middle of each yard
+  },
+  six_player: {
+    seats: 6,
+    colors: ["red", "blue", "green", "yellow", "purple", "orange"],
+    gridSize: 23, // Arms at 60 degrees: coordinates are not whole cells
+    armStart: 4,
+    yardDistance: 9,
+  },
+};
+
+const SQUARES_PER_SEAT = 13;
+const HOME_SQUARES = 6;
+const SAFE_SQUARE_OFFSET = 8; // Star square 8 steps past each start square
+const ARM_LENGTH = 6; // Cells from an arm's first cell to its tip
+const START_CELL = 8; // Start square is the 9th of the 13 squares on its arm
+const YARD_SLOTS = [
+  [-1.5, -1.5],
+  [1.5, -1.5],
+  [-1.5, 1.5],
+  [1.5, 1.5],
+]; // Piece slots around the middle of a yard (piece index order)
+
+// Get a board layout by name (classic by default)
+const getBoardLayout = (layout = "classic") => {
+  const board = BOARD_LAYOUTS[layout || "classic"];
+  if (!board) {
+    throw new Error(`Unknown board layout: ${layout}`);
+  }
+  return board;
+};
+
+// Build the board geometry used by LudoGame
+// Main track squares are 1..totalSquares, the home track of every seat is
+// totalSquares+1..totalSquares+homeSquares and the last one is the finish.
+const createBoardConfig = (layout = "classic") => {
+  const { seats, colors } = getBoardLayout(layout);
+  const totalSquares = seats * SQUARES_PER_SEAT;
+
+  const playerStartSquares = {};
+  const playerHomeEntrySquares = {};
+  const safeSquares = [];
+
+  for (let seat = 0; seat < seats; seat++) {
+    const start = seat * SQUARES_PER_SEAT + 1;
+    playerStartSquares[seat] = start;
+    // Home entry is two squares behind the start square
+    playerHomeEntrySquares[seat] =
+      ((start - 3 + totalSquares) % totalSquares) + 1;
+    safeSquares.push(start, start + SAFE_SQUARE_OFFSET);
+  }
+
+  return {
+    layout: layout || "classic",
+    seats,
+    colors,
+    totalSquares, // Main track squares
+    homeSquares: HOME_SQUARES, // Safe home squares for each player
+    safeSquares, // Safe squares on main track
+    playerStartSquares,
+    playerHomeEntrySquares,
+  };
+};
+
+// Squares a piece of a seat has travelled from the yard: 0 in the yard,
+// 1 on the start square, up to totalSquares + homeSquares - 1 at the finish
+const getRelativeProgress = (boardConfig, seat, position) => {
+  if (position === 0) return 0;
+
+  const { totalSquares } = boardConfig;
+  const start = boardConfig.playerStartSquares[seat];
+
+  if (position > totalSquares) {
+    const entry = boardConfig.playerHomeEntrySquares[seat];
+    const stepsToEntry = (entry - start + totalSquares) % totalSquares;
+    return stepsToEntry + 1 + (position - totalSquares);
+  }
+
+  return ((position - start + totalSquares) % totalSquares) + 1;
+};
+
+// Round grid coordinates to 2 decimals (+ 0 turns -0 into 0)
+const roundCoordinate = (value) => Math.round(value * 100) / 100 + 0;
+
+// Place a cell of an arm on the grid: along = cells out from the center,
+// side = -1 (outgoing column), 0 (middle) or 1 (incoming column)
+const placeOnArm = (layout, seat, along, side) => {
+  const { seats, gridSize } = getBoardLayout(layout);
+  const center = (gridSize - 1) / 2;
+  const angle = (2 * Math.PI * seat) / seats;
+
+  // Seat 0 points down (+y); later seats follow clockwise on screen
+  return {
+    x: roundCoordinate(
+      center + side * Math.cos(angle) - along * Math.sin(angle)
+    ),
+    y: roundCoordinate(
+      center + side * Math.sin(angle) + along * Math.cos(angle)
+    ),
+  };
+};
+
+// Grid cell of a main track square (1..totalSquares)
+const getSquareCoordinates = (layout, square) => {
+  const { seats, armStart } = getBoardLayout(layout);
+  const totalSquares = seats * SQUARES_PER_SEAT;
+  const armTip = armStart + ARM_LENGTH - 1;
+
+  // Index along the track where arm 0 starts with its incoming column
+  const index = (square - 1 + START_CELL) % totalSquares;
+  const seat = Math.floor(index / SQUARES_PER_SEAT);
+  const cell = index % SQUARES_PER_SEAT;
+
+  if (cell < ARM_LENGTH) {
+    return placeOnArm(layout, seat, armStart + cell, 1); // Incoming, outwards
+  }
+  if (cell === ARM_LENGTH) {
+    return placeOnArm(layout, seat, armTip, 0); // Tip of the arm
+  }
+  return placeOnArm(layout, seat, armTip - (cell - ARM_LENGTH - 1), -1); // Outgoing, inwards
+};
+
+// Grid coordinates, safe squares and per-seat start, home track and yard
+// slots for a layout (so clients do not re-derive the board)
+const buildBoardGeometry = (layout) => {
+  const board = getBoardLayout(layout);
+  const boardConfig = createBoardConfig(layout);
+  const { totalSquares, homeSquares } = boardConfig;
+  const armTip = board.armStart + ARM_LENGTH - 1;
+
+  const track = [];
+  for (let square = 1; square <= totalSquares; square++) {
+    const seatOf = (squares) =>
+      Object.keys(squares).find((seat) => squares[seat] === square);
+    const startOf = seatOf(boardConfig.playerStartSquares);
+    const homeEntryOf = seatOf(boardConfig.playerHomeEntrySquares);
+
+    track.push({
+      square,
+      ...getSquareCoordinates(layout, square),
+      safe: boardConfig.safeSquares.includes(square),
+      startOf: startOf !== undefined ? parseInt(startOf) : null,
+      homeEntryOf: homeEntryOf !== undefined ? parseInt(homeEntryOf) : null,
+    });
+  }
+
+  const seats = board.colors.map((color, seat) => {
+    // Home track runs up the middle of the seat's arm towards the center
+    const homeTrack = [];
+    for (let step = 1; step <= homeSquares; step++) {
+      homeTrack.push({
+        square: totalSquares + step,
+        step,
+        ...placeOnArm(layout, seat, armTip - step, 0),
+        finish: step === homeSquares,
+      });
+    }
+
+    // Yard sits between this arm and the next one clockwise
+    const angle = (2 * Math.PI * (seat + 0.5)) / board.seats;
+    const center = (board.gridSize - 1) / 2;
+    const yardX = center - board.yardDistance * Math.sin(angle);
+    const yardY = center + board.yardDistance * Math.cos(angle);
+    const yard = YARD_SLOTS.map(([dx, dy], slot) => ({
+      slot,
+      x: roundCoordinate(yardX + dx),
+      y: roundCoordinate(yardY + dy),
+    }));
+
+    return {
+      seat,
+      color,
+      startSquare: boardConfig.playerStartSquares[seat],
+      homeEntrySquare: boardConfig.playerHomeEntrySquares[seat],
+      homeTrack,
+      yard,
+    };
+  });
+
+  return {
+    layout: boardConfig.layout,
+    gridSize: board.gridSize,
+    totalSquares,
+    homeSquares,
+    safeSquares: boardConfig.safeSquares,
+    track,
+    seats,
+  };
+};
+
+// Board geometry for a layout (built once per layout, do not mutate)
+const geometryCache = {};
+const getBoardGeometry = (layout = "classic") => {
+  const key = layout || "classic";
+  if (!geometryCache[key]) {
+    geometryCache[key] = buildBoardGeometry(key);
+  }
+  return geometryCache[key];
+};
+
+module.exports = {
+  BOARD_LAYOUTS,
+  getBoardLayout,
+  createBoardConfig,
+  getRelativeProgress,
+  getBoardGeometry,
+};
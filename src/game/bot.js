@@ -0,0 +1,131 @@
+const { applyMove, evaluateMove } = require("./evaluator");
+
+// Computer opponent move selection
+const BOT_DIFFICULTIES = ["easy", "medium", "hard"];
+const YARD_EXIT_VALUE = 20; // Worth of a piece being out of the yard (hard bots)
+
+// Easy: any legal move
+const chooseRandom = (game, playerId, validMoves, random) =>
+  validMoves[Math.floor(random() * validMoves.length)];
+
+// Medium: greedy - best immediate heuristic score
+const scoreGreedy = (game, playerId, move) =>
+  evaluateMove(game, playerId, move).score;
+
+// Value of piece positions for a player: progress of own and partner pieces
+// (plus a bonus for each piece out of the yard) minus that of opponent pieces
+const evaluatePosition = (game, playerId, positions) => {
+  let value = 0;
+
+  game.players.forEach((player) => {
+    const own =
+      player.id === playerId || game.areTeammates(playerId, player.id);
+
+    positions[player.id].forEach((position) => {
+      const progress = game.getPieceProgress(player.id, position);
+      const pieceValue = progress + (position === 0 ? 0 : YARD_EXIT_VALUE);
+      value += own ? pieceValue : -pieceValue;
+    });
+  });
+
+  return value;
+};
+
+// Piece positions after each legal move of a player rolling one die, worked
+// out on a view of the game with the given positions (the game is not changed)
+const getReplies = (game, positions, playerId, diceValue) => {
+  const view = Object.create(game);
+  view.piecePositions = positions;
+  view.lastDiceRoll = null; // No double move item on a hypothetical roll
+
+  const replies = [];
+  positions[playerId].forEach((from, pieceIndex) => {
+    const move = view.calculateMove(playerId, pieceIndex, diceValue);
+    if (!move.isValid) return;
+
+    replies.push(
+      applyMove(view, {
+        pieceOwnerId: playerId,
+        pieceIndex,
+        to: move.newPosition,
+        capturedPlayers: move.capturedPlayers,
+      })
+    );
+  });
+
+  return replies;
+};
+
+// Hard: one-ply expectimax - after the bot's move, every opponent still racing
+// gets one roll; for each of the six values it plays the reply that hurts the
+// bot most. The score is the position value expected after those replies
+// (opponent dice are treated as a single die, and replies as independent).
+const scoreLookahead = (game, playerId, move) => {
+  const positions = applyMove(game, move);
+  const value = evaluatePosition(game, playerId, positions);
+  let score = value;
+
+  game.players.forEach((opponent) => {
+    if (
+      opponent.id === playerId ||
+      game.areTeammates(playerId, opponent.id) ||
+      game.isPlayerFinished(opponent.id)
+    ) {
+      return;
+    }
+
+    for (let diceValue = 1; diceValue <= 6; diceValue++) {
+      const replies = getReplies(game, positions, opponent.id, diceValue).map(
+        (reply) => evaluatePosition(game, playerId, reply)
+      );
+      const worst = replies.length > 0 ? Math.min(...replies) : value;
+      score += (worst - value) / 6;
+    }
+  });
+
+  // A capture is followed by another roll
+  if (move.canCapture && game.rules.extraTurnOnCapture) score += 10;
+
+  return score;
+};
+
+// Pick the highest scoring move (first one wins ties)
+const chooseBest = (game, playerId, validMoves, scoreMove) => {
+  let best = validMoves[0];
+  let bestScore = -Infinity;
+
+  validMoves.forEach((move) => {
+    const score = scoreMove(game, playerId, move);
+    if (score > bestScore) {
+      best = move;
+      bestScore = score;
+    }
+  });
+
+  return best;
+};
+
+// Choose a move among getValidMoves for a bot of the given difficulty
+const chooseMove = (
+  game,
+  playerId,
+  validMoves,
+  difficulty = "medium",
+  random = Math.random
+) => {
+  if (validMoves.length === 0) return null;
+
+  switch (difficulty) {
+    case "easy":
+      return chooseRandom(game, playerId, validMoves, random);
+    case "hard":
+      return chooseBest(game, playerId, validMoves, scoreLookahead);
+    default:
+      return chooseBest(game, playerId, validMoves, scoreGreedy);
+  }
+};
+
+module.exports = {
+  BOT_DIFFICULTIES,
+  chooseMove,
+};
@@ -0,0 +1,131 @@
+const crypto = require("crypto");
+const config = require("../config/app");
+
+const SEEDED_ALGORITHM = "hmac-sha256";
+
+// Generate a random server seed
+const generateSeed = () => crypto.randomBytes(32).toString("hex");
+
+// Hash a seed to publish as commitment before the game starts
+const hashSeed = (seed) =>
+  crypto.createHash("sha256").update(seed).digest("hex");
+
+// Derive the dice value (1-6) for a seed and roll nonce
+// Bytes of HMAC-SHA256(seed, "nonce:round") are read in order; bytes >= 252
+// are skipped so every face is equally likely.
+const deriveRoll = (seed, nonce) => {
+  for (let round = 0; ; round++) {
+    const digest = crypto
+      .createHmac("sha256", seed)
+      .update(`${nonce}:${round}`)
+      .digest();
+
+    for (const byte of digest) {
+      if (byte < 252) {
+        return (byte % 6) + 1;
+      }
+    }
+  }
+};
+
+// Verify recorded rolls ({ nonce, value }) against a revealed seed
+const verifyRolls = (seed, commitment, rolls) => {
+  const commitmentValid = hashSeed(seed) === commitment;
+  const mismatches = rolls.filter(
+    (roll) => deriveRoll(seed, roll.nonce) !== roll.value
+  );
+
+  return {
+    valid: commitmentValid && mismatches.length === 0,
+    commitmentValid,
+    mismatches,
+  };
+};
+
+// Crypto-secure dice without commitment (rolls cannot be verified later)
+class CryptoDice {
+  constructor(nonce = 0) {
+    this.type = "crypto";
+    this.nonce = nonce;
+  }
+
+  roll() {
+    const value = crypto.randomInt(1, 7);
+    const nonce = this.nonce++;
+    return { value, nonce };
+  }
+
+  getCommitment() {
+    return null;
+  }
+
+  // Public dice information (safe to send to clients)
+  getPublicInfo() {
+    return { type: this.type, nonce: this.nonce };
+  }
+
+  // Full state for restoring the dice source
+  getState() {
+    return { type: this.type, nonce: this.nonce };
+  }
+}
+
+// Deterministic dice derived from a seed (commit-reveal and replays)
+class SeededDice {
+  constructor(seed = generateSeed(), nonce = 0) {
+    this.type = "seeded";
+    this.seed = seed;
+    this.nonce = nonce;
+    this.commitment = hashSeed(seed);
+  }
+
+  roll() {
+    const nonce = this.nonce++;
+    return { value: deriveRoll(this.seed, nonce), nonce };
+  }
+
+  getCommitment() {
+    return this.commitment;
+  }
+
+  // Public dice information; the seed is only included once revealed
+  getPublicInfo(reveal = false) {
+    return {
+      type: this.type,
+      algorithm: SEEDED_ALGORITHM,
+      commitment: this.commitment,
+      nonce: this.nonce,
+      seed: reveal ? this.seed : null,
+    };
+  }
+
+  // Full state for restoring the dice source (contains the secret seed)
+  getState() {
+    return { type: this.type, seed: this.seed, nonce: this.nonce };
+  }
+}
+
+// Create a dice source from saved state or configuration
+const createDiceSource = (state = {}) => {
+  const type = state.type || config.game.diceSource;
+
+  if (type === "crypto") {
+    return new CryptoDice(state.nonce);
+  }
+
+  return new SeededDice(
+    state.seed || config.game.diceSeed || generateSeed(),
+    state.nonce
+  );
+};
+
+module.exports = {
+  SEEDED_ALGORITHM,
+  CryptoDice,
+  SeededDice,
+  createDiceSource,
+  generateSeed,
+  hashSeed,
+  deriveRoll,
+  verifyRolls,
+};
@@ -0,0 +1,97 @@
+// Heuristic move evaluation (move hints and bot play)
+const MOVE_REASONS = {
+  capture: { points: 100, message: "Captures an opponent piece" },
+  finish: { points: 80, message: "Brings a piece to the finish" },
+  leave_yard: { points: 60, message: "Brings a new piece onto the board" },
+  enter_home: { points: 40, message: "Enters the home track out of reach" },
+  safe_square: { points: 30, message: "Lands on a safe square" },
+  escape_danger: {
+    points: 25,
+    message: "Moves a piece out of reach of opponents",
+  },
+  blockade: { points: 20, message: "Forms a blockade" },
+  danger: { points: -50, message: "Lands within reach of opponent pieces" }, // Per threatening piece
+};
+
+// Copy piece positions with a move applied (captures send the pieces home)
+const applyMove = (game, move) => {
+  const positions = {};
+  game.players.forEach((player) => {
+    positions[player.id] = [...game.piecePositions[player.id]];
+  });
+
+  (move.capturedPlayers || []).forEach((capturedPlayer) => {
+    const captured = positions[capturedPlayer];
+    captured[captured.indexOf(move.to)] = 0;
+  });
+  positions[move.pieceOwnerId][move.pieceIndex] = move.to;
+
+  return positions;
+};
+
+// Count opponent pieces that can land on a main track square with one roll
+const countThreats = (game, playerId, square, positions) => {
+  const { totalSquares } = game.boardConfig;
+  if (square < 1 || square > totalSquares || game.isSafeSquare(square)) {
+    return 0;
+  }
+
+  let threats = 0;
+  game.players.forEach((player) => {
+    if (player.id === playerId || game.areTeammates(playerId, player.id)) {
+      return;
+    }
+
+    positions[player.id].forEach((position) => {
+      if (position < 1 || position > totalSquares) return;
+      const distance = (square - position + totalSquares) % totalSquares;
+      if (distance >= 1 && distance <= 6) threats++;
+    });
+  });
+
+  return threats;
+};
+
+// Score a candidate move from getValidMoves and explain the score
+const evaluateMove = (game, playerId, move) => {
+  const reasons = [];
+  const add = (code, count = 1) => {
+    const { points, message } = MOVE_REASONS[code];
+    reasons.push({ code, points: points * count, message });
+  };
+
+  if (move.canCapture) add("capture");
+  if (move.reachesHome) add("finish");
+  if (move.from === 0) add("leave_yard");
+  if (move.entersHome) add("enter_home");
+  if (game.isSafeSquare(move.to)) add("safe_square");
+  if (countThreats(game, playerId, move.from, game.piecePositions) > 0) {
+    add("escape_danger");
+  }
+  if (move.formsBlockade) add("blockade");
+
+  const threats = countThreats(game, playerId, move.to, applyMove(game, move));
+  if (threats > 0) add("danger", threats);
+
+  // Progress toward home breaks ties in favour of the leading piece
+  const progress = game.getPieceProgress(move.pieceOwnerId, move.to);
+  const score =
+    reasons.reduce((total, reason) => total + reason.points, 0) +
+    progress / 100;
+
+  return { score, progress, reasons };
+};
+
+// Rank candidate moves, best first (stable for equal scores)
+const rankMoves = (game, playerId, validMoves) =>
+  validMoves
+    .map((move) => ({ ...move, ...evaluateMove(game, playerId, move) }))
+    .sort((a, b) => b.score - a.score);
+
+module.exports = {
+  MOVE_REASONS,
+  applyMove,
+  countThreats,
+  evaluateMove,
+  rankMoves,
+};
@@ -0,0 +1,482 @@
+// Game events: the engine's append-only log and the pure reducer over it.
+// LudoGame decides what happens (validation, rules, dice) and records the
+// outcome as events; reduceGame turns (state, event) into the next state
+// without touching either, so any game can be rebuilt by replaying its log.
+const EVENTS = {
+  GAME_STARTED: "GameStarted",
+  OPENING_ROLLED: "OpeningRolled", // Roll-off for the first turn
+  FIRST_TURN_DECIDED: "FirstTurnDecided",
+  DICE_ROLLED: "DiceRolled",
+  PIECE_MOVED: "PieceMoved",
+  PIECE_CAPTURED: "PieceCaptured",
+  MOVE_UNDONE: "MoveUndone",
+  TURN_PASSED: "TurnPassed", // kind: end, pass, penalty or skip
+  TURN_TIMED_OUT: "TurnTimedOut",
+  PLAYER_FINISHED: "PlayerFinished",
+  PLAYER_REMOVED: "PlayerRemoved",
+  ITEM_GRANTED: "ItemGranted", // Arcade mode power-up square
+  ITEM_USED: "ItemUsed",
+  GAME_ENDED: "GameEnded",
+};
+
+// Engine fields owned by the reducer (wall-clock timers are kept outside)
+const STATE_FIELDS = [
+  "players",
+  "currentTurn",
+  "gameStatus",
+  "winnerId",
+  "winningTeam",
+  "finishingOrder",
+  "lastDiceRoll",
+  "moveHistory",
+  "sixStreak",
+  "lastMovedPiece",
+  "turnTimeouts",
+  "piecePositions",
+  "capturesMade",
+  "scores",
+  "teams",
+  "openingRolls",
+  "items",
+  "shields",
+  "extraRolls",
+  "seats",
+];
+
+// Create an event (frozen so the log cannot be edited in place)
+const createEvent = (type, payload = {}) =>
+  Object.freeze({ type, ...payload, timestamp: new Date().toISOString() });
+
+// Build a per-player map with the same initial value for everyone
+const perPlayer = (players, initial) => {
+  const map = {};
+  players.forEach((player) => {
+    map[player.id] = typeof initial === "function" ? initial() : initial;
+  });
+  return map;
+};
+
+// Map player IDs to their board seat (order at the start of the game)
+const seatsOf = (players) => {
+  const seats = {};
+  players.forEach((player, seat) => {
+    seats[player.id] = seat;
+  });
+  return seats;
+};
+
+// State of a game that has not started yet
+const createInitialState = (players = [], teams = {}) => ({
+  players: [...players],
+  currentTurn: 0, // Index of current player
+  gameStatus: "waiting", // waiting, playing, finished
+  winnerId: null,
+  winningTeam: null,
+  finishingOrder: [], // Player IDs in the order they got all pieces home
+  lastDiceRoll: null,
+  moveHistory: [],
+  sixStreak: 0, // Consecutive sixes rolled in the current turn
+  lastMovedPiece: null, // { playerId, pieceIndex } moved last in the current turn
+  turnTimeouts: perPlayer(players, 0), // Number of turns each player let expire
+  piecePositions: perPlayer(players, () => [0, 0, 0, 0]), // All pieces start at home (position 0)
+  capturesMade: perPlayer(players, 0), // Number of opponent pieces captured by each player
+  scores: perPlayer(players, 0), // Points for squares advanced and captures
+  teams: { ...teams }, // Map player IDs to team index
+  openingRolls: [], // Roll-off for the first turn: { playerId, value, nonce, round }
+  items: perPlayer(players, () => []), // Arcade items each player holds
+  shields: perPlayer(players, () => []), // Indexes of each player's shielded pieces
+  extraRolls: perPlayer(players, 0), // Handicap rolls each player has left
+  seats: seatsOf(players), // Board seat of each player (start square, home track)
+});
+
+// Copy a map with one player's entry replaced
+const withEntry = (map, playerId, value) => ({ ...map, [playerId]: value });
+
+// Copy a map without one player's entry
+const withoutEntry = (map, playerId) => {
+  const copy = { ...map };
+  delete copy[playerId];
+  return copy;
+};
+
+// Copy a roll with one die spent (the roll is used once every die is)
+const withDieUsed = (roll, dieIndex = 0) => {
+  const dice = roll.dice.map((die, index) =>
+    index === dieIndex ? { ...die, used: true } : die
+  );
+  return { ...roll, dice, used: dice.every((die) => die.used) };
+};
+
+// Copy piece positions with one piece moved
+const withPiece = (piecePositions, playerId, pieceIndex, position) => {
+  const pieces = [...piecePositions[playerId]];
+  pieces[pieceIndex] = position;
+  return withEntry(piecePositions, playerId, pieces);
+};
+
+// Copy shields with one piece's shield dropped (it moved or left the track)
+const withoutShield = (shields = {}, playerId, pieceIndex) =>
+  withEntry(
+    shields,
+    playerId,
+    (shields[playerId] || []).filter((index) => index !== pieceIndex)
+  );
+
+// Copy an item list with one of the item spent
+const withoutItem = (items = [], item) => {
+  const index = items.indexOf(item);
+  return index === -1
+    ? items
+    : [...items.slice(0, index), ...items.slice(index + 1)];
+};
+
+// Apply the effect of a used item
+const applyItem = (state, event) => {
+  switch (event.item) {
+    case "shield":
+      return {
+        shields: withEntry(state.shields, event.pieceOwnerId, [
+          ...(state.shields[event.pieceOwnerId] || []),
+          event.pieceIndex,
+        ]),
+      };
+    case "double_move":
+      return { lastDiceRoll: { ...state.lastDiceRoll, doubled: true } };
+    case "swap":
+      return {
+        piecePositions: withPiece(
+          withPiece(
+            state.piecePositions,
+            event.pieceOwnerId,
+            event.pieceIndex,
+            event.to
+          ),
+          event.targetPlayerId,
+          event.targetPieceIndex,
+          event.from
+        ),
+        shields: withoutShield(
+          state.shields,
+          event.pieceOwnerId,
+          event.pieceIndex
+        ),
+      };
+    case "reroll":
+      // The new roll follows as its own DiceRolled event
+      return {
+        lastDiceRoll: { ...state.lastDiceRoll, used: true, rerolled: true },
+        sixStreak: event.sixStreak,
+      };
+    default:
+      throw new Error(`Unknown item: ${event.item}`);
+  }
+};
+
+// Apply one event to a state, returning the next state
+const reduceGame = (state, event) => {
+  switch (event.type) {
+    case EVENTS.GAME_STARTED: {
+      // Handicap head starts and extra rolls were worked out by LudoGame
+      // (logs from before handicaps have neither)
+      const initial = createInitialState(event.players, event.teams);
+      return {
+        ...initial,
+        piecePositions: event.piecePositions || initial.piecePositions,
+        extraRolls: event.extraRolls || initial.extraRolls,
+        gameStatus: "playing",
+      };
+    }
+
+    case EVENTS.OPENING_ROLLED:
+      return {
+        ...state,
+        openingRolls: [
+          ...state.openingRolls,
+          {
+            playerId: event.playerId,
+            value: event.value,
+            nonce: event.nonce,
+            round: event.round,
+          },
+        ],
+      };
+
+    case EVENTS.FIRST_TURN_DECIDED:
+      return { ...state, currentTurn: event.currentTurn };
+
+    case EVENTS.DICE_ROLLED:
+      return {
+        ...state,
+        sixStreak: event.sixStreak,
+        lastDiceRoll: {
+          playerId: event.playerId,
+          value: event.value,
+          nonce: event.nonce,
+          // Every die rolled (logs from before the two-dice variant have one)
+          dice: (event.dice || [event]).map(({ value, nonce }) => ({
+            value,
+            nonce,
+            used: false,
+          })),
+          sixStreak: event.sixStreak,
+          timestamp: event.timestamp,
+        },
+      };
+
+    case EVENTS.PIECE_CAPTURED:
+      return {
+        ...state,
+        piecePositions: withPiece(
+          state.piecePositions,
+          event.capturedPlayer,
+          event.capturedPieceIndex,
+          0 // Send back to the yard
+        ),
+        capturesMade: withEntry(
+          state.capturesMade,
+          event.pieceOwnerId,
+          (state.capturesMade[event.pieceOwnerId] || 0) + 1
+        ),
+      };
+
+    case EVENTS.PIECE_MOVED: {
+      const { type, timestamp, ...record } = event;
+      return {
+        ...state,
+        piecePositions: withPiece(
+          state.piecePositions,
+          event.pieceOwnerId,
+          event.pieceIndex,
+          event.to
+        ),
+        shields: withoutShield(
+          state.shields,
+          event.pieceOwnerId,
+          event.pieceIndex
+        ),
+        lastMovedPiece: {
+          playerId: event.pieceOwnerId,
+          pieceIndex: event.pieceIndex,
+        },
+        lastDiceRoll: withDieUsed(state.lastDiceRoll, event.dieIndex),
+        scores: withEntry(
+          state.scores,
+          event.playerId,
+          (state.scores[event.playerId] || 0) + (event.points || 0)
+        ),
+        moveHistory: [
+          ...state.moveHistory,
+          { type: "move", ...record, timestamp },
+        ],
+      };
+    }
+
+    case EVENTS.MOVE_UNDONE: {
+      // The restored state was computed by replaying the log before the move;
+      // the move stays in history, marked as reverted
+      const index = state.moveHistory.findIndex(
+        (record) =>
+          record.type === "move" &&
+          record.rollNonce === event.rollNonce &&
+          !record.reverted
+      );
+      const moveHistory = [...state.moveHistory];
+      if (index !== -1) {
+        moveHistory[index] = { ...moveHistory[index], reverted: true };
+      }
+
+      return { ...state, ...event.restore, moveHistory };
+    }
+
+    case EVENTS.TURN_PASSED: {
+      const { type, kind, nextTurn, timestamp, ...record } = event;
+      const next = {
+        ...state,
+        currentTurn: nextTurn,
+      };
+
+      // Shields last until their owner's next turn starts
+      const nextPlayer = state.players[nextTurn];
+      if (nextPlayer && nextTurn !== state.currentTurn && state.shields) {
+        next.shields = withEntry(state.shields, nextPlayer.id, []);
+      }
+
+      // A 6 with no legal moves keeps the turn (and the streak); a handicap
+      // extra roll keeps the turn as a fresh one
+      if (!event.extraTurn || event.extraRoll) {
+        next.sixStreak = 0;
+        next.lastMovedPiece = null;
+      }
+      if (event.extraRoll) {
+        const current = state.players[state.currentTurn];
+        next.extraRolls = withEntry(
+          state.extraRolls,
+          current.id,
+          state.extraRolls[current.id] - 1
+        );
+      }
+
+      if (kind === "end" && state.lastDiceRoll && !state.lastDiceRoll.used) {
+        // Dice left with no legal move are dropped
+        next.lastDiceRoll = { ...state.lastDiceRoll, used: true };
+      } else if (kind === "pass") {
+        next.lastDiceRoll = { ...state.lastDiceRoll, passed: true };
+      } else if (kind === "penalty") {
+        next.lastDiceRoll = { ...state.lastDiceRoll, forfeited: true };
+        if (event.to === 0) {
+          next.piecePositions = withPiece(
+            state.piecePositions,
+            event.pieceOwnerId,
+            event.pieceIndex,
+            0
+          );
+          next.shields = withoutShield(
+            next.shields,
+            event.pieceOwnerId,
+            event.pieceIndex
+          );
+        }
+      } else if (
+        kind === "skip" &&
+        state.lastDiceRoll &&
+        state.lastDiceRoll.playerId === event.playerId
+      ) {
+        next.lastDiceRoll = { ...state.lastDiceRoll, used: true };
+      }
+
+      // Passes, penalties and skips are part of the move history
+      if (kind !== "end") {
+        next.moveHistory = [
+          ...state.moveHistory,
+          { type: kind, ...record, timestamp },
+        ];
+      }
+
+      return next;
+    }
+
+    case EVENTS.TURN_TIMED_OUT:
+      return {
+        ...state,
+        turnTimeouts: withEntry(
+          state.turnTimeouts,
+          event.playerId,
+          (state.turnTimeouts[event.playerId] || 0) + 1
+        ),
+      };
+
+    case EVENTS.PLAYER_FINISHED:
+      return state.finishingOrder.includes(event.playerId)
+        ? state
+        : {
+            ...state,
+            finishingOrder: [...state.finishingOrder, event.playerId],
+          };
+
+    case EVENTS.PLAYER_REMOVED: {
+      const next = {
+        ...state,
+        players: state.players.filter((player) => player.id !== event.playerId),
+        currentTurn: event.currentTurn,
+        piecePositions: withoutEntry(state.piecePositions, event.playerId),
+        capturesMade: withoutEntry(state.capturesMade, event.playerId),
+        turnTimeouts: withoutEntry(state.turnTimeouts, event.playerId),
+        scores: withoutEntry(state.scores, event.playerId),
+        teams: withoutEntry(state.teams, event.playerId),
+        items: withoutEntry(state.items, event.playerId),
+        shields: withoutEntry(state.shields, event.playerId),
+        extraRolls: withoutEntry(state.extraRolls, event.playerId),
+      };
+
+      // Lobby seats close up; once the game is on the others keep theirs
+      next.seats =
+        state.gameStatus === "waiting"
+          ? seatsOf(next.players)
+          : withoutEntry(state.seats, event.playerId);
+
+      // Turn state belongs to the removed player, and the next player's
+      // turn starts (ending their shields)
+      if (event.wasCurrent) {
+        next.sixStreak = 0;
+        next.lastMovedPiece = null;
+
+        const nextPlayer = next.players[event.currentTurn];
+        if (nextPlayer && next.shields) {
+          next.shields = withEntry(next.shields, nextPlayer.id, []);
+        }
+      }
+
+      // Nobody may play a roll the removed player left pending
+      if (
+        state.lastDiceRoll &&
+        state.lastDiceRoll.playerId === event.playerId &&
+        !state.lastDiceRoll.used
+      ) {
+        next.lastDiceRoll = { ...state.lastDiceRoll, used: true };
+      }
+
+      return next;
+    }
+
+    case EVENTS.ITEM_GRANTED:
+      return {
+        ...state,
+        items: withEntry(state.items, event.playerId, [
+          ...(state.items[event.playerId] || []),
+          event.item,
+        ]),
+      };
+
+    case EVENTS.ITEM_USED: {
+      const { type, timestamp, ...record } = event;
+      return {
+        ...state,
+        items: withEntry(
+          state.items,
+          event.playerId,
+          withoutItem(state.items[event.playerId], event.item)
+        ),
+        ...applyItem(state, event),
+        moveHistory: [
+          ...state.moveHistory,
+          { type: "item", ...record, timestamp },
+        ],
+      };
+    }
+
+    case EVENTS.GAME_ENDED:
+      return {
+        ...state,
+        gameStatus: "finished",
+        winnerId: event.winnerId,
+        winningTeam: event.winningTeam !== undefined ? event.winningTeam : null,
+        finishingOrder: event.finishingOrder || state.finishingOrder,
+      };
+
+    default:
+      throw new Error(`Unknown game event: ${event.type}`);
+  }
+};
+
+// Replay a log onto a state
+const replayEvents = (state, events) => events.reduce(reduceGame, state);
+
+// Next dice nonce after a log (so a rebuilt dice source continues the sequence)
+const getNextDiceNonce = (events) =>
+  events.reduce(
+    (next, event) =>
+      event.type === EVENTS.DICE_ROLLED || event.type === EVENTS.OPENING_ROLLED
+        ? Math.max(next, ...(event.dice || [event]).map((die) => die.nonce + 1))
+        : next,
+    0
+  );
+
+module.exports = {
+  EVENTS,
+  STATE_FIELDS,
+  createEvent,
+  createInitialState,
+  reduceGame,
+  replayEvents,
+  getNextDiceNonce,
+};
@@ -0,0 +1,160 @@
+const Joi = require("joi");
+const { getRelativeProgress } = require("./board");
+
+// Handicaps for mixed-skill games (games.game_settings.handicaps), one entry
+// per seat that gets help. Squares count along the seat's own lap of the main
+// track: 1 is its start square, the last one its home entry square.
+//   headStart        squares of pieces placed on the track when the game starts
+//   extraRolls       turns that end with another roll instead of passing
+//   immunitySquares  squares where the seat's pieces cannot be captured
+// Games with any handicap are unrated (user statistics are left alone).
+const MAX_EXTRA_ROLLS = 20;
+
+// Handicaps validation schema for a board (seats and squares it has)
+const createHandicapsSchema = (boardConfig) => {
+  const lap = boardConfig.totalSquares - 1; // Home entry square
+
+  return Joi.array()
+    .items(
+      Joi.object({
+        seat: Joi.number()
+          .integer()
+          .min(0)
+          .max(boardConfig.seats - 1)
+          .required()
+          .messages({
+            "number.base": "Handicap seat must be a number",
+            "number.min": "Handicap seat must be between 0 and {#limit}",
+            "number.max": "Handicap seat must be between 0 and {#limit}",
+            "any.required": "Handicap seat is required",
+          }),
+
+        headStart: Joi.array()
+          .items(Joi.number().integer().min(1).max(lap))
+          .max(4)
+          .default([])
+          .messages({
+            "array.base": "Head start must be an array of squares",
+            "array.max": "Head start can place at most 4 pieces",
+            "number.min": "Head start squares start at 1 (the start square)",
+            "number.max": "Head start squares go up to {#limit} on this board",
+          }),
+
+        extraRolls: Joi.number()
+          .integer()
+          .min(0)
+          .max(MAX_EXTRA_ROLLS)
+          .default(0)
+          .messages({
+            "number.base": "Extra rolls must be a number",
+            "number.min": "Extra rolls cannot be negative",
+            "number.max": "Extra rolls cannot exceed {#limit}",
+          }),
+
+        immunitySquares: Joi.array()
+          .items(Joi.number().integer().min(1).max(lap))
+          .unique()
+          .default([])
+          .messages({
+            "array.base": "Immunity squares must be an array of squares",
+            "array.unique": "Each immunity square can only be listed once",
+            "number.min": "Immunity squares start at 1 (the start square)",
+            "number.max": "Immunity squares go up to {#limit} on this board",
+          }),
+      })
+    )
+    .unique("seat")
+    .messages({
+      "array.base": "Handicaps must be an array",
+      "array.unique": "Each seat can only have one handicap",
+    });
+};
+
+// Validate handicaps against a board and fill in defaults
+const resolveHandicaps = (handicaps = [], boardConfig) => {
+  const { error, value } = createHandicapsSchema(boardConfig).validate(
+    handicaps || [],
+    { abortEarly: false, stripUnknown: true }
+  );
+
+  if (error) {
+    throw new Error(`Invalid handicaps: ${error.message}`);
+  }
+
+  return value;
+};
+
+// Main track square a seat reaches after travelling a number of squares of its lap
+const getLapSquare = (boardConfig, seat, square) =>
+  ((boardConfig.playerStartSquares[seat] - 2 + square) %
+    boardConfig.totalSquares) +
+  1;
+
+// Place the head start pieces of resolved handicaps: seat -> main track
+// squares. Own pieces may only share a square as a blockade and opponents
+// only on a safe square; areTeammates(seat, otherSeat) tells partners apart.
+const placeHeadStarts = (
+  handicaps,
+  boardConfig,
+  rules,
+  areTeammates = () => false
+) => {
+  const squares = {};
+  const occupants = {}; // Square -> seats with a piece there
+  handicaps.forEach((handicap) => {
+    squares[handicap.seat] = handicap.headStart.map((square) =>
+      getLapSquare(boardConfig, handicap.seat, square)
+    );
+    squares[handicap.seat].forEach((square) => {
+      occupants[square] = [...(occupants[square] || []), handicap.seat];
+    });
+  });
+
+  const maxOwnPieces = rules.blockades ? 2 : 1;
+  Object.keys(occupants).forEach((key) => {
+    const square = parseInt(key);
+    const seats = occupants[key];
+    const safe = rules.safeSquares && boardConfig.safeSquares.includes(square);
+
+    seats.forEach((seat) => {
+      if (seats.filter((other) => other === seat).length > maxOwnPieces) {
+        throw new Error(`Head starts put too many pieces on square ${square}`);
+      }
+      if (
+        !safe &&
+        seats.some((other) => other !== seat && !areTeammates(seat, other))
+      ) {
+        throw new Error(`Head starts put opponents on square ${square}`);
+      }
+    });
+  });
+
+  return squares;
+};
+
+// Check if a main track position is one of a seat's immunity squares
+const isImmunitySquare = (handicap, boardConfig, seat, position) =>
+  !!handicap &&
+  position >= 1 &&
+  position <= boardConfig.totalSquares &&
+  handicap.immunitySquares.includes(
+    getRelativeProgress(boardConfig, seat, position)
+  );
+
+// Check if handicaps give any seat help (an empty entry does not)
+const hasHandicaps = (handicaps = []) =>
+  handicaps.some(
+    (handicap) =>
+      handicap.headStart.length > 0 ||
+      handicap.extraRolls > 0 ||
+      handicap.immunitySquares.length > 0
+  );
+
+module.exports = {
+  createHandicapsSchema,
+  resolveHandicaps,
+  placeHeadStarts,
+  getLapSquare,
+  isImmunitySquare,
+  hasHandicaps,
+};
@@ -0,0 +1,299 @@
+const { ITEM_NAMES, MAX_ITEMS } = require("./items");
+
+// Invariants every reachable LudoGame state satisfies. A violation means the
+// state was corrupted (edited outside the reducer, a bad snapshot or a
+// tampered log): GameService repairs such a game or quarantines it.
+const GAME_STATUSES = ["waiting", "playing", "finished"];
+const PIECES_PER_PLAYER = 4;
+
+// Describe one broken invariant
+const violation = (code, message, details = {}) => ({
+  code,
+  message,
+  ...details,
+});
+
+// Seats: unique players, no more than the board has seats
+const checkPlayers = (game) => {
+  const violations = [];
+  const ids = game.players.map((player) => player.id);
+
+  if (!GAME_STATUSES.includes(game.gameStatus)) {
+    violations.push(
+      violation("game_status", `Unknown game status ${game.gameStatus}`)
+    );
+  }
+  if (game.players.length > game.boardConfig.seats) {
+    violations.push(
+      violation(
+        "player_count",
+        `${game.players.length} players on a ${game.boardConfig.seats}-seat board`
+      )
+    );
+  }
+  if (game.gameStatus === "playing" && game.players.length === 0) {
+    violations.push(violation("player_count", "Game in play has no players"));
+  }
+  ids.forEach((id, index) => {
+    if (ids.indexOf(id) !== index) {
+      violations.push(
+        violation("duplicate_player", `Player ${id} is seated twice`, {
+          playerId: id,
+        })
+      );
+    }
+  });
+
+  return violations;
+};
+
+// Pieces: four per seated player, on the board, none of an unseated player
+const checkPieceRanges = (game) => {
+  const violations = [];
+  const { totalSquares, homeSquares } = game.boardConfig;
+  const homeTarget = totalSquares + homeSquares;
+
+  game.players.forEach((player) => {
+    const pieces = game.piecePositions[player.id];
+    const valid =
+      Array.isArray(pieces) &&
+      pieces.length === PIECES_PER_PLAYER &&
+      pieces.every(
+        (position) =>
+          Number.isInteger(position) && position >= 0 && position <= homeTarget
+      );
+
+    if (!valid) {
+      violations.push(
+        violation(
+          "piece_positions",
+          `Player ${player.id} has invalid pieces ${JSON.stringify(pieces)}`,
+          { playerId: player.id }
+        )
+      );
+    } else if (
+      game.gameStatus === "waiting" &&
+      pieces.some((position) => position !== 0)
+    ) {
+      violations.push(
+        violation(
+          "piece_positions",
+          `Player ${player.id} has pieces out before the game started`,
+          { playerId: player.id }
+        )
+      );
+    }
+  });
+
+  Object.keys(game.piecePositions).forEach((key) => {
+    if (!game.players.some((player) => String(player.id) === key)) {
+      violations.push(
+        violation("orphan_pieces", `Pieces of unseated player ${key}`, {
+          playerId: key,
+        })
+      );
+    }
+  });
+
+  return violations;
+};
+
+// Squares: at most a blockade of own pieces, and opponents only share a
+// square when it is safe (anywhere else the later piece captured the other)
+const checkOccupancy = (game) => {
+  const violations = [];
+  const maxOwnPieces = game.rules.blockades ? 2 : 1;
+  const occupancy = game.getOccupancy();
+
+  Object.keys(occupancy).forEach((key) => {
+    const square = parseInt(key);
+    const occupants = occupancy[key];
+    const owners = [...new Set(occupants.map((o) => o.playerId))];
+
+    owners.forEach((playerId) => {
+      const count = occupants.filter((o) => o.playerId === playerId).length;
+      if (count > maxOwnPieces) {
+        violations.push(
+          violation(
+            "square_overfilled",
+            `Player ${playerId} has ${count} pieces on square ${square}`,
+            { playerId, square }
+          )
+        );
+      }
+    });
+
+    if (game.isSafeSquare(square)) return;
+    owners.forEach((playerId, index) => {
+      owners.slice(index + 1).forEach((otherId) => {
+        if (!game.areTeammates(playerId, otherId)) {
+          violations.push(
+            violation(
+              "square_shared",
+              `Players ${playerId} and ${otherId} share square ${square}`,
+              { playerId, square }
+            )
+          );
+        }
+      });
+    });
+  });
+
+  return violations;
+};
+
+// Turn: a seated player still racing, holding the only pending roll
+const checkTurn = (game) => {
+  if (game.gameStatus !== "playing" || game.players.length === 0) return [];
+
+  const violations = [];
+  const { currentTurn } = game;
+
+  if (
+    !Number.isInteger(currentTurn) ||
+    currentTurn < 0 ||
+    currentTurn >= game.players.length
+  ) {
+    return [
+      violation(
+        "current_turn",
+        `Turn ${currentTurn} points at no seated player`
+      ),
+    ];
+  }
+
+  const current = game.players[currentTurn];
+  if (game.isPlayerFinished(current.id) && game.getActivePlayers().length > 0) {
+    violations.push(
+      violation(
+        "current_turn",
+        `Turn is with player ${current.id}, who has finished`,
+        { playerId: current.id }
+      )
+    );
+  }
+
+  const roll = game.lastDiceRoll;
+  const pending = roll && !roll.used && !roll.passed && !roll.forfeited;
+  if (pending && roll.playerId !== current.id) {
+    violations.push(
+      violation(
+        "dice_owner",
+        `Pending roll belongs to player ${roll.playerId}, not ${current.id}`,
+        { playerId: roll.playerId }
+      )
+    );
+  }
+
+  return violations;
+};
+
+// Finishing order: each player once, and (while racing) only once the race is complete
+const checkFinishingOrder = (game) => {
+  const violations = [];
+
+  game.finishingOrder.forEach((playerId, index) => {
+    if (game.finishingOrder.indexOf(playerId) !== index) {
+      violations.push(
+        violation("finishing_order", `Player ${playerId} finished twice`, {
+          playerId,
+        })
+      );
+    } else if (
+      game.gameStatus === "playing" &&
+      game.getPlayerPosition(playerId) !== -1 &&
+      !game.hasCompletedRace(playerId)
+    ) {
+      violations.push(
+        violation(
+          "finishing_order",
+          `Player ${playerId} finished with pieces still out`,
+          { playerId }
+        )
+      );
+    }
+  });
+
+  return violations;
+};
+
+// Arcade items: known items within the inventory limit (none outside arcade
+// mode), shields only on pieces out on the main track
+const checkItems = (game) => {
+  const violations = [];
+  const { totalSquares } = game.boardConfig;
+
+  game.players.forEach((player) => {
+    const items = game.items[player.id] || [];
+    const limit = game.arcade ? MAX_ITEMS : 0;
+    if (
+      items.length > limit ||
+      items.some((item) => !ITEM_NAMES.includes(item))
+    ) {
+      violations.push(
+        violation(
+          "item_inventory",
+          `Player ${player.id} holds items ${JSON.stringify(items)}`,
+          { playerId: player.id }
+        )
+      );
+    }
+
+    (game.shields[player.id] || []).forEach((pieceIndex) => {
+      const position = game.piecePositions[player.id][pieceIndex];
+      if (!(position >= 1 && position <= totalSquares)) {
+        violations.push(
+          violation(
+            "shield",
+            `Player ${player.id} has a shield on piece ${pieceIndex} off the main track`,
+            { playerId: player.id, pieceIndex }
+          )
+        );
+      }
+    });
+  });
+
+  return violations;
+};
+
+// Handicap extra rolls: never more left than the seat was given
+const checkExtraRolls = (game) => {
+  const violations = [];
+
+  game.players.forEach((player) => {
+    const left = (game.extraRolls || {})[player.id] || 0;
+    const handicap = game.getHandicap(player.id);
+    const given = handicap ? handicap.extraRolls : 0;
+    if (!Number.isInteger(left) || left < 0 || left > given) {
+      violations.push(
+        violation(
+          "extra_rolls",
+          `Player ${player.id} has ${left} of ${given} extra rolls left`,
+          { playerId: player.id }
+        )
+      );
+    }
+  });
+
+  return violations;
+};
+
+// Check a game against every invariant (an empty list means the state is sound)
+const checkInvariants = (game) => {
+  const violations = [...checkPlayers(game), ...checkPieceRanges(game)];
+
+  // Occupancy and turn checks read pieces of every seated player
+  if (violations.length > 0) return violations;
+
+  return [
+    ...checkOccupancy(game),
+    ...checkTurn(game),
+    ...checkFinishingOrder(game),
+    ...checkItems(game),
+    ...checkExtraRolls(game),
+  ];
+};
+
+module.exports = {
+  checkInvariants,
+};
@@ -0,0 +1,32 @@
+// Arcade mode items: power-up squares on the main track grant them to the
+// player whose piece lands there, and players use them on their own turn
+// (see LudoGame.useItem)
+const ITEMS = {
+  shield: "Protects one of your pieces from capture until your next turn",
+  double_move: "Doubles the squares moved with your pending roll",
+  swap: "Swaps one of your pieces with an opponent's piece before rolling",
+  reroll: "Throws your pending roll away and rolls again",
+};
+const ITEM_NAMES = Object.keys(ITEMS);
+
+const MAX_ITEMS = 3; // Items a player can hold at once
+const POWER_UP_OFFSET = 6; // Power-up square 6 steps past each start square
+
+// Get the power-up squares of a board: square -> item it grants
+// (each seat's square grants the next item in ITEM_NAMES order)
+const getPowerUpSquares = (boardConfig) => {
+  const squares = {};
+  Object.values(boardConfig.playerStartSquares).forEach((start, seat) => {
+    const square =
+      ((start - 1 + POWER_UP_OFFSET) % boardConfig.totalSquares) + 1;
+    squares[square] = ITEM_NAMES[seat % ITEM_NAMES.length];
+  });
+  return squares;
+};
+
+module.exports = {
+  ITEMS,
+  ITEM_NAMES,
+  MAX_ITEMS,
+  getPowerUpSquares,
+};
@@ -0,0 +1,573 @@
+const LudoGame = require("./LudoGame");
+const { EVENTS } = require("./events");
+const { resolveRules } = require("./rules");
+const { createBoardConfig } = require("./board");
+const { deriveRoll } = require("./dice");
+
+// Ludo game notation: PGN-style tag pairs, then one token per roll/move/capture/pass
+//
+//   [Game "42"]
+//   [Board "classic"]
+//   [Plugins "teleport forced_capture"]   (only when the lobby chose rule plugins)
+//   [Arcade "on"]                         (only in arcade mode)
+//   [Handicaps "1:1,14:2:5,6"]            (only with handicaps: seat:head start
+//                                          squares:extra rolls:immunity squares)
+//   [Red "12 alice"]
+//   [Blue "15 bot_3f9a hard"]
+//   [Seed "..."]
+//   [Result "R B"]
+//
+//   R6 Ra0-1 R4 Ra1-5 B2 B- R3 Ra5-8 ...
+//
+// Tokens start with the acting player's color letter:
+//   R6     rolled a 6
+//   Ra0-1  moved piece a (a-d) from square 0 to square 1
+//   xBa    the move before captured blue piece a
+//   R-     the roll had no legal move, turn passed
+//   R!     third six in a row forfeited the turn
+//   R~     turn skipped (turn clock expired)
+//   R<     last move taken back
+//   R#     player left the game
+//   R=4    rolled a 4 in the roll-off for the first turn ([Opening "roll"])
+//
+// With the two-dice rule a roll lists both dice and moves name the die spent:
+//   R35    rolled a 3 and a 5
+//   R3a5-8 moved piece a from square 5 to square 8 with the 3
+//
+// Arcade items (items granted by power-up squares need no token):
+//   R*Sa   shielded piece a
+//   R*D    doubled the pending roll
+//   R*R    re-rolled; the new roll follows (R*R R5)
+//   R*WaBc swapped piece a with blue piece c
+
+const PIECES = ["a", "b", "c", "d"];
+const TOKEN_PATTERN =
+  /^([A-Z])(?:([1-6]{1,2})|([1-6])?([a-d])(\d+)-(\d+)|([-!~<#])|\*(?:S([a-d])|W([a-d])([A-Z])([a-d])|([DR])))$/;
+const CAPTURE_PATTERN = /^x([A-Z])([a-d])$/;
+const OPENING_PATTERN = /^([A-Z])=([1-6])$/;
+const TAG_PATTERN = /^\[(\w+)\s+"([^"]*)"\]$/;
+const LINE_LENGTH = 80;
+
+const SYMBOLS = {
+  pass: "-",
+  penalty: "!",
+  skip: "~",
+};
+
+// Item tokens (shield and swap add the pieces they name)
+const ITEM_SYMBOLS = {
+  shield: "S",
+  double_move: "D",
+  reroll: "R",
+  swap: "W",
+};
+
+// Color letter (red -> R) and tag name (red -> Red)
+const colorLetter = (color) => color.charAt(0).toUpperCase();
+const colorTag = (color) => color.charAt(0).toUpperCase() + color.slice(1);
+
+// Map player IDs to color letters (seat colors when players have none)
+const getLetters = (players, boardConfig) => {
+  const letters = {};
+  players.forEach((player, seat) => {
+    letters[player.id] = colorLetter(player.color || boardConfig.colors[seat]);
+  });
+  return letters;
+};
+
+// Final result: finishing order (or winning team) as color letters, * if unfinished
+const formatResult = (game, letters) => {
+  if (game.gameStatus !== "finished") return "*";
+
+  const playerIds = game.teamMode ? game.getWinners() : game.finishingOrder;
+  return playerIds.map((playerId) => letters[playerId]).join(" ");
+};
+
+// Rules as space separated key=value pairs
+const formatRules = (rules) =>
+  Object.keys(rules)
+    .map((key) => `${key}=${rules[key]}`)
+    .join(" ");
+
+const parseRules = (text) => {
+  const rules = {};
+  text
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach((pair) => {
+      const [key, value] = pair.split("=");
+      if (value === undefined) {
+        throw new Error(`Malformed rule: ${pair}`);
+      }
+      rules[key] = value === "true" ? true : value === "false" ? false : value;
+    });
+  return rules;
+};
+
+// Handicaps as space separated seat:headStart:extraRolls:immunitySquares
+// entries (square lists comma separated, - when empty)
+const formatSquares = (squares) =>
+  squares.length > 0 ? squares.join(",") : "-";
+
+const formatHandicaps = (handicaps) =>
+  handicaps
+    .map((handicap) =>
+      [
+        handicap.seat,
+        formatSquares(handicap.headStart),
+        handicap.extraRolls,
+        formatSquares(handicap.immunitySquares),
+      ].join(":")
+    )
+    .join(" ");
+
+const parseSquares = (text) =>
+  text === "-" ? [] : text.split(",").map((square) => parseInt(square));
+
+const parseHandicaps = (text) =>
+  text
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((entry) => {
+      const [seat, headStart, extraRolls, immunitySquares] = entry.split(":");
+      if (immunitySquares === undefined) {
+        throw new Error(`Malformed handicap: ${entry}`);
+      }
+      return {
+        seat: parseInt(seat),
+        headStart: parseSquares(headStart),
+        extraRolls: parseInt(extraRolls),
+        immunitySquares: parseSquares(immunitySquares),
+      };
+    });
+
+// Wrap tokens into lines
+const wrapTokens = (tokens) => {
+  const lines = [];
+  let line = "";
+
+  tokens.forEach((token) => {
+    if (line && line.length + token.length + 1 > LINE_LENGTH) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  });
+  if (line) lines.push(line);
+
+  return lines;
+};
+
+// Write a game's event log (from its last GameStarted) as notation
+const exportNotation = (events, { gameId, seed, commitment } = {}) => {
+  const game = LudoGame.fromEvents(gameId, events);
+  const started = game.events[0];
+  const letters = getLetters(started.players, game.boardConfig);
+
+  const tags = [
+    ["Game", gameId !== undefined ? String(gameId) : "?"],
+    ["Board", game.boardConfig.layout],
+    ["Mode", game.gameMode],
+    ["Teams", game.partnerPlay ? "partner" : game.teamMode ? "on" : "off"],
+    ["Opening", game.openingRoll ? "roll" : "seat"],
+    ["Rules", formatRules(game.rules)],
+  ];
+  if (game.plugins.length > 0) {
+    tags.push(["Plugins", game.getPluginNames().join(" ")]);
+  }
+  if (game.arcade) {
+    tags.push(["Arcade", "on"]);
+  }
+  if (game.handicaps.length > 0) {
+    tags.push(["Handicaps", formatHandicaps(game.handicaps)]);
+  }
+
+  started.players.forEach((player, seat) => {
+    const color = player.color || game.boardConfig.colors[seat];
+    const fields = [player.id, player.username || "-"];
+    if (player.bot_difficulty) fields.push(player.bot_difficulty);
+    tags.push([colorTag(color), fields.join(" ")]);
+  });
+
+  if (seed) {
+    tags.push(["Seed", seed]);
+  } else if (commitment) {
+    tags.push(["Commitment", commitment]);
+  }
+
+  const tokens = [];
+  let captures = []; // Captures come before the move in the log, after it in notation
+  let termination = null;
+
+  game.events.forEach((event) => {
+    const letter = letters[event.playerId];
+
+    switch (event.type) {
+      case EVENTS.OPENING_ROLLED:
+        tokens.push(`${letter}=${event.value}`);
+        break;
+      case EVENTS.DICE_ROLLED:
+        tokens.push(
+          `${letter}${(event.dice || [event]).map((die) => die.value).join("")}`
+        );
+        break;
+      case EVENTS.PIECE_CAPTURED:
+        captures.push(
+          `x${letters[event.capturedPlayer]}${PIECES[event.capturedPieceIndex]}`
+        );
+        break;
+      case EVENTS.PIECE_MOVED:
+        tokens.push(
+          `${letter}${game.rules.diceCount > 1 ? event.diceValue : ""}${
+            PIECES[event.pieceIndex]
+          }${event.from}-${event.to}`
+        );
+        tokens.push(...captures);
+        captures = [];
+        break;
+      case EVENTS.TURN_PASSED:
+        if (SYMBOLS[event.kind]) tokens.push(`${letter}${SYMBOLS[event.kind]}`);
+        break;
+      case EVENTS.MOVE_UNDONE:
+        tokens.push(`${letter}<`);
+        break;
+      case EVENTS.PLAYER_REMOVED:
+        tokens.push(`${letter}#`);
+        break;
+      case EVENTS.ITEM_USED: {
+        let target = "";
+        if (event.item === "shield") {
+          target = PIECES[event.pieceIndex];
+        } else if (event.item === "swap") {
+          target = `${PIECES[event.pieceIndex]}${
+            letters[event.targetPlayerId]
+          }${PIECES[event.targetPieceIndex]}`;
+        }
+        tokens.push(`${letter}*${ITEM_SYMBOLS[event.item]}${target}`);
+        break;
+      }
+      case EVENTS.GAME_ENDED:
+        if (event.reason === "time") termination = "time";
+        break;
+      default:
+        break;
+    }
+  });
+
+  tags.push(["Result", formatResult(game, letters)]);
+  if (termination) tags.push(["Termination", termination]);
+
+  return [
+    ...tags.map(([name, value]) => `[${name} "${value}"]`),
+    "",
+    ...wrapTokens(tokens),
+    "",
+  ].join("\n");
+};
+
+// Split notation into tags and tokens
+const parseNotation = (text) => {
+  const tags = {};
+  const tokens = [];
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const tag = line.match(TAG_PATTERN);
+    if (tag) {
+      if (tokens.length > 0) {
+        throw new Error(`Line ${index + 1}: tags must come before the moves`);
+      }
+      tags[tag[1]] = tag[2];
+    } else if (line.startsWith("[")) {
+      throw new Error(`Line ${index + 1}: malformed tag`);
+    } else {
+      tokens.push(...line.split(/\s+/));
+    }
+  });
+
+  return { tags, tokens };
+};
+
+// Dice source that replays the rolls written in the notation
+class NotationDice {
+  constructor(seed = null) {
+    this.type = "notation";
+    this.seed = seed;
+    this.nonce = 0;
+    this.next = []; // Dice values of the roll being replayed
+  }
+
+  roll() {
+    if (this.next.length === 0) {
+      throw new Error("Roll missing from the notation");
+    }
+    const nonce = this.nonce++;
+    return { value: this.next.shift(), nonce };
+  }
+
+  getCommitment() {
+    return null;
+  }
+
+  getPublicInfo() {
+    return { type: this.type, nonce: this.nonce, seed: this.seed };
+  }
+
+  getState() {
+    return { type: this.type, nonce: this.nonce };
+  }
+}
+
+// Build the players listed in the color tags, in seat order
+const parsePlayers = (tags, boardConfig) => {
+  const players = [];
+
+  boardConfig.colors.forEach((color, seat) => {
+    const value = tags[colorTag(color)];
+    if (value === undefined) return;
+
+    const [id, username, botDifficulty] = value.split(/\s+/);
+    if (!id) {
+      throw new Error(`Missing player ID for ${color}`);
+    }
+    players.push({
+      id: /^\d+$/.test(id) ? parseInt(id) : id,
+      username: username && username !== "-" ? username : null,
+      color,
+      position: seat,
+      bot_difficulty: botDifficulty || null,
+    });
+  });
+
+  return players;
+};
+
+// Replay notation into a LudoGame; illegal sequences throw with the token at fault
+const importNotation = (text, { gameId } = {}) => {
+  const { tags, tokens } = parseNotation(text);
+
+  const boardConfig = createBoardConfig(tags.Board || "classic");
+  const players = parsePlayers(tags, boardConfig);
+  const dice = new NotationDice(tags.Seed || null);
+
+  const game = new LudoGame(
+    gameId !== undefined ? gameId : tags.Game,
+    players,
+    {
+      rules: resolveRules(parseRules(tags.Rules || "")),
+      board: boardConfig.layout,
+      gameMode: tags.Mode,
+      teamMode: tags.Teams === "on" || tags.Teams === "partner",
+      partnerPlay: tags.Teams === "partner",
+      openingRoll: tags.Opening === "roll",
+      plugins: tags.Plugins ? tags.Plugins.split(" ") : [],
+      arcade: tags.Arcade === "on",
+      handicaps: tags.Handicaps ? parseHandicaps(tags.Handicaps) : [],
+      dice,
+    }
+  );
+  const letters = getLetters(game.players, boardConfig);
+
+  // Roll-off tokens lead the moves and are all rolled while the game starts
+  const opening = [];
+  if (game.openingRoll) {
+    while (OPENING_PATTERN.test(tokens[opening.length] || "")) {
+      opening.push(tokens[opening.length]);
+    }
+  }
+  dice.next = opening.map((token) => parseInt(token.split("=")[1]));
+
+  opening.forEach((token, position) => {
+    if (dice.seed && deriveRoll(dice.seed, position) !== dice.next[position]) {
+      throw new Error(
+        `Illegal token ${position + 1} (${token}): roll does not match the seed`
+      );
+    }
+  });
+
+  try {
+    game.startGame();
+  } catch (error) {
+    throw new Error(`Opening roll-off: ${error.message}`);
+  }
+
+  opening.forEach((token, position) => {
+    const roll = game.openingRolls[position];
+    const expected = roll && `${letters[roll.playerId]}=${roll.value}`;
+    if (token !== expected) {
+      throw new Error(
+        `Illegal token ${position + 1} (${token}): ${
+          roll ? `expected ${expected}` : "the roll-off is already decided"
+        }`
+      );
+    }
+  });
+  const playerIds = {};
+  Object.keys(letters).forEach((playerId) => {
+    playerIds[letters[playerId]] = game.players.find(
+      (player) => String(player.id) === playerId
+    ).id;
+  });
+
+  let index = opening.length;
+  const fail = (reason) => {
+    throw new Error(`Illegal token ${index + 1} (${tokens[index]}): ${reason}`);
+  };
+
+  // The next token must be exactly the one the engine produced
+  const expect = (expected, reason) => {
+    index++;
+    if (tokens[index] !== expected) {
+      fail(`expected ${expected} (${reason})`);
+    }
+  };
+
+  // Feed the dice of a roll token to the engine and roll them (a roll or a re-roll)
+  const replayRoll = (letter, roll, rollDice) => {
+    const values = roll.split("").map((value) => parseInt(value));
+    if (values.length !== game.rules.diceCount) {
+      fail(`rolls must list ${game.rules.diceCount} dice`);
+    }
+    if (
+      dice.seed &&
+      values.some(
+        (value, index) => deriveRoll(dice.seed, dice.nonce + index) !== value
+      )
+    ) {
+      fail("roll does not match the seed");
+    }
+
+    dice.next = values;
+    rollDice();
+
+    if (game.lastDiceRoll.forfeited) {
+      expect(`${letter}!`, "third six in a row");
+    } else if (game.lastDiceRoll.passed) {
+      expect(`${letter}-`, "no legal move");
+    }
+  };
+
+  for (; index < tokens.length; index++) {
+    const token = tokens[index];
+    if (CAPTURE_PATTERN.test(token)) {
+      fail("capture without a capturing move");
+    }
+
+    const match = token.match(TOKEN_PATTERN);
+    if (!match) fail("unknown token");
+
+    const [
+      ,
+      letter,
+      roll,
+      die,
+      piece,
+      from,
+      to,
+      symbol,
+      shieldPiece,
+      swapPiece,
+      swapLetter,
+      swapTarget,
+      item,
+    ] = match;
+    const playerId = playerIds[letter];
+    if (playerId === undefined) fail(`no player plays ${letter}`);
+    if (game.gameStatus !== "playing") fail("the game is over");
+
+    try {
+      if (roll) {
+        replayRoll(letter, roll, () => game.rollDice(playerId));
+      } else if (piece) {
+        if (!game.hasPendingRoll(playerId)) fail("no roll to move with");
+        if (game.rules.diceCount > 1 && !die) fail("move must name its die");
+
+        const pieceIndex = PIECES.indexOf(piece);
+        const diceValue = die ? parseInt(die) : game.lastDiceRoll.value;
+        if (!game.findPendingDie(playerId, diceValue)) {
+          fail(`no ${diceValue} left to move with`);
+        }
+        const pieceOwnerId = game.getPieceOwner(playerId);
+        const position = game.piecePositions[pieceOwnerId][pieceIndex];
+        if (position !== parseInt(from)) {
+          fail(`piece ${piece} is on square ${position}`);
+        }
+
+        const move = game.calculateMove(pieceOwnerId, pieceIndex, diceValue);
+        if (!move.isValid) fail(`piece ${piece} cannot move ${diceValue}`);
+        if (move.newPosition !== parseInt(to)) {
+          fail(`piece ${piece} lands on square ${move.newPosition}`);
+        }
+
+        const captures = move.capturedPlayers.map(
+          (capturedPlayer) =>
+            `x${letters[capturedPlayer]}${
+              PIECES[
+                game.piecePositions[capturedPlayer].indexOf(move.newPosition)
+              ]
+            }`
+        );
+
+        game.movePiece(playerId, pieceIndex, diceValue);
+
+        captures.forEach((capture) => expect(capture, "the move captures"));
+      } else if (symbol === "~") {
+        game.skipTurn(playerId, "timeout");
+      } else if (symbol === "<") {
+        game.undoLastMove(playerId);
+      } else if (symbol === "#") {
+        game.removePlayer(playerId);
+        game.finishIfDecided();
+      } else if (shieldPiece) {
+        game.useItem(playerId, "shield", {
+          pieceIndex: PIECES.indexOf(shieldPiece),
+        });
+      } else if (swapPiece) {
+        const targetPlayerId = playerIds[swapLetter];
+        if (targetPlayerId === undefined) fail(`no player plays ${swapLetter}`);
+        game.useItem(playerId, "swap", {
+          pieceIndex: PIECES.indexOf(swapPiece),
+          targetPlayerId,
+          targetPieceIndex: PIECES.indexOf(swapTarget),
+        });
+      } else if (item === "D") {
+        game.useItem(playerId, "double_move");
+        if (game.lastDiceRoll.passed) expect(`${letter}-`, "no legal move");
+      } else if (item === "R") {
+        const next = (tokens[index + 1] || "").match(TOKEN_PATTERN);
+        if (!next || next[1] !== letter || !next[2]) {
+          fail(`expected the new roll of ${letter} after the re-roll`);
+        }
+        index++;
+        replayRoll(letter, next[2], () => game.useItem(playerId, "reroll"));
+      } else {
+        fail("the turn is only passed by the roll before it");
+      }
+    } catch (error) {
+      if (error.message.startsWith("Illegal token")) throw error;
+      fail(error.message);
+    }
+  }
+
+  if (tags.Termination === "time" && game.gameStatus === "playing") {
+    game.finishOnTime(0);
+  }
+
+  const result = formatResult(game, letters);
+  if (tags.Result !== undefined && tags.Result !== result) {
+    throw new Error(
+      `Result "${tags.Result}" does not match the replayed game ("${result}")`
+    );
+  }
+
+  return game;
+};
+
+module.exports = {
+  exportNotation,
+  importNotation,
+  parseNotation,
+};
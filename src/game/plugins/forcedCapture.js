@@ -0,0 +1,10 @@
+// Forced capture: when a die can capture an opponent, it must
+module.exports = {
+  name: "forced_capture",
+  description: "A die that can capture an opponent must be used to capture",
+
+  filterMoves(game, playerId, moves) {
+    const captures = moves.filter((move) => move.canCapture);
+    return captures.length > 0 ? captures : moves;
+  },
+};
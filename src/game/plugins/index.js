@@ -0,0 +1,74 @@
+// Rule plugins: variants ship as modules instead of edits to LudoGame.
+// A plugin is { name, description, ...hooks }; every hook is optional and
+// plugins run in the order the lobby lists them (game_settings.plugins).
+//
+//   beforeRoll(game, playerId)           throw to refuse the roll
+//   adjustMove(game, move)               return the square a move lands on
+//                                        (move: { playerId, pieceIndex, diceValue, from, to },
+//                                        playerId owns the piece)
+//   filterMoves(game, playerId, moves)   return the legal moves that remain
+//   onCapture(game, capture)             a piece was sent back to its yard
+//                                        (capture: { playerId, pieceOwnerId, capturedPlayer, position })
+//   onEnterHome(game, entry)             a piece stepped onto its home track
+//                                        (entry: { playerId, pieceOwnerId, pieceIndex, position })
+//   checkWin(game, playerId)             true/false decides whether the player has
+//                                        finished; undefined leaves it to the next
+//                                        plugin (default: all four pieces home)
+//
+// Hooks only run while a game is played: replaying the event log never calls
+// them, so anything a hook changes must go through LudoGame methods (events).
+// Plugins are shared by every game and must not keep state of their own.
+const teleport = require("./teleport");
+const forcedCapture = require("./forcedCapture");
+const twoPiecesHome = require("./twoPiecesHome");
+
+const PLUGIN_HOOKS = [
+  "beforeRoll",
+  "adjustMove",
+  "filterMoves",
+  "onCapture",
+  "onEnterHome",
+  "checkWin",
+];
+
+const PLUGINS = {};
+
+// Register a rule plugin under its name
+const registerPlugin = (plugin) => {
+  if (!plugin || typeof plugin.name !== "string") {
+    throw new Error("Rule plugin must have a name");
+  }
+  if (PLUGINS[plugin.name]) {
+    throw new Error(`Rule plugin already registered: ${plugin.name}`);
+  }
+  PLUGIN_HOOKS.forEach((hook) => {
+    if (plugin[hook] !== undefined && typeof plugin[hook] !== "function") {
+      throw new Error(`Rule plugin ${plugin.name}: ${hook} must be a function`);
+    }
+  });
+
+  PLUGINS[plugin.name] = plugin;
+  return plugin;
+};
+
+[teleport, forcedCapture, twoPiecesHome].forEach(registerPlugin);
+
+// Get the names of every registered plugin
+const getPluginNames = () => Object.keys(PLUGINS);
+
+// Get plugins by name, in the given order
+const loadPlugins = (names = []) =>
+  (names || []).map((name) => {
+    const plugin = PLUGINS[name];
+    if (!plugin) {
+      throw new Error(`Unknown rule plugin: ${name}`);
+    }
+    return plugin;
+  });
+
+module.exports = {
+  PLUGIN_HOOKS,
+  registerPlugin,
+  getPluginNames,
+  loadPlugins,
+};
@@ -0,0 +1,39 @@
+const { getRelativeProgress } = require("../board");
+
+// Teleport squares: the square 4 steps past every start square. A piece
+// landing there exactly jumps 6 squares ahead, over any blockade in between,
+// unless the jump would carry it past its own home entry.
+const TELEPORT_OFFSET = 4;
+const TELEPORT_JUMP = 6;
+
+// Get the teleport squares of a board
+const getTeleportSquares = (boardConfig) =>
+  Object.values(boardConfig.playerStartSquares).map(
+    (start) => ((start - 1 + TELEPORT_OFFSET) % boardConfig.totalSquares) + 1
+  );
+
+module.exports = {
+  name: "teleport",
+  description:
+    "Landing on the square 4 steps past a start square jumps 6 ahead",
+
+  adjustMove(game, move) {
+    const { boardConfig } = game;
+    const { totalSquares } = boardConfig;
+    if (move.to < 1 || move.to > totalSquares) return move.to;
+    if (!getTeleportSquares(boardConfig).includes(move.to)) return move.to;
+
+    const seat = game.getSeat(move.playerId);
+    const entryProgress = getRelativeProgress(
+      boardConfig,
+      seat,
+      boardConfig.playerHomeEntrySquares[seat]
+    );
+    const progress = getRelativeProgress(boardConfig, seat, move.to);
+    if (progress + TELEPORT_JUMP > entryProgress) return move.to;
+
+    return ((move.to - 1 + TELEPORT_JUMP) % totalSquares) + 1;
+  },
+
+  getTeleportSquares,
+};
@@ -0,0 +1,23 @@
+// Short race: a player finishes once two of their pieces reach the finish
+// and none are left on the main track (where they would block or be captured
+// by players still racing); pieces in the yard or on the home track stay put
+const PIECES_TO_FINISH = 2;
+
+module.exports = {
+  name: "two_pieces_home",
+  description:
+    "A player finishes with two pieces home and none left on the main track",
+
+  checkWin(game, playerId) {
+    const { totalSquares, homeSquares } = game.boardConfig;
+    const pieces = game.piecePositions[playerId];
+
+    const piecesHome = pieces.filter(
+      (position) => position === totalSquares + homeSquares
+    ).length;
+    const onTrack = pieces.some(
+      (position) => position > 0 && position <= totalSquares
+    );
+    return piecesHome >= PIECES_TO_FINISH && !onTrack;
+  },
+};
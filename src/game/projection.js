@@ -0,0 +1,130 @@
+// Viewer-specific views of LudoGame.getGameState()
+// Roles: the seated player whose turn it is (active), other seated players
+// (player), everyone else in the room (spectator) and admins, who get the
+// full state. A seat takes precedence over the admin flag.
+const VIEWER_ROLES = ["active", "player", "spectator", "admin"];
+
+// Player fields every viewer may see (no user/game row ids or timestamps)
+const PLAYER_FIELDS = [
+  "id",
+  "username",
+  "color",
+  "position",
+  "team",
+  "bot_difficulty",
+  "is_connected",
+];
+
+// Game state fields per role (admin gets everything)
+const SPECTATOR_FIELDS = [
+  "gameId",
+  "players",
+  "currentTurn",
+  "currentPlayer",
+  "gameStatus",
+  "winnerId",
+  "finishingOrder",
+  "piecePositions",
+  "turnTimer",
+  "boardGeometry",
+  "pieceProgress",
+  "rules",
+  "capturesMade",
+  "teamMode",
+  "partnerPlay",
+  "teams",
+  "winningTeam",
+  "gameMode",
+  "openingRoll",
+  "openingRolls",
+  "plugins",
+  "arcade",
+  "powerUpSquares",
+  "items",
+  "shields",
+  "handicaps",
+  "extraRolls",
+  "rated",
+  "scores",
+  "gameClocks",
+  "gameClock",
+  "dice",
+];
+const PLAYER_VIEW_FIELDS = [
+  ...SPECTATOR_FIELDS,
+  "sixStreak",
+  "lastMovedPiece",
+  "turnTimeouts",
+  "moveHistory",
+];
+const ACTIVE_FIELDS = [...PLAYER_VIEW_FIELDS, "lastDiceRoll"];
+
+const VIEW_FIELDS = {
+  active: ACTIVE_FIELDS,
+  player: PLAYER_VIEW_FIELDS,
+  spectator: SPECTATOR_FIELDS,
+};
+
+// Whether a seat belongs to a user (game_players rows carry user_id)
+const isSeatOf = (player, userId) =>
+  !!player &&
+  userId !== undefined &&
+  userId !== null &&
+  (player.user_id !== undefined ? player.user_id : player.id) === userId;
+
+// Work out how a viewer ({ userId, isAdmin }) sees a game
+const getViewerRole = (state, viewer = {}) => {
+  const seated = (state.players || []).some((player) =>
+    isSeatOf(player, viewer.userId)
+  );
+
+  if (seated) {
+    return isSeatOf(state.currentPlayer, viewer.userId) ? "active" : "player";
+  }
+  return viewer.isAdmin ? "admin" : "spectator";
+};
+
+// Copy the whitelisted fields of an object
+const pickFields = (source, fields) => {
+  const picked = {};
+  fields.forEach((field) => {
+    if (source[field] !== undefined) {
+      picked[field] = source[field];
+    }
+  });
+  return picked;
+};
+
+// Public view of a player
+const projectPlayer = (player) =>
+  player ? pickFields(player, PLAYER_FIELDS) : player;
+
+// Project a full game state for a viewer
+const projectGameState = (state, viewer = {}) => {
+  const role = getViewerRole(state, viewer);
+  if (role === "admin") {
+    return { ...state, viewerRole: role };
+  }
+
+  const view = pickFields(state, VIEW_FIELDS[role]);
+  view.players = (state.players || []).map(projectPlayer);
+  view.currentPlayer = projectPlayer(state.currentPlayer);
+
+  // The active player only sees a roll that is still theirs
+  if (
+    role === "active" &&
+    (!state.lastDiceRoll || state.lastDiceRoll.playerId !== viewer.userId)
+  ) {
+    view.lastDiceRoll = null;
+  }
+
+  view.viewerRole = role;
+  return view;
+};
+
+module.exports = {
+  VIEWER_ROLES,
+  getViewerRole,
+  projectPlayer,
+  projectGameState,
+};
@@ -0,0 +1,106 @@
+const Joi = require("joi");
+
+// Default house rules (classic Ludo)
+const DEFAULT_RULES = {
+  exitOn: "six", // "six" or "one_or_six"
+  exactRollToFinish: true, // Overshooting the final square is not allowed
+  mustCaptureBeforeHome: false, // Must capture an opponent before entering home track
+  safeSquares: true, // Safe squares protect pieces from capture
+  blockades: true, // Two own pieces on a square block opponents
+  extraTurnOnCapture: true,
+  extraTurnOnHome: false, // Extra turn when a piece reaches the final square
+  threeSixesPenalty: "forfeit", // "none", "forfeit" or "send_home"
+  diceCount: 1, // 2: two-dice variant, each die is spent on its own move
+};
+
+// Dice values that allow a piece to leave the yard
+const EXIT_ROLLS = {
+  six: [6],
+  one_or_six: [1, 6],
+};
+
+// Points awarded in every game (Quick Ludo ranks players by them)
+const SCORE_POINTS = {
+  square: 1, // Per square advanced (leaving the yard counts as one)
+  capture: 20, // Per opponent piece sent back to the yard
+};
+
+// House rules validation schema (stored in games.game_settings.rules)
+const rulesSchema = Joi.object({
+  exitOn: Joi.string()
+    .valid(...Object.keys(EXIT_ROLLS))
+    .default(DEFAULT_RULES.exitOn)
+    .messages({
+      "any.only": "Exit rule must be one of: six, one_or_six",
+    }),
+
+  exactRollToFinish: Joi.boolean()
+    .default(DEFAULT_RULES.exactRollToFinish)
+    .messages({
+      "boolean.base": "Exact roll to finish must be a boolean",
+    }),
+
+  mustCaptureBeforeHome: Joi.boolean()
+    .default(DEFAULT_RULES.mustCaptureBeforeHome)
+    .messages({
+      "boolean.base": "Must capture before home must be a boolean",
+    }),
+
+  safeSquares: Joi.boolean().default(DEFAULT_RULES.safeSquares).messages({
+    "boolean.base": "Safe squares must be a boolean",
+  }),
+
+  blockades: Joi.boolean().default(DEFAULT_RULES.blockades).messages({
+    "boolean.base": "Blockades must be a boolean",
+  }),
+
+  extraTurnOnCapture: Joi.boolean()
+    .default(DEFAULT_RULES.extraTurnOnCapture)
+    .messages({
+      "boolean.base": "Extra turn on capture must be a boolean",
+    }),
+
+  extraTurnOnHome: Joi.boolean()
+    .default(DEFAULT_RULES.extraTurnOnHome)
+    .messages({
+      "boolean.base": "Extra turn on home must be a boolean",
+    }),
+
+  threeSixesPenalty: Joi.string()
+    .valid("none", "forfeit", "send_home")
+    .default(DEFAULT_RULES.threeSixesPenalty)
+    .messages({
+      "any.only":
+        "Three sixes penalty must be one of: none, forfeit, send_home",
+    }),
+
+  diceCount: Joi.number()
+    .integer()
+    .valid(1, 2)
+    .default(DEFAULT_RULES.diceCount)
+    .messages({
+      "any.only": "Dice count must be 1 or 2",
+    }),
+});
+
+// Validate house rules and fill in defaults
+const resolveRules = (rules = {}) => {
+  const { error, value } = rulesSchema.validate(rules || {}, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (error) {
+    throw new Error(`Invalid game rules: ${error.message}`);
+  }
+
+  return value;
+};
+
+module.exports = {
+  DEFAULT_RULES,
+  EXIT_ROLLS,
+  SCORE_POINTS,
+  rulesSchema,
+  resolveRules,
+};
@@ -1,4 +1,9 @@
 const Joi = require("joi");
+const { rulesSchema, resolveRules } = require("../game/rules");
+const { BOARD_LAYOUTS, createBoardConfig } = require("../game/board");
+const { BOT_DIFFICULTIES } = require("../game/bot");
+const { getPluginNames } = require("../game/plugins");
+const { createHandicapsSchema, placeHeadStarts } = require("../game/handicaps");
 
 // Validation middleware factory
 const validate = (schema) => {
@@ -85,16 +90,104 @@ const changePasswordSchema = Joi.object({
   }),
 });
 
+// Head starts must not clash on the chosen board with every seat filled
+// (team mode partners are seats 0+2 and 1+3)
+const checkHeadStarts = (settings, helpers) => {
+  if (!settings.handicaps) return settings;
+
+  try {
+    placeHeadStarts(
+      settings.handicaps,
+      createBoardConfig(settings.board),
+      resolveRules(settings.rules),
+      (seat, otherSeat) => !!settings.teamMode && seat % 2 === otherSeat % 2
+    );
+  } catch (error) {
+    return helpers.message(error.message);
+  }
+  return settings;
+};
+
 // Game creation validation schema
 const createGameSchema = Joi.object({
-  maxPlayers: Joi.number().integer().min(2).max(4).optional().messages({
-    "number.base": "Max players must be a number",
-    "number.integer": "Max players must be an integer",
-    "number.min": "Max players must be at least 2",
-    "number.max": "Max players cannot exceed 4",
-  }),
-
-  gameSettings: Joi.object().optional().default({}),
+  maxPlayers: Joi.number()
+    .integer()
+    .min(2)
+    .optional()
+    .when("gameSettings.board", {
+      is: "six_player",
+      then: Joi.number().max(BOARD_LAYOUTS.six_player.seats),
+      otherwise: Joi.number().max(BOARD_LAYOUTS.classic.seats),
+    })
+    .when("gameSettings.teamMode", {
+      is: true,
+      then: Joi.valid(4),
+    })
+    .messages({
+      "number.base": "Max players must be a number",
+      "number.integer": "Max players must be an integer",
+      "number.min": "Max players must be at least 2",
+      "number.max": "Max players cannot exceed the board's {#limit} seats",
+      "any.only": "Team mode requires 4 players",
+    }),
+
+  gameSettings: Joi.object({
+    rules: rulesSchema.optional(),
+
+    gameMode: Joi.string().valid("normal", "quick").optional().messages({
+      "any.only": "Game mode must be one of: normal, quick",
+    }),
+
+    board: Joi.string()
+      .valid(...Object.keys(BOARD_LAYOUTS))
+      .optional()
+      .messages({
+        "any.only": "Board must be one of: classic, six_player",
+      }),
+
+    teamMode: Joi.boolean()
+      .optional()
+      .when("board", {
+        is: "six_player",
+        then: Joi.valid(false),
+      })
+      .messages({
+        "boolean.base": "Team mode must be a boolean",
+        "any.only": "Team mode is only available on the classic board",
+      }),
+
+    partnerPlay: Joi.boolean().optional().messages({
+      "boolean.base": "Partner play must be a boolean",
+    }),
+
+    openingRoll: Joi.boolean().optional().messages({
+      "boolean.base": "Opening roll must be a boolean",
+    }),
+
+    arcade: Joi.boolean().optional().messages({
+      "boolean.base": "Arcade must be a boolean",
+    }),
+
+    plugins: Joi.array()
+      .items(Joi.string().valid(...getPluginNames()))
+      .unique()
+      .optional()
+      .messages({
+        "array.base": "Plugins must be an array",
+        "any.only": `Plugins must be among: ${getPluginNames().join(", ")}`,
+        "array.unique": "Each plugin can only be listed once",
+      }),
+
+    handicaps: Joi.when("board", {
+      is: "six_player",
+      then: createHandicapsSchema(createBoardConfig("six_player")),
+      otherwise: createHandicapsSchema(createBoardConfig("classic")),
+    }),
+  })
+    .custom(checkHeadStarts)
+    .unknown(true)
+    .optional()
+    .default({}),
 });
 
 // Game join validation schema
@@ -105,6 +198,35 @@ const joinGameSchema = Joi.object({
     "number.positive": "Game ID must be positive",
     "any.required": "Game ID is required",
   }),
+
+  team: Joi.number().integer().valid(0, 1).optional().messages({
+    "number.base": "Team must be a number",
+    "any.only": "Team must be 0 (red/green) or 1 (blue/yellow)",
+  }),
+});
+
+// Add bot validation schema
+const addBotSchema = Joi.object({
+  difficulty: Joi.string()
+    .valid(...BOT_DIFFICULTIES)
+    .optional()
+    .default("medium")
+    .messages({
+      "any.only": "Difficulty must be one of: easy, medium, hard",
+    }),
+
+  team: Joi.number().integer().valid(0, 1).optional().messages({
+    "number.base": "Team must be a number",
+    "any.only": "Team must be 0 (red/green) or 1 (blue/yellow)",
+  }),
+});
+
+// Notation import validation schema
+const importNotationSchema = Joi.object({
+  notation: Joi.string().max(200000).required().messages({
+    "string.max": "Notation cannot exceed 200000 characters",
+    "any.required": "Notation is required",
+  }),
 });
 
 // Move piece validation schema
@@ -124,6 +246,14 @@ const movePieceSchema = Joi.object({
     "number.max": "Dice value cannot exceed 6",
     "any.required": "Dice value is required",
   }),
+
+  // Two-dice rule: which die to spend (defaults to the first unspent one of diceValue)
+  dieIndex: Joi.number().integer().min(0).max(1).optional().messages({
+    "number.base": "Die index must be a number",
+    "number.integer": "Die index must be an integer",
+    "number.min": "Die index must be at least 0",
+    "number.max": "Die index cannot exceed 1",
+  }),
 });
 
 // Query parameters validation schema
@@ -142,6 +272,14 @@ const gameListSchema = Joi.object({
   ...paginationSchema.describe().keys,
 });
 
+// Board geometry query validation
+const boardQuerySchema = Joi.object({
+  layout: Joi.string()
+    .valid(...Object.keys(BOARD_LAYOUTS))
+    .optional()
+    .default("classic"),
+});
+
 // Validate query parameters
 const validateQuery = (schema) => {
   return (req, res, next) => {
@@ -219,9 +357,12 @@ module.exports = {
   changePasswordSchema,
   createGameSchema,
   joinGameSchema,
+  addBotSchema,
+  importNotationSchema,
   movePieceSchema,
   paginationSchema,
   gameListSchema,
+  boardQuerySchema,
   idParamSchema,
 
   // Validation middlewares
@@ -231,7 +372,10 @@ module.exports = {
   validateChangePassword: validate(changePasswordSchema),
   validateCreateGame: validate(createGameSchema),
   validateJoinGame: validate(joinGameSchema),
+  validateAddBot: validate(addBotSchema),
+  validateImportNotation: validate(importNotationSchema),
   validateMovePiece: validate(movePieceSchema),
   validateGameList: validateQuery(gameListSchema),
+  validateBoardQuery: validateQuery(boardQuerySchema),
   validateIdParam: validateParams(idParamSchema),
 };
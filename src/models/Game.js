@@ -1,5 +1,7 @@
 const db = require("../config/database");
 const config = require("../config/app");
+const { getBoardLayout } = require("../game/board");
+const User = require("./User");
 
 class Game {
   constructor(data) {
@@ -14,6 +16,8 @@ class Game {
     this.current_turn = data.current_turn;
     this.game_settings = data.game_settings || {};
     this.total_turns = data.total_turns;
+    this.dice_commitment = data.dice_commitment || null;
+    this.dice_seed = data.dice_seed || null; // Secret until the game is finished
   }
 
   // Create a new game
@@ -111,8 +115,8 @@ class Game {
     }
   }
 
-  // Add player to game
-  async addPlayer(userId) {
+  // Add player to game (optionally on a specific team in team mode)
+  async addPlayer(userId, { team = null, botDifficulty = null } = {}) {
     try {
       // Check if game is full
       if (this.current_players >= this.max_players) {
@@ -126,14 +130,18 @@ class Game {
       }
 
       // Get available position and color
-      const availableSlot = await this.getAvailableSlot();
+      const availableSlot = await this.getAvailableSlot(team);
       if (!availableSlot) {
-        throw new Error("No available slots");
+        throw new Error(
+          team !== null
+            ? "No available slots on that team"
+            : "No available slots"
+        );
       }
 
       const query = `
-        INSERT INTO game_players (game_id, user_id, position, color)
-        VALUES ($1, $2, $3, $4)
+        INSERT INTO game_players (game_id, user_id, position, color, team, bot_difficulty)
+        VALUES ($1, $2, $3, $4, $5, $6)
         RETURNING *
       `;
 
@@ -142,6 +150,8 @@ class Game {
         userId,
         availableSlot.position,
         availableSlot.color,
+        availableSlot.team,
+        botDifficulty,
       ]);
 
       // Update game's current player count
@@ -153,6 +163,16 @@ class Game {
     }
   }
 
+  // Fill a seat with a computer opponent
+  async addBot(difficulty = "medium", { team = null } = {}) {
+    try {
+      const bot = await User.findAvailableBot(this.id);
+      return await this.addPlayer(bot.id, { team, botDifficulty: difficulty });
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // Remove player from game
   async removePlayer(userId) {
     try {
@@ -214,8 +234,8 @@ class Game {
     }
   }
 
-  // Get available slot (position and color)
-  async getAvailableSlot() {
+  // Get available slot (position, color and team)
+  async getAvailableSlot(team = null) {
     try {
       const usedSlots = await db.query(
         "SELECT position, color FROM game_players WHERE game_id = $1",
@@ -225,13 +245,16 @@ class Game {
       const usedPositions = usedSlots.rows.map((row) => row.position);
       const usedColors = usedSlots.rows.map((row) => row.color);
 
-      const colors = ["red", "blue", "green", "yellow"];
+      const { colors } = this.getBoardLayout();
 
       for (let position = 0; position < this.max_players; position++) {
+        const slotTeam = this.getTeamForPosition(position);
+        if (team !== null && slotTeam !== team) continue;
+
         if (!usedPositions.includes(position)) {
           const color = colors[position];
           if (!usedColors.includes(color)) {
-            return { position, color };
+            return { position, color, team: slotTeam };
           }
         }
       }
@@ -262,10 +285,7 @@ class Game {
       this.current_players = playerCount;
 
       // Auto-start game if enough players
-      if (
-        playerCount >= config.game.minPlayersPerGame &&
-        this.status === "waiting"
-      ) {
+      if (playerCount >= this.getMinPlayers() && this.status === "waiting") {
         await this.startGame();
       }
     } catch (error) {
@@ -332,6 +352,84 @@ class Game {
     }
   }
 
+  // Store the dice seed and its published commitment
+  async setDiceCommitment(commitment, seed) {
+    try {
+      const query = `
+        UPDATE games 
+        SET dice_commitment = $1, dice_seed = $2
+        WHERE id = $3
+        RETURNING *
+      `;
+
+      const result = await db.query(query, [commitment, seed, this.id]);
+      if (result.rows.length > 0) {
+        Object.assign(this, result.rows[0]);
+      }
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get recorded dice rolls (for fairness verification)
+  async getRolls() {
+    try {
+      const query = `
+        SELECT player_id, roll_nonce, dice_roll, move_type
+        FROM game_moves
+        WHERE game_id = $1 AND roll_nonce IS NOT NULL AND NOT reverted
+        ORDER BY roll_nonce
+      `;
+
+      const result = await db.query(query, [this.id]);
+      return result.rows.map((row) => ({
+        playerId: row.player_id,
+        nonce: row.roll_nonce,
+        value: row.dice_roll,
+        moveType: row.move_type,
+      }));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Mark a move as taken back (the row is kept for the record)
+  async revertMove(rollNonce) {
+    try {
+      const query = `
+        UPDATE game_moves
+        SET reverted = true
+        WHERE game_id = $1 AND roll_nonce = $2 AND move_type = 'move' AND NOT reverted
+      `;
+
+      await db.query(query, [this.id, rollNonce]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get the game's event log, in order (see src/game/events.js)
+  async getEvents() {
+    try {
+      const query = `
+        SELECT events
+        FROM game_moves
+        WHERE game_id = $1
+        ORDER BY move_number, id
+      `;
+
+      const result = await db.query(query, [this.id]);
+      return result.rows.flatMap((row) => row.events || []);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Check if the dice seed may be revealed
+  isDiceSeedRevealed() {
+    return this.status === "finished" && !!this.dice_seed;
+  }
+
   // Update player connection status
   async updatePlayerConnection(userId, isConnected) {
     try {
@@ -365,19 +463,22 @@ class Game {
   }
 
   // Record game result for a player
-  async recordPlayerResult(playerId, result, score = 0, piecesHome = 0) {
+  async recordPlayerResult(
+    playerId,
+    result,
+    score = 0,
+    piecesHome = 0,
+    finalPosition = this.current_players
+  ) {
     try {
       const query = `
         INSERT INTO game_results (game_id, player_id, final_position, result, score, pieces_home)
         VALUES ($1, $2, $3, $4, $5, $6)
         ON CONFLICT (game_id, player_id) 
-        DO UPDATE SET result = $4, score = $5, pieces_home = $6
+        DO UPDATE SET final_position = $3, result = $4, score = $5, pieces_home = $6
         RETURNING *
       `;
 
-      // Calculate final position based on pieces home
-      const finalPosition = this.current_players - piecesHome;
-
       const resultData = await db.query(query, [
         this.id,
         playerId,
@@ -397,11 +498,31 @@ class Game {
   canStart() {
     return (
       this.status === "waiting" &&
-      this.current_players >= config.game.minPlayersPerGame &&
+      this.current_players >= this.getMinPlayers() &&
       this.current_players <= this.max_players
     );
   }
 
+  // Get the board layout (seats and colors) for this game
+  getBoardLayout() {
+    return getBoardLayout(this.game_settings.board);
+  }
+
+  // Check if this is a 2v2 team game
+  isTeamMode() {
+    return !!this.game_settings.teamMode;
+  }
+
+  // Get team for a seat (red+green vs blue+yellow), null outside team mode
+  getTeamForPosition(position) {
+    return this.isTeamMode() ? position % 2 : null;
+  }
+
+  // Get minimum players needed to start (team games need all four seats)
+  getMinPlayers() {
+    return this.isTeamMode() ? 4 : config.game.minPlayersPerGame;
+  }
+
   // Check if game is full
   isFull() {
     return this.current_players >= this.max_players;
@@ -429,6 +550,8 @@ class Game {
       current_turn: this.current_turn,
       game_settings: this.game_settings,
       total_turns: this.total_turns,
+      dice_commitment: this.dice_commitment,
+      dice_seed: this.isDiceSeedRevealed() ? this.dice_seed : null,
       duration: this.getDuration(),
     };
   }
@@ -1,5 +1,6 @@
 const db = require("../config/database");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
 
 class User {
   constructor(data) {
@@ -13,6 +14,8 @@ class User {
     this.last_login = data.last_login;
     this.total_games_played = data.total_games_played || 0;
     this.total_games_won = data.total_games_won || 0;
+    this.is_bot = !!data.is_bot;
+    this.is_admin = !!data.is_admin;
   }
 
   // Create a new user
@@ -35,12 +38,61 @@ class User {
     }
   }
 
+  // Create a bot account (random password, cannot log in)
+  static async createBot() {
+    try {
+      const username = `bot_${crypto.randomBytes(4).toString("hex")}`;
+      const password_hash = await bcrypt.hash(
+        crypto.randomBytes(32).toString("hex"),
+        10
+      );
+
+      const query = `
+        INSERT INTO users (username, email, password_hash, is_bot)
+        VALUES ($1, $2, $3, true)
+        RETURNING id, username, email, created_at, is_active, total_games_played, total_games_won, is_bot
+      `;
+
+      const result = await db.query(query, [
+        username,
+        `${username}@bots.local`,
+        password_hash,
+      ]);
+      return new User(result.rows[0]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find a bot account not yet seated in a game (creating one if needed)
+  static async findAvailableBot(gameId) {
+    try {
+      const query = `
+        SELECT id, username, email, created_at, is_active,
+               total_games_played, total_games_won, is_bot
+        FROM users
+        WHERE is_bot = true AND is_active = true
+          AND id NOT IN (SELECT user_id FROM game_players WHERE game_id = $1)
+        ORDER BY id
+        LIMIT 1
+      `;
+
+      const result = await db.query(query, [gameId]);
+      return result.rows.length > 0
+        ? new User(result.rows[0])
+        : await User.createBot();
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // Find user by ID
   static async findById(id) {
     try {
       const query = `
         SELECT id, username, email, created_at, updated_at, is_active, 
-               last_login, total_games_played, total_games_won
+               last_login, total_games_played, total_games_won, is_bot,
+               is_admin
         FROM users 
         WHERE id = $1 AND is_active = true
       `;
@@ -236,6 +288,7 @@ class User {
       created_at: this.created_at,
       total_games_played: this.total_games_played,
       total_games_won: this.total_games_won,
+      is_bot: this.is_bot,
       win_rate: this.getWinRate(),
     };
   }
@@ -251,6 +304,8 @@ class User {
       last_login: this.last_login,
       total_games_played: this.total_games_played,
       total_games_won: this.total_games_won,
+      is_bot: this.is_bot,
+      is_admin: this.is_admin,
       win_rate: this.getWinRate(),
     };
   }
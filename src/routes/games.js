@@ -5,7 +5,10 @@ const { authenticateToken } = require("../middleware/auth");
 const {
   validateCreateGame,
   validateJoinGame,
+  validateAddBot,
+  validateImportNotation,
   validateGameList,
+  validateBoardQuery,
   validateIdParam,
 } = require("../middleware/validation");
 
@@ -28,20 +31,68 @@ const {
  *               maxPlayers:
  *                 type: integer
  *                 minimum: 2
- *                 maximum: 4
+ *                 maximum: 6
  *                 example: 4
- *                 description: Maximum number of players (2-4)
+ *                 description: Maximum number of players (2-4, or 2-6 on the six_player board)
  *               gameSettings:
  *                 type: object
  *                 properties:
  *                   gameMode:
  *                     type: string
+ *                     enum: [normal, quick]
  *                     example: "normal"
+ *                     description: quick gives each player a GAME_TIMEOUT_MS game clock; highest score wins when one runs out
  *                   timeLimit:
  *                     type: integer
  *                     example: 30
  *                     description: Turn time limit in seconds
- *                 example: {"gameMode": "normal", "timeLimit": 30}
+ *                   board:
+ *                     type: string
+ *                     enum: [classic, six_player]
+ *                     default: classic
+ *                     description: Board layout (classic 52-square or 6-seat 78-square)
+ *                   teamMode:
+ *                     type: boolean
+ *                     description: 2v2 mode, red+green vs blue+yellow (requires maxPlayers 4)
+ *                   partnerPlay:
+ *                     type: boolean
+ *                     description: In team mode, finished players move their partner's pieces
+ *                   rules:
+ *                     type: object
+ *                     description: House rules for this lobby (defaults to classic Ludo)
+ *                     properties:
+ *                       exitOn:
+ *                         type: string
+ *                         enum: [six, one_or_six]
+ *                         default: six
+ *                         description: Dice values that let a piece leave the yard
+ *                       exactRollToFinish:
+ *                         type: boolean
+ *                         default: true
+ *                       mustCaptureBeforeHome:
+ *                         type: boolean
+ *                         default: false
+ *                         description: A player must capture an opponent before entering the home track
+ *                       safeSquares:
+ *                         type: boolean
+ *                         default: true
+ *                       blockades:
+ *                         type: boolean
+ *                         default: true
+ *                         description: Two own pieces on one square block opponents and cannot be captured
+ *                       extraTurnOnCapture:
+ *                         type: boolean
+ *                         default: true
+ *                       extraTurnOnHome:
+ *                         type: boolean
+ *                         default: false
+ *                         description: Extra turn when a piece reaches the final square
+ *                       threeSixesPenalty:
+ *                         type: string
+ *                         enum: [none, forfeit, send_home]
+ *                         default: forfeit
+ *                         description: Penalty for a third consecutive six (send_home also returns the last moved piece to the yard)
+ *                 example: {"gameMode": "normal", "timeLimit": 30, "rules": {"exitOn": "one_or_six"}}
  *     responses:
  *       201:
  *         description: Game created successfully
@@ -59,7 +110,7 @@ const {
  *                 game:
  *                   $ref: '#/components/schemas/Game'
  *       400:
- *         description: Invalid request data
+ *         description: Invalid request data (including field-level errors for invalid rules)
  *         content:
  *           application/json:
  *             schema:
@@ -100,6 +151,10 @@ router.post(
  *                 type: integer
  *                 example: 1
  *                 description: ID of the game to join
+ *               team:
+ *                 type: integer
+ *                 enum: [0, 1]
+ *                 description: Team to join in team mode (0 = red/green, 1 = blue/yellow)
  *     responses:
  *       200:
  *         description: Successfully joined game
@@ -220,6 +275,136 @@ router.get(
  */
 router.get("/stats", authenticateToken, gameController.getGameStats);
 
+/**
+ * @swagger
+ * /api/games/board:
+ *   get:
+ *     summary: Get board geometry
+ *     description: |
+ *       Grid coordinates for every main track square, home track square and yard slot of a
+ *       board layout, with safe squares and each seat's start and home entry squares. Square
+ *       numbers match the piece positions in the game state (0 is the yard).
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: layout
+ *         schema:
+ *           type: string
+ *           enum: [classic, six_player]
+ *           default: classic
+ *         description: Board layout
+ *     responses:
+ *       200:
+ *         description: Board geometry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     board:
+ *                       type: object
+ *                       properties:
+ *                         layout:
+ *                           type: string
+ *                         gridSize:
+ *                           type: integer
+ *                           example: 15
+ *                         totalSquares:
+ *                           type: integer
+ *                           example: 52
+ *                         homeSquares:
+ *                           type: integer
+ *                           example: 6
+ *                         safeSquares:
+ *                           type: array
+ *                           items:
+ *                             type: integer
+ *                         track:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               square:
+ *                                 type: integer
+ *                               x:
+ *                                 type: number
+ *                               y:
+ *                                 type: number
+ *                               safe:
+ *                                 type: boolean
+ *                               startOf:
+ *                                 type: integer
+ *                                 nullable: true
+ *                               homeEntryOf:
+ *                                 type: integer
+ *                                 nullable: true
+ *                         seats:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *       400:
+ *         description: Unknown layout
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/board",
+  authenticateToken,
+  validateBoardQuery,
+  gameController.getBoard
+);
+
+/**
+ * @swagger
+ * /api/games/notation:
+ *   post:
+ *     summary: Import game notation
+ *     description: |
+ *       Replays a game written in Ludo game notation (tag pairs, then one token per roll, move,
+ *       capture and pass) and returns the resulting game state. Illegal sequences are rejected
+ *       with the offending token; rolls are checked against the Seed tag when present.
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - notation
+ *             properties:
+ *               notation:
+ *                 type: string
+ *                 example: "[Board \"classic\"]\n[Red \"1 alice\"]\n[Blue \"2 bob\"]\n\nR6 Ra0-1 R3 Ra1-4 B2 B-"
+ *     responses:
+ *       200:
+ *         description: Replayed game state and move history
+ *       400:
+ *         description: Malformed notation or illegal sequence
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/notation",
+  authenticateToken,
+  validateImportNotation,
+  gameController.importGameNotation
+);
+
 /**
  * @route   GET /api/games/:id
  * @desc    Get specific game details
@@ -227,6 +412,187 @@ router.get("/stats", authenticateToken, gameController.getGameStats);
  */
 router.get("/:id", authenticateToken, validateIdParam, gameController.getGame);
 
+/**
+ * @swagger
+ * /api/games/{id}/fairness:
+ *   get:
+ *     summary: Get provably fair dice data
+ *     description: |
+ *       Returns the dice seed commitment (SHA-256 of the server seed) published at game start,
+ *       the recorded rolls and, once the game is finished, the revealed seed with a verification
+ *       result. Each roll is the first HMAC-SHA256(seed, "nonce:round") byte below 252, mod 6, plus 1.
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Game ID
+ *     responses:
+ *       200:
+ *         description: Commitment, rolls and (when finished) revealed seed
+ *       404:
+ *         description: Game not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/:id/fairness",
+  authenticateToken,
+  validateIdParam,
+  gameController.getGameFairness
+);
+
+/**
+ * @swagger
+ * /api/games/{id}/notation:
+ *   get:
+ *     summary: Export game notation
+ *     description: |
+ *       Writes the game recorded in game_moves as Ludo game notation. The dice seed is included
+ *       once the game is finished (before that, only its commitment). A game in play can only be
+ *       exported by its players and admins.
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Game ID
+ *     responses:
+ *       200:
+ *         description: Notation text
+ *       400:
+ *         description: Game has no recorded moves
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Game is still in play and the user is neither seated in it nor an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Game not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/:id/notation",
+  authenticateToken,
+  validateIdParam,
+  gameController.getGameNotation
+);
+
+/**
+ * @swagger
+ * /api/games/{id}/hints:
+ *   get:
+ *     summary: Get move hints
+ *     description: |
+ *       Ranks the legal moves for the requesting player's pending roll, best first. Each hint has
+ *       a heuristic score and the reasons behind it (capture, finish, leave_yard, enter_home,
+ *       safe_square, escape_danger, blockade, danger) plus the piece's progress toward home.
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Game ID
+ *     responses:
+ *       200:
+ *         description: Dice value and ranked moves with reasons
+ *       400:
+ *         description: Game not in progress or no pending roll
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not a player in this game
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/:id/hints",
+  authenticateToken,
+  validateIdParam,
+  gameController.getMoveHints
+);
+
+/**
+ * @swagger
+ * /api/games/{id}/bots:
+ *   post:
+ *     summary: Add a computer opponent
+ *     description: Fill an open seat of a waiting game with a bot that plays its own turns
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Game ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               difficulty:
+ *                 type: string
+ *                 enum: [easy, medium, hard]
+ *                 default: medium
+ *                 description: easy plays randomly, medium greedily (captures, safety), hard looks one roll ahead
+ *               team:
+ *                 type: integer
+ *                 enum: [0, 1]
+ *                 description: Team to seat the bot on (team mode only)
+ *     responses:
+ *       201:
+ *         description: Bot added
+ *       400:
+ *         description: Game is full or not waiting for players
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not a player in this game
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/:id/bots",
+  authenticateToken,
+  validateIdParam,
+  validateAddBot,
+  gameController.addBot
+);
+
 /**
  * @route   POST /api/games/:id/start
  * @desc    Start a game
@@ -239,6 +605,54 @@ router.post(
   gameController.startGame
 );
 
+/**
+ * @swagger
+ * /api/games/{id}/resign:
+ *   post:
+ *     summary: Resign from a game
+ *     description: |
+ *       Forfeits a game in progress. The player's pieces leave the board, the turn order carries on
+ *       without them and a forfeit is recorded in game_results. The game ends once only one player
+ *       (or team) is left racing.
+ *     tags: [Games]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Game ID
+ *     responses:
+ *       200:
+ *         description: Resigned (gameEnded tells whether the resignation ended the game)
+ *       400:
+ *         description: Game is not in progress, or the player has already finished
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not a player in this game
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Game not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/:id/resign",
+  authenticateToken,
+  validateIdParam,
+  gameController.resignGame
+);
+
 /**
  * @route   DELETE /api/games/:id/leave
  * @desc    Leave a game
@@ -17,11 +17,20 @@ const createTables = async () => {
         is_active BOOLEAN DEFAULT true,
         last_login TIMESTAMP,
         total_games_played INTEGER DEFAULT 0,
-        total_games_won INTEGER DEFAULT 0
+        total_games_won INTEGER DEFAULT 0,
+        is_bot BOOLEAN DEFAULT false,
+        is_admin BOOLEAN DEFAULT false
       );
     `);
     console.log("✓ Users table created");
 
+    // Upgrade existing Users tables
+    await db.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS is_bot BOOLEAN DEFAULT false;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS is_admin BOOLEAN DEFAULT false;
+    `);
+    console.log("✓ Users columns updated");
+
     // Create Games table
     await db.query(`
       CREATE TABLE IF NOT EXISTS games (
@@ -31,23 +40,36 @@ const createTables = async () => {
         started_at TIMESTAMP,
         finished_at TIMESTAMP,
         winner_id INTEGER REFERENCES users(id),
-        max_players INTEGER DEFAULT 4 CHECK (max_players BETWEEN 2 AND 4),
+        max_players INTEGER DEFAULT 4 CHECK (max_players BETWEEN 2 AND 6),
         current_players INTEGER DEFAULT 0,
         current_turn INTEGER DEFAULT 0,
         game_settings JSONB DEFAULT '{}',
-        total_turns INTEGER DEFAULT 0
+        total_turns INTEGER DEFAULT 0,
+        dice_commitment VARCHAR(64),
+        dice_seed VARCHAR(128)
       );
     `);
     console.log("✓ Games table created");
 
+    // Upgrade existing Games tables
+    await db.query(`
+      ALTER TABLE games ADD COLUMN IF NOT EXISTS dice_commitment VARCHAR(64);
+      ALTER TABLE games ADD COLUMN IF NOT EXISTS dice_seed VARCHAR(128);
+      ALTER TABLE games DROP CONSTRAINT IF EXISTS games_max_players_check;
+      ALTER TABLE games ADD CONSTRAINT games_max_players_check CHECK (max_players BETWEEN 2 AND 6);
+    `);
+    console.log("✓ Games columns updated");
+
     // Create Game_Players table
     await db.query(`
       CREATE TABLE IF NOT EXISTS game_players (
         id SERIAL PRIMARY KEY,
         game_id INTEGER NOT NULL REFERENCES games(id) ON DELETE CASCADE,
         user_id INTEGER NOT NULL REFERENCES users(id),
-        position INTEGER NOT NULL CHECK (position BETWEEN 0 AND 3),
-        color VARCHAR(10) NOT NULL CHECK (color IN ('red', 'blue', 'green', 'yellow')),
+        position INTEGER NOT NULL CHECK (position BETWEEN 0 AND 5),
+        color VARCHAR(10) NOT NULL CHECK (color IN ('red', 'blue', 'green', 'yellow', 'purple', 'orange')),
+        team INTEGER CHECK (team IN (0, 1)),
+        bot_difficulty VARCHAR(10) CHECK (bot_difficulty IN ('easy', 'medium', 'hard')),
         piece_positions JSONB NOT NULL DEFAULT '[0, 0, 0, 0]',
         is_connected BOOLEAN DEFAULT true,
         joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -59,6 +81,17 @@ const createTables = async () => {
     `);
     console.log("✓ Game_Players table created");
 
+    // Upgrade existing Game_Players tables
+    await db.query(`
+      ALTER TABLE game_players ADD COLUMN IF NOT EXISTS team INTEGER CHECK (team IN (0, 1));
+      ALTER TABLE game_players ADD COLUMN IF NOT EXISTS bot_difficulty VARCHAR(10) CHECK (bot_difficulty IN ('easy', 'medium', 'hard'));
+      ALTER TABLE game_players DROP CONSTRAINT IF EXISTS game_players_position_check;
+      ALTER TABLE game_players ADD CONSTRAINT game_players_position_check CHECK (position BETWEEN 0 AND 5);
+      ALTER TABLE game_players DROP CONSTRAINT IF EXISTS game_players_color_check;
+      ALTER TABLE game_players ADD CONSTRAINT game_players_color_check CHECK (color IN ('red', 'blue', 'green', 'yellow', 'purple', 'orange'));
+    `);
+    console.log("✓ Game_Players columns updated");
+
     // Create Game_Results table
     await db.query(`
       CREATE TABLE IF NOT EXISTS game_results (
@@ -66,7 +99,7 @@ const createTables = async () => {
         game_id INTEGER NOT NULL REFERENCES games(id),
         player_id INTEGER NOT NULL REFERENCES users(id),
         final_position INTEGER NOT NULL,
-        result VARCHAR(10) NOT NULL CHECK (result IN ('win', 'loss')),
+        result VARCHAR(10) NOT NULL CHECK (result IN ('win', 'loss', 'forfeit')),
         score INTEGER DEFAULT 0,
         pieces_home INTEGER DEFAULT 0,
         timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -74,25 +107,51 @@ const createTables = async () => {
     `);
     console.log("✓ Game_Results table created");
 
+    // Upgrade existing Game_Results tables
+    await db.query(`
+      ALTER TABLE game_results DROP CONSTRAINT IF EXISTS game_results_result_check;
+      ALTER TABLE game_results ADD CONSTRAINT game_results_result_check CHECK (result IN ('win', 'loss', 'forfeit'));
+    `);
+    console.log("✓ Game_Results columns updated");
+
     // Create Game_Moves table for move history
     await db.query(`
       CREATE TABLE IF NOT EXISTS game_moves (
         id SERIAL PRIMARY KEY,
         game_id INTEGER NOT NULL REFERENCES games(id),
-        player_id INTEGER NOT NULL REFERENCES users(id),
+        player_id INTEGER REFERENCES users(id),
         move_number INTEGER NOT NULL,
-        dice_roll INTEGER NOT NULL CHECK (dice_roll BETWEEN 1 AND 6),
+        dice_roll INTEGER CHECK (dice_roll BETWEEN 1 AND 6),
         piece_moved INTEGER CHECK (piece_moved BETWEEN 0 AND 3),
         from_position INTEGER,
         to_position INTEGER,
         captured_piece BOOLEAN DEFAULT false,
         captured_player_id INTEGER REFERENCES users(id),
         extra_turn BOOLEAN DEFAULT false,
+        move_type VARCHAR(20) NOT NULL DEFAULT 'move',
+        six_streak INTEGER DEFAULT 0,
+        roll_nonce INTEGER,
+        events JSONB NOT NULL DEFAULT '[]',
+        reverted BOOLEAN NOT NULL DEFAULT false,
+        item VARCHAR(20),
         timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
     `);
     console.log("✓ Game_Moves table created");
 
+    // Upgrade existing Game_Moves tables
+    await db.query(`
+      ALTER TABLE game_moves ADD COLUMN IF NOT EXISTS move_type VARCHAR(20) NOT NULL DEFAULT 'move';
+      ALTER TABLE game_moves ADD COLUMN IF NOT EXISTS six_streak INTEGER DEFAULT 0;
+      ALTER TABLE game_moves ALTER COLUMN dice_roll DROP NOT NULL;
+      ALTER TABLE game_moves ADD COLUMN IF NOT EXISTS roll_nonce INTEGER;
+      ALTER TABLE game_moves ADD COLUMN IF NOT EXISTS events JSONB NOT NULL DEFAULT '[]';
+      ALTER TABLE game_moves ALTER COLUMN player_id DROP NOT NULL;
+      ALTER TABLE game_moves ADD COLUMN IF NOT EXISTS reverted BOOLEAN NOT NULL DEFAULT false;
+      ALTER TABLE game_moves ADD COLUMN IF NOT EXISTS item VARCHAR(20);
+    `);
+    console.log("✓ Game_Moves columns updated");
+
     // Create indexes for better performance
     await db.query(`
       CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
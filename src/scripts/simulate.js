@@ -0,0 +1,262 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const LudoGame = require("../game/LudoGame");
+const { SeededDice } = require("../game/dice");
+const { BOT_DIFFICULTIES, chooseMove } = require("../game/bot");
+const { resolveRules } = require("../game/rules");
+const { getBoardLayout } = require("../game/board");
+const { loadPlugins } = require("../game/plugins");
+
+// Headless simulation of complete bot games for rule balancing
+//
+//   node src/scripts/simulate.js --games=5000 --players=4 \
+//     --strategies=hard,medium --rules='{"exitOn":"one_or_six"}' \
+//     --plugins=teleport,forced_capture \
+//     --seed=balance-1 --format=csv --out=report.csv
+
+const DEFAULT_OPTIONS = {
+  games: 1000,
+  players: 4,
+  board: "classic",
+  strategies: "medium",
+  rules: "{}",
+  plugins: "",
+  seed: "simulation",
+  format: "json",
+  out: null,
+  maxRolls: 5000, // Give up on a game after this many rolls
+};
+
+// Parse --key=value arguments
+const parseArgs = (argv) => {
+  const options = { ...DEFAULT_OPTIONS };
+
+  argv.forEach((arg) => {
+    const match = arg.match(/^--([a-zA-Z]+)=(.*)$/);
+    if (!match || !(match[1] in DEFAULT_OPTIONS)) {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+    options[match[1]] = match[2];
+  });
+
+  options.games = parseInt(options.games);
+  options.players = parseInt(options.players);
+  options.maxRolls = parseInt(options.maxRolls);
+  options.strategies = options.strategies.split(",");
+  options.rules = resolveRules(JSON.parse(options.rules));
+  options.plugins = options.plugins ? options.plugins.split(",") : [];
+  loadPlugins(options.plugins); // Throws on an unknown plugin
+
+  const { seats } = getBoardLayout(options.board);
+  if (!(options.players >= 2 && options.players <= seats)) {
+    throw new Error(`Players must be between 2 and ${seats}`);
+  }
+  options.strategies.forEach((strategy) => {
+    if (!BOT_DIFFICULTIES.includes(strategy)) {
+      throw new Error(`Unknown strategy: ${strategy}`);
+    }
+  });
+  if (!["json", "csv"].includes(options.format)) {
+    throw new Error("Format must be json or csv");
+  }
+
+  return options;
+};
+
+// Seeded random number generator (mulberry32) for strategy choices
+const createRandom = (seed) => {
+  let state = crypto.createHash("sha256").update(seed).digest().readUInt32LE(0);
+
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Play one game to the end; strategies rotate through the seats
+const playGame = (index, options) => {
+  const gameSeed = `${options.seed}:${index}`;
+  const random = createRandom(gameSeed);
+
+  const players = [];
+  for (let seat = 0; seat < options.players; seat++) {
+    players.push({
+      id: seat + 1,
+      position: seat,
+      bot_difficulty:
+        options.strategies[(seat + index) % options.strategies.length],
+    });
+  }
+
+  const game = new LudoGame(`sim-${index}`, players, {
+    rules: options.rules,
+    board: options.board,
+    plugins: options.plugins,
+    dice: new SeededDice(gameSeed),
+  });
+  game.startGame();
+
+  let rolls = 0;
+  while (game.gameStatus === "playing" && rolls < options.maxRolls) {
+    const playerId = game.getCurrentPlayer().id;
+
+    // Two-dice rule: a roll may take more than one move
+    if (!game.hasPendingRoll(playerId)) {
+      game.rollDice(playerId);
+      rolls++;
+
+      if (!game.hasPendingRoll(playerId)) continue;
+    }
+
+    const move = chooseMove(
+      game,
+      playerId,
+      game.getValidMoves(playerId),
+      game.getBotDifficulty(playerId),
+      random
+    );
+    game.movePiece(playerId, move.pieceIndex, move.diceValue, move.dieIndex);
+  }
+
+  const count = (type) =>
+    game.moveHistory.filter((record) => (record.type || "move") === type)
+      .length;
+
+  return {
+    finished: game.gameStatus === "finished",
+    rolls,
+    moves: count("move"),
+    passes: count("pass"),
+    penalties: count("penalty"),
+    captures: game.moveHistory.filter((record) => record.captured).length,
+    finishingOrder: game.finishingOrder.map((id) => ({
+      seat: id - 1,
+      strategy: game.getBotDifficulty(id),
+    })),
+  };
+};
+
+// Run all games and aggregate the balance metrics
+const runSimulation = (options) => {
+  const seatWins = new Array(options.players).fill(0);
+  const strategyWins = {};
+  const strategySeats = {};
+  const totals = { rolls: 0, moves: 0, passes: 0, penalties: 0, captures: 0 };
+  let completed = 0;
+
+  for (let index = 0; index < options.games; index++) {
+    for (let seat = 0; seat < options.players; seat++) {
+      const strategy =
+        options.strategies[(seat + index) % options.strategies.length];
+      strategySeats[strategy] = (strategySeats[strategy] || 0) + 1;
+    }
+
+    const result = playGame(index, options);
+    Object.keys(totals).forEach((key) => {
+      totals[key] += result[key];
+    });
+
+    if (!result.finished) continue;
+    completed++;
+
+    const winner = result.finishingOrder[0];
+    seatWins[winner.seat]++;
+    strategyWins[winner.strategy] = (strategyWins[winner.strategy] || 0) + 1;
+  }
+
+  const ratio = (value, total) =>
+    total > 0 ? Math.round((value / total) * 10000) / 10000 : 0;
+
+  const winDistribution = {};
+  Object.keys(strategySeats).forEach((strategy) => {
+    const wins = strategyWins[strategy] || 0;
+    winDistribution[strategy] = {
+      wins,
+      winRate: ratio(wins, completed),
+      // Win rate per seat played, so 1 / players means no edge
+      winRatePerSeat: ratio(
+        wins * options.games,
+        strategySeats[strategy] * completed
+      ),
+    };
+  });
+
+  return {
+    config: {
+      games: options.games,
+      players: options.players,
+      board: options.board,
+      strategies: options.strategies,
+      rules: options.rules,
+      plugins: options.plugins,
+      seed: options.seed,
+    },
+    completedGames: completed,
+    averageRolls: ratio(totals.rolls, options.games),
+    averageMoves: ratio(totals.moves, options.games),
+    averageRollsPerPlayer: ratio(totals.rolls, options.games * options.players),
+    firstPlayerAdvantage: {
+      firstSeatWinRate: ratio(seatWins[0], completed),
+      expectedWinRate: ratio(1, options.players),
+      seatWinRates: seatWins.map((wins) => ratio(wins, completed)),
+    },
+    captures: {
+      perGame: ratio(totals.captures, options.games),
+      perMove: ratio(totals.captures, totals.moves),
+    },
+    passesPerGame: ratio(totals.passes, options.games),
+    penaltiesPerGame: ratio(totals.penalties, options.games),
+    winDistribution,
+  };
+};
+
+// Flatten the report into metric,value CSV rows
+const toCsv = (report) => {
+  const rows = [["metric", "value"]];
+
+  const flatten = (value, prefix) => {
+    if (value !== null && typeof value === "object") {
+      Object.keys(value).forEach((key) =>
+        flatten(value[key], prefix ? `${prefix}.${key}` : key)
+      );
+    } else {
+      rows.push([prefix, value]);
+    }
+  };
+  flatten(report, "");
+
+  return rows.map((row) => row.join(",")).join("\n") + "\n";
+};
+
+const main = () => {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const report = runSimulation(options);
+    const output =
+      options.format === "csv"
+        ? toCsv(report)
+        : JSON.stringify(report, null, 2) + "\n";
+
+    if (options.out) {
+      fs.writeFileSync(options.out, output);
+      console.log(`Simulation report written to ${options.out}`);
+    } else {
+      process.stdout.write(output);
+    }
+  } catch (error) {
+    console.error("Simulation failed:", error.message);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  parseArgs,
+  runSimulation,
+  toCsv,
+};
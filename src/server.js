@@ -186,6 +186,9 @@ app.use(errorHandler);
 const gameService = new GameService();
 const socketService = new SocketService(io, gameService);
 
+// Let REST controllers reach live game instances
+app.set("gameService", gameService);
+
 // Initialize Socket.IO
 socketService.initialize();
 
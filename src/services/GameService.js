@@ -1,4 +1,9 @@
 const LudoGame = require("../game/LudoGame");
+const { SeededDice, createDiceSource } = require("../game/dice");
+const { getNextDiceNonce } = require("../game/events");
+const { chooseMove } = require("../game/bot");
+const { rankMoves } = require("../game/evaluator");
+const { exportNotation, importNotation } = require("../game/notation");
 const Game = require("../models/Game");
 const User = require("../models/User");
 const {
@@ -9,10 +14,46 @@ const {
 const logger = require("../utils/logger");
 const config = require("../config/app");
 
+// Check if two move records are the same move (e.g. the move an undo vote is about)
+const isSameMove = (move, other) =>
+  !!move &&
+  !!other &&
+  move.rollNonce === other.rollNonce &&
+  move.pieceOwnerId === other.pieceOwnerId &&
+  move.pieceIndex === other.pieceIndex &&
+  move.from === other.from &&
+  move.to === other.to;
+
+// Default clock for turn timers (tests can inject a fake one)
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (handle) => clearTimeout(handle),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (handle) => clearInterval(handle),
+};
+
 class GameService {
-  constructor() {
+  constructor(options = {}) {
     this.activeGames = new Map(); // In-memory storage for active game instances
     this.playerGameMap = new Map(); // Map players to their current games
+    this.turnTimers = new Map(); // Map game IDs to { timeout, interval } handles
+    this.undoRequests = new Map(); // Map game IDs to the pending undo vote
+    this.quarantinedGames = new Map(); // Map game IDs to the violations that took them out of play
+    this.clock = options.clock || systemClock;
+    this.broadcaster = null; // (gameId, event, data) => void, set by SocketService
+  }
+
+  // Set the function used to broadcast events to a game room
+  setBroadcaster(broadcaster) {
+    this.broadcaster = broadcaster;
+  }
+
+  // Broadcast an event to everyone in a game room
+  broadcast(gameId, event, data) {
+    if (this.broadcaster) {
+      this.broadcaster(gameId, event, data);
+    }
   }
 
   // Create a new game instance
@@ -27,8 +68,21 @@ class GameService {
       // Get players
       const players = await gameData.getPlayers();
 
-      // Create game instance
-      const gameInstance = new LudoGame(gameId, players);
+      // Create game instance with the lobby's house rules (and committed seed, if any)
+      const gameInstance = new LudoGame(gameId, players, {
+        rules: gameData.game_settings.rules,
+        board: gameData.game_settings.board,
+        gameMode: gameData.game_settings.gameMode,
+        teamMode: gameData.game_settings.teamMode,
+        partnerPlay: gameData.game_settings.partnerPlay,
+        openingRoll: gameData.game_settings.openingRoll,
+        plugins: gameData.game_settings.plugins,
+        arcade: gameData.game_settings.arcade,
+        handicaps: gameData.game_settings.handicaps,
+        dice: gameData.dice_seed
+          ? new SeededDice(gameData.dice_seed)
+          : undefined,
+      });
 
       // Store in memory
       this.activeGames.set(gameId, gameInstance);
@@ -39,7 +93,7 @@ class GameService {
       });
 
       // Cache game state in Redis
-      await this.cacheGameState(gameId, gameInstance.getGameState());
+      await this.cacheGameState(gameId, gameInstance.getSnapshot());
 
       logger.gameEvent("Game instance created", {
         gameId,
@@ -56,6 +110,8 @@ class GameService {
   // Get game instance (from memory or create new)
   async getGameInstance(gameId) {
     try {
+      this.assertNotQuarantined(gameId);
+
       // Check if game is already in memory
       if (this.activeGames.has(gameId)) {
         return this.activeGames.get(gameId);
@@ -65,19 +121,37 @@ class GameService {
       if (process.env.SKIP_REDIS !== "true") {
         try {
           const cachedState = await getGameState(gameId);
-          if (cachedState) {
-            const gameInstance = this.restoreGameFromState(cachedState);
+          const gameInstance =
+            cachedState && this.restoreGameFromState(cachedState);
+          const violations = gameInstance
+            ? gameInstance.getInvariantViolations()
+            : [];
+          if (violations.length > 0) {
+            // Replaying game_moves below repairs a corrupted snapshot
+            logger.gameEvent("Cached game failed invariant checks", {
+              gameId,
+              violations,
+            });
+          } else if (gameInstance) {
             this.activeGames.set(gameId, gameInstance);
+            this.resumeTurnTimer(gameId, gameInstance);
             logger.debug(`Game ${gameId} restored from Redis cache`);
             return gameInstance;
           }
         } catch (redisError) {
           logger.warn(
-            `Failed to restore from Redis, creating new instance: ${redisError.message}`
+            `Failed to restore from Redis, replaying from database: ${redisError.message}`
           );
         }
       }
 
+      // Replay a game in progress from its event log
+      const rebuilt = await this.rebuildGameFromEvents(gameId);
+      if (rebuilt) {
+        return rebuilt;
+      }
+      this.assertNotQuarantined(gameId);
+
       // Create new instance from database
       return await this.createGameInstance(gameId);
     } catch (error) {
@@ -95,8 +169,9 @@ class GameService {
       // Update player mapping
       this.playerGameMap.set(player.id, gameId);
 
-      // Cache updated state
-      await this.cacheGameState(gameId, gameInstance.getGameState());
+      // Check and cache updated state
+      await this.verifyGameState(gameId, gameInstance, "add_player");
+      await this.cacheGameState(gameId, gameInstance.getSnapshot());
 
       logger.gameEvent("Player added to game", {
         gameId,
@@ -120,13 +195,15 @@ class GameService {
       if (removed) {
         // Update player mapping
         this.playerGameMap.delete(playerId);
+        this.cancelUndoRequest(gameId, "player_left");
 
         // If no players left, clean up game
         if (gameInstance.players.length === 0) {
           await this.cleanupGame(gameId);
         } else {
-          // Cache updated state
-          await this.cacheGameState(gameId, gameInstance.getGameState());
+          // Check and cache updated state
+          await this.verifyGameState(gameId, gameInstance, "remove_player");
+          await this.cacheGameState(gameId, gameInstance.getSnapshot());
         }
 
         logger.gameEvent("Player removed from game", {
@@ -147,13 +224,30 @@ class GameService {
     try {
       const gameInstance = await this.getGameInstance(gameId);
       gameInstance.startGame();
+      await this.saveMove(gameId, null, { type: "start" });
+
+      // Opening roll-off rolls are recorded like any other for verification
+      for (const roll of gameInstance.openingRolls) {
+        await this.saveMove(gameId, roll.playerId, {
+          type: "opening",
+          diceValue: roll.value,
+          rollNonce: roll.nonce,
+        });
+      }
 
       // Update database
       const game = await Game.findById(gameId);
       await game.startGame();
 
-      // Cache updated state
-      await this.cacheGameState(gameId, gameInstance.getGameState());
+      // Commit to the dice seed (only its hash is public until the game ends)
+      const { seed = null } = gameInstance.dice.getState();
+      await game.setDiceCommitment(gameInstance.dice.getCommitment(), seed);
+
+      this.startTurnTimer(gameId, gameInstance);
+
+      // Check and cache updated state
+      await this.verifyGameState(gameId, gameInstance, "start");
+      await this.cacheGameState(gameId, gameInstance.getSnapshot());
 
       logger.gameEvent("Game started", {
         gameId,
@@ -170,22 +264,64 @@ class GameService {
   // Handle dice roll
   async rollDice(gameId, playerId) {
     try {
+      if (this.undoRequests.has(gameId)) {
+        throw new Error("Waiting for the undo vote");
+      }
+
       const gameInstance = await this.getGameInstance(gameId);
       const diceValue = gameInstance.rollDice(playerId);
+      const {
+        sixStreak,
+        forfeited = false,
+        passed = false,
+      } = gameInstance.lastDiceRoll;
+      const dice = gameInstance.lastDiceRoll.dice.map((die) => die.value);
+
+      // Third consecutive six: record the penalty, turn already passed on
+      let penalty = null;
+      if (forfeited) {
+        penalty = gameInstance.moveHistory[gameInstance.moveHistory.length - 1];
+        await this.saveMove(gameId, playerId, penalty);
+      }
 
-      // Cache updated state
-      await this.cacheGameState(gameId, gameInstance.getGameState());
+      // No legal moves: record the automatic pass
+      let pass = null;
+      if (passed) {
+        pass = gameInstance.moveHistory[gameInstance.moveHistory.length - 1];
+        await this.saveMove(gameId, playerId, pass);
+      }
+
+      // Turn (or re-roll) starts over after a penalty or pass
+      if (forfeited || passed) {
+        this.startTurnTimer(gameId, gameInstance);
+      }
+
+      // Check and cache updated state
+      await this.verifyGameState(gameId, gameInstance, "roll");
+      await this.cacheGameState(gameId, gameInstance.getSnapshot());
 
       logger.gameEvent("Dice rolled", {
         gameId,
         playerId,
         diceValue,
+        dice,
+        sixStreak,
+        forfeited,
+        passed,
       });
 
       return {
         diceValue,
-        gameState: gameInstance.getPublicGameState(playerId),
-        validMoves: gameInstance.getValidMoves(playerId, diceValue),
+        dice,
+        sixStreak,
+        forfeited,
+        penalty,
+        passed,
+        pass,
+        nextPlayer: gameInstance.getCurrentPlayer(),
+        gameState: gameInstance.getGameState(),
+        validMoves:
+          forfeited || passed ? [] : gameInstance.getValidMoves(playerId),
       };
     } catch (error) {
       logger.error(`Failed to roll dice in game ${gameId}:`, error);
@@ -193,14 +329,19 @@ class GameService {
     }
   }
 
-  // Handle piece move
-  async movePiece(gameId, playerId, pieceIndex, diceValue) {
+  // Handle piece move (dieIndex picks the die to spend under the two-dice rule)
+  async movePiece(gameId, playerId, pieceIndex, diceValue, dieIndex) {
     try {
+      if (this.undoRequests.has(gameId)) {
+        throw new Error("Waiting for the undo vote");
+      }
+
       const gameInstance = await this.getGameInstance(gameId);
       const moveResult = gameInstance.movePiece(
         playerId,
         pieceIndex,
-        diceValue
+        diceValue,
+        dieIndex
       );
 
       // Save move to database
@@ -209,15 +350,20 @@ class GameService {
       // Check if game ended
       if (moveResult.gameEnded) {
         await this.endGame(gameId, moveResult.winner);
+      } else {
+        this.startTurnTimer(gameId, gameInstance);
       }
 
-      // Cache updated state
-      await this.cacheGameState(gameId, gameInstance.getGameState());
+      // Check and cache updated state
+      await this.verifyGameState(gameId, gameInstance, "move");
+      await this.cacheGameState(gameId, gameInstance.getSnapshot());
 
       logger.gameEvent("Piece moved", {
         gameId,
         playerId,
         pieceIndex,
+        diceValue: moveResult.diceValue,
+        dieIndex: moveResult.dieIndex,
         from: moveResult.from,
         to: moveResult.to,
         captured: moveResult.captured,
@@ -234,22 +380,711 @@ class GameService {
     }
   }
 
+  // Handle an arcade item used by the current player (target names the
+  // pieces for shield and swap)
+  async useItem(gameId, playerId, item, target = {}) {
+    try {
+      if (this.undoRequests.has(gameId)) {
+        throw new Error("Waiting for the undo vote");
+      }
+
+      const gameInstance = await this.getGameInstance(gameId);
+      const record = gameInstance.useItem(playerId, item, target);
+      await this.saveMove(gameId, playerId, record);
+
+      // A re-roll can forfeit the turn, and a re-roll or double move can
+      // leave no legal move (the turn was passed on)
+      const rolled = item === "reroll" || item === "double_move";
+      const roll = gameInstance.lastDiceRoll;
+      const forfeited = rolled && !!roll.forfeited;
+      const passed = rolled && !!roll.passed;
+      let pass = null;
+      if (forfeited || passed) {
+        pass = gameInstance.getLastRecord();
+        await this.saveMove(gameId, playerId, pass);
+        this.startTurnTimer(gameId, gameInstance);
+      }
+
+      // Check and cache updated state
+      await this.verifyGameState(gameId, gameInstance, "item");
+      await this.cacheGameState(gameId, gameInstance.getSnapshot());
+
+      logger.gameEvent("Item used", {
+        gameId,
+        playerId,
+        item,
+        pieceIndex: record.pieceIndex,
+        from: record.from,
+        to: record.to,
+        forfeited,
+        passed,
+      });
+
+      return {
+        item,
+        record,
+        dice: rolled ? roll.dice.map((die) => die.value) : null,
+        sixStreak: gameInstance.sixStreak,
+        forfeited,
+        passed,
+        pass,
+        nextPlayer: gameInstance.getCurrentPlayer(),
+        gameState: gameInstance.getGameState(),
+        validMoves: gameInstance.getValidMoves(playerId),
+      };
+    } catch (error) {
+      logger.error(`Failed to use item in game ${gameId}:`, error);
+      throw error;
+    }
+  }
+
+  // Start a fresh turn clock for the current player
+  startTurnTimer(gameId, gameInstance) {
+    this.clearTurnTimer(gameId);
+
+    const player = gameInstance.getCurrentPlayer();
+    if (gameInstance.gameStatus !== "playing" || !player) {
+      gameInstance.turnTimer = null;
+      return;
+    }
+
+    const now = this.clock.now();
+    gameInstance.turnTimer = {
+      playerId: player.id,
+      startedAt: now,
+      deadline: now + config.game.turnTimeoutMs,
+    };
+    gameInstance.startGameClock(now);
+
+    this.scheduleTurnTimer(gameId, gameInstance);
+  }
+
+  // Resume a turn clock restored from cache (fires at once if already expired)
+  resumeTurnTimer(gameId, gameInstance) {
+    if (gameInstance.gameStatus !== "playing" || !gameInstance.turnTimer) {
+      return;
+    }
+
+    this.clearTurnTimer(gameId);
+    this.scheduleTurnTimer(gameId, gameInstance);
+  }
+
+  // Schedule expiry and remaining-time broadcasts for the current turn clock
+  scheduleTurnTimer(gameId, gameInstance) {
+    const { playerId, deadline } = gameInstance.turnTimer;
+    const remainingMs = Math.max(0, deadline - this.clock.now());
+
+    const timeout = this.clock.setTimeout(
+      () => this.handleTurnTimeout(gameId, playerId),
+      remainingMs
+    );
+
+    const interval = this.clock.setInterval(() => {
+      this.broadcastTurnTimer(gameId, gameInstance);
+    }, config.game.turnTimerTickMs);
+
+    // Quick mode: the game ends when the running game clock hits zero
+    let clockTimeout = null;
+    if (gameInstance.gameClock) {
+      clockTimeout = this.clock.setTimeout(
+        () => this.handleGameClockExpired(gameId),
+        gameInstance.getGameClockRemaining(
+          gameInstance.gameClock.playerId,
+          this.clock.now()
+        )
+      );
+    }
+
+    // Bots act on their own after a short delay
+    let botTimeout = null;
+    if (gameInstance.isBot(playerId)) {
+      botTimeout = this.clock.setTimeout(
+        () => this.playBotTurn(gameId, playerId),
+        config.game.botMoveDelayMs
+      );
+    }
+
+    this.turnTimers.set(gameId, {
+      timeout,
+      interval,
+      clockTimeout,
+      botTimeout,
+    });
+    this.broadcastTurnTimer(gameId, gameInstance);
+  }
+
+  // Broadcast remaining turn time to the game room
+  broadcastTurnTimer(gameId, gameInstance) {
+    if (!gameInstance.turnTimer) return;
+
+    const { playerId, deadline } = gameInstance.turnTimer;
+    const now = this.clock.now();
+    this.broadcast(gameId, "turn_timer", {
+      playerId,
+      deadline,
+      remainingMs: Math.max(0, deadline - now),
+      gameClockMs: gameInstance.gameClock
+        ? gameInstance.getGameClockRemaining(playerId, now)
+        : null,
+    });
+  }
+
+  // Stop the turn clock of a game
+  clearTurnTimer(gameId) {
+    const timer = this.turnTimers.get(gameId);
+    if (!timer) return;
+
+    this.clock.clearTimeout(timer.timeout);
+    this.clock.clearInterval(timer.interval);
+    if (timer.clockTimeout) {
+      this.clock.clearTimeout(timer.clockTimeout);
+    }
+    if (timer.botTimeout) {
+      this.clock.clearTimeout(timer.botTimeout);
+    }
+    this.turnTimers.delete(gameId);
+  }
+
+  // Handle an expired turn: auto-roll/auto-move or skip, forfeit repeat offenders
+  async handleTurnTimeout(gameId, playerId) {
+    try {
+      this.clearTurnTimer(gameId);
+
+      const gameInstance = this.activeGames.get(gameId);
+      if (
+        !gameInstance ||
+        gameInstance.gameStatus !== "playing" ||
+        !gameInstance.isPlayerTurn(playerId)
+      ) {
+        return;
+      }
+
+      const timeouts = gameInstance.recordTurnTimeout(playerId);
+
+      logger.gameEvent("Turn timed out", { gameId, playerId, timeouts });
+      this.broadcast(gameId, "turn_timeout", { playerId, timeouts });
+
+      if (timeouts >= config.game.maxTurnTimeouts) {
+        await this.forfeitPlayer(gameId, playerId, "timeout");
+        return;
+      }
+
+      if (config.game.turnTimeoutAction === "skip") {
+        const skip = gameInstance.skipTurn(playerId, "timeout");
+        await this.saveMove(gameId, playerId, skip);
+        this.startTurnTimer(gameId, gameInstance);
+        await this.verifyGameState(gameId, gameInstance, "skip");
+        await this.cacheGameState(gameId, gameInstance.getSnapshot());
+
+        this.broadcast(gameId, "turn_passed", {
+          playerId,
+          reason: "timeout",
+          nextPlayerId: gameInstance.getCurrentPlayer()?.id,
+          gameState: gameInstance.getGameState(),
+        });
+        return;
+      }
+
+      await this.autoPlayTurn(gameId, playerId);
+    } catch (error) {
+      logger.error(`Failed to handle turn timeout in game ${gameId}:`, error);
+    }
+  }
+
+  // Play a bot's turn (roll, then move by its difficulty)
+  async playBotTurn(gameId, playerId) {
+    const gameInstance = this.activeGames.get(gameId);
+    if (
+      !gameInstance ||
+      gameInstance.gameStatus !== "playing" ||
+      !gameInstance.isPlayerTurn(playerId)
+    ) {
+      return;
+    }
+
+    try {
+      await this.autoPlayTurn(gameId, playerId);
+    } catch (error) {
+      logger.error(`Failed to play bot turn in game ${gameId}:`, error);
+    }
+  }
+
+  // Roll (if needed) and make a legal move on a player's behalf
+  async autoPlayTurn(gameId, playerId) {
+    const gameInstance = await this.getGameInstance(gameId);
+    let validMoves;
+
+    if (gameInstance.hasPendingRoll(playerId)) {
+      validMoves = gameInstance.getValidMoves(playerId);
+    } else {
+      const rollResult = await this.rollDice(gameId, playerId);
+      const { diceValue } = rollResult;
+      validMoves = rollResult.validMoves;
+
+      this.broadcast(gameId, "player_rolled_dice", {
+        playerId,
+        diceValue,
+        dice: rollResult.dice,
+        sixStreak: rollResult.sixStreak,
+        auto: true,
+      });
+
+      if (rollResult.passed) {
+        this.broadcast(gameId, "turn_passed", {
+          playerId,
+          diceValue,
+          extraTurn: rollResult.pass.extraTurn,
+          nextPlayerId: rollResult.nextPlayer?.id,
+          gameState: rollResult.gameState,
+        });
+      }
+
+      if (rollResult.forfeited) {
+        this.broadcast(gameId, "turn_forfeited", {
+          playerId,
+          reason: "three_sixes",
+          penalty: rollResult.penalty,
+          gameState: rollResult.gameState,
+        });
+      }
+    }
+
+    if (validMoves.length === 0) return;
+
+    // Bots choose by difficulty; timed-out humans get the first legal move
+    const difficulty = gameInstance.getBotDifficulty(playerId);
+    const move = difficulty
+      ? chooseMove(gameInstance, playerId, validMoves, difficulty)
+      : validMoves[0];
+
+    const result = await this.movePiece(
+      gameId,
+      playerId,
+      move.pieceIndex,
+      move.diceValue,
+      move.dieIndex
+    );
+
+    this.broadcast(gameId, "piece_moved", {
+      playerId,
+      moveResult: result.moveResult,
+      gameState: result.gameState,
+      auto: true,
+    });
+
+    if (result.moveResult.playerFinished) {
+      this.broadcast(gameId, "player_finished", {
+        playerId,
+        placement: result.moveResult.placement,
+      });
+    }
+
+    if (result.moveResult.gameEnded) {
+      this.broadcast(gameId, "game_ended", {
+        winner: result.moveResult.winner,
+        winners: result.moveResult.winners,
+        finishingOrder: result.gameState.finishingOrder,
+        gameState: result.gameState,
+      });
+    }
+
+    // Two-dice rule: a timed-out human's other die is played too
+    // (bots play it on their next turn clock tick)
+    if (!difficulty && gameInstance.hasPendingRoll(playerId)) {
+      await this.autoPlayTurn(gameId, playerId);
+    }
+  }
+
+  // Quick mode game clock ran out: highest score wins
+  async handleGameClockExpired(gameId) {
+    const gameInstance = this.activeGames.get(gameId);
+    if (!gameInstance || gameInstance.gameStatus !== "playing") return;
+
+    try {
+      const playerId = gameInstance.gameClock?.playerId;
+      gameInstance.finishOnTime(this.clock.now());
+      await this.saveMove(gameId, playerId, { type: "time_up" });
+      await this.endGame(gameId, gameInstance.winnerId);
+      await this.verifyGameState(gameId, gameInstance, "time_up");
+
+      logger.gameEvent("Game clock expired", { gameId, playerId });
+      this.broadcast(gameId, "game_ended", {
+        reason: "time",
+        winner: gameInstance.winnerId,
+        winners: gameInstance.getWinners(),
+        finishingOrder: gameInstance.finishingOrder,
+        scores: gameInstance.scores,
+        gameState: gameInstance.getGameState(),
+      });
+
+      await this.cacheGameState(gameId, gameInstance.getSnapshot());
+    } catch (error) {
+      logger.error(`Failed to end game ${gameId} on time:`, error);
+    }
+  }
+
+  // Resign from a game in progress (the player forfeits)
+  async resignPlayer(gameId, playerId) {
+    try {
+      const gameInstance = await this.getGameInstance(gameId);
+
+      if (gameInstance.gameStatus !== "playing") {
+        throw new Error("Game is not in playing status");
+      }
+      if (gameInstance.getPlayerPosition(playerId) === -1) {
+        throw new Error("You are not in this game");
+      }
+      if (gameInstance.isPlayerFinished(playerId)) {
+        throw new Error("You have already finished");
+      }
+
+      await this.forfeitPlayer(gameId, playerId, "resigned");
+      return gameInstance;
+    } catch (error) {
+      logger.error(`Failed to resign player ${playerId}:`, error);
+      throw error;
+    }
+  }
+
+  // Remove a player who forfeited (resigned or let too many turns expire) and
+  // record the forfeit; the last remaining player wins
+  async forfeitPlayer(gameId, playerId, reason) {
+    const gameInstance = await this.getGameInstance(gameId);
+    const stats = gameInstance.getPlayerStats(playerId);
+    const wasTurn = gameInstance.isPlayerTurn(playerId);
+    await this.removePlayerFromGame(gameId, playerId);
+
+    // Forfeited players place behind everyone still seated
+    await this.recordForfeit(
+      gameId,
+      playerId,
+      stats,
+      gameInstance.players.length + 1,
+      gameInstance.isRated()
+    );
+
+    logger.gameEvent("Player forfeited", { gameId, playerId, reason });
+    this.broadcast(gameId, "player_forfeited", { playerId, reason });
+
+    // Nobody left: removePlayerFromGame already cleaned the game up
+    if (gameInstance.players.length === 0) return;
+
+    // Game ends once only one player (or team) is left racing
+    const ended = gameInstance.finishIfDecided();
+    await this.saveMove(gameId, playerId, { type: "forfeit" });
+
+    if (ended) {
+      await this.endGame(gameId, gameInstance.winnerId);
+
+      this.broadcast(gameId, "game_ended", {
+        winner: gameInstance.winnerId,
+        winners: gameInstance.getWinners(),
+        finishingOrder: gameInstance.finishingOrder,
+        gameState: gameInstance.getGameState(),
+      });
+    } else if (wasTurn) {
+      this.startTurnTimer(gameId, gameInstance);
+    }
+
+    await this.verifyGameState(gameId, gameInstance, "forfeit");
+    await this.cacheGameState(gameId, gameInstance.getSnapshot());
+  }
+
+  // Record a forfeit in game_results and (in rated games) the player's statistics
+  async recordForfeit(gameId, playerId, stats, finalPosition, rated = true) {
+    try {
+      const game = await Game.findById(gameId);
+      await game.recordPlayerResult(
+        playerId,
+        "forfeit",
+        stats.score,
+        stats.piecesHome,
+        finalPosition
+      );
+
+      if (rated) {
+        const user = await User.findById(playerId);
+        await user.updateGameStats(false);
+      }
+    } catch (error) {
+      logger.error(`Failed to record forfeit of player ${playerId}:`, error);
+      // Don't throw - the game goes on without the result row
+    }
+  }
+
   // Get player's current game
   getPlayerGame(playerId) {
     return this.playerGameMap.get(playerId);
   }
 
-  // Get game state for a player
-  async getGameStateForPlayer(gameId, playerId) {
+  // Get game state as seen by a player, spectator or admin
+  async getGameStateForPlayer(gameId, playerId, isAdmin = false) {
     try {
+      // Finished games are cleaned up after a delay: replay them for viewing
+      if (!this.activeGames.has(gameId)) {
+        const game = await Game.findById(gameId);
+        if (game && game.status === "finished") {
+          const finished = await this.replayFinishedGame(game);
+          return finished && finished.getPublicGameState(playerId, isAdmin);
+        }
+      }
+
       const gameInstance = await this.getGameInstance(gameId);
-      return gameInstance.getPublicGameState(playerId);
+      return gameInstance.getPublicGameState(playerId, isAdmin);
     } catch (error) {
       logger.error(`Failed to get game state for player ${playerId}:`, error);
       throw error;
     }
   }
 
+  // Replay a finished game (games row) from its event log, null without a log.
+  // The replay is not made active: it stays out of activeGames and playerGameMap.
+  async replayFinishedGame(game) {
+    const events = await game.getEvents();
+    if (events.length === 0) {
+      return null;
+    }
+
+    return LudoGame.fromEvents(game.id, events, {
+      dice: this.createLogDice(game, events),
+    });
+  }
+
+  // Dice for a game replayed from its log (games row): the committed seed,
+  // continued after the last recorded roll
+  createLogDice(game, events) {
+    const nonce = getNextDiceNonce(events);
+    return game.dice_seed
+      ? new SeededDice(game.dice_seed, nonce)
+      : createDiceSource({ nonce });
+  }
+
+  // Get ranked move hints for a player's pending roll
+  async getMoveHints(gameId, playerId) {
+    try {
+      const gameInstance = await this.getGameInstance(gameId);
+
+      if (!gameInstance.hasPendingRoll(playerId)) {
+        throw new Error("Roll the dice before asking for hints");
+      }
+
+      const validMoves = gameInstance.getValidMoves(playerId);
+
+      return {
+        diceValue: gameInstance.lastDiceRoll.value,
+        dice: gameInstance.getPendingDice(playerId),
+        hints: rankMoves(gameInstance, playerId, validMoves),
+      };
+    } catch (error) {
+      logger.error(`Failed to get move hints for player ${playerId}:`, error);
+      throw error;
+    }
+  }
+
+  // Export a game recorded in game_moves as notation (the seed only once revealed)
+  async exportGameNotation(gameId) {
+    try {
+      const game = await Game.findById(gameId);
+      if (!game) {
+        throw new Error(`Game ${gameId} not found`);
+      }
+
+      const events = await game.getEvents();
+      if (events.length === 0) {
+        throw new Error("Game has no recorded moves");
+      }
+
+      return exportNotation(events, {
+        gameId: game.id,
+        seed: game.isDiceSeedRevealed() ? game.dice_seed : null,
+        commitment: game.dice_commitment,
+      });
+    } catch (error) {
+      logger.error(`Failed to export notation for game ${gameId}:`, error);
+      throw error;
+    }
+  }
+
+  // Replay notation into a LudoGame for analysis (throws on illegal sequences)
+  importGameNotation(notation) {
+    const gameInstance = importNotation(notation);
+
+    logger.gameEvent("Notation imported", {
+      gameId: gameInstance.gameId,
+      events: gameInstance.events.length,
+    });
+
+    return gameInstance;
+  }
+
+  // Ask opponents to let a player take back their last move (before the next roll)
+  async requestUndo(gameId, playerId) {
+    try {
+      const gameInstance = await this.getGameInstance(gameId);
+
+      if (this.undoRequests.has(gameId)) {
+        throw new Error("An undo request is already pending");
+      }
+
+      const move = gameInstance.getUndoableMove(playerId);
+      if (!move) {
+        throw new Error("No move to undo");
+      }
+
+      // Human opponents vote; bots and partners do not
+      const voters = gameInstance.players
+        .filter(
+          (player) =>
+            player.id !== playerId &&
+            !gameInstance.areTeammates(playerId, player.id) &&
+            !gameInstance.isBot(player.id)
+        )
+        .map((player) => player.id);
+
+      // The game waits for the vote: no turn clock, no bot moves
+      this.clearTurnTimer(gameId);
+
+      const expiresAt = this.clock.now() + config.game.undoRequestTimeoutMs;
+      const request = {
+        playerId,
+        move,
+        voters,
+        votes: {},
+        expiresAt,
+        timeout: this.clock.setTimeout(
+          () => this.resolveUndoRequest(gameId, false, "timeout"),
+          config.game.undoRequestTimeoutMs
+        ),
+      };
+      this.undoRequests.set(gameId, request);
+
+      logger.gameEvent("Undo requested", { gameId, playerId, voters });
+      this.broadcast(gameId, "undo_requested", {
+        playerId,
+        move,
+        voters,
+        expiresAt,
+      });
+
+      if (voters.length === 0) {
+        await this.resolveUndoRequest(gameId, true, "approved");
+      }
+
+      return { move, voters, expiresAt };
+    } catch (error) {
+      logger.error(`Failed to request undo in game ${gameId}:`, error);
+      throw error;
+    }
+  }
+
+  // Record an opponent's vote; one rejection rejects, all approvals approve
+  async voteUndo(gameId, playerId, approve) {
+    try {
+      const request = this.undoRequests.get(gameId);
+      if (!request) {
+        throw new Error("No undo request is pending");
+      }
+
+      if (!request.voters.includes(playerId)) {
+        throw new Error("You cannot vote on this undo request");
+      }
+
+      if (request.votes[playerId] !== undefined) {
+        throw new Error("You have already voted");
+      }
+
+      request.votes[playerId] = !!approve;
+      this.broadcast(gameId, "undo_vote", {
+        playerId,
+        approve: !!approve,
+        votes: request.votes,
+      });
+
+      if (!approve) {
+        await this.resolveUndoRequest(gameId, false, "rejected");
+      } else if (
+        request.voters.every((voterId) => request.votes[voterId] === true)
+      ) {
+        await this.resolveUndoRequest(gameId, true, "approved");
+      }
+
+      return { votes: request.votes };
+    } catch (error) {
+      logger.error(`Failed to vote on undo in game ${gameId}:`, error);
+      throw error;
+    }
+  }
+
+  // Finish an undo vote: take the move back if approved, then resume play
+  async resolveUndoRequest(gameId, approved, reason) {
+    const request = this.undoRequests.get(gameId);
+    if (!request) return;
+
+    this.clock.clearTimeout(request.timeout);
+    this.undoRequests.delete(gameId);
+
+    const gameInstance = this.activeGames.get(gameId);
+    if (!gameInstance) return;
+
+    const { playerId, move } = request;
+    if (approved && !isSameMove(gameInstance.getUndoableMove(playerId), move)) {
+      // Something else happened since the vote started
+      approved = false;
+      reason = "stale";
+    }
+
+    const eventCount = gameInstance.events.length;
+    try {
+      if (approved) {
+        gameInstance.undoLastMove(playerId);
+
+        // The move row is kept for the record, marked as reverted
+        try {
+          const game = await Game.findById(gameId);
+          await game.revertMove(move.rollNonce);
+        } catch (error) {
+          // Take the undo back so the engine matches game_moves again
+          gameInstance.rollbackTo(eventCount);
+          throw error;
+        }
+
+        await this.saveMove(gameId, playerId, { type: "undo" });
+        await this.verifyGameState(gameId, gameInstance, "undo");
+      }
+    } catch (error) {
+      logger.error(`Failed to undo move in game ${gameId}:`, error);
+      approved = false;
+      reason = "failed";
+    }
+
+    if (gameInstance.gameStatus === "playing") {
+      this.startTurnTimer(gameId, gameInstance);
+    }
+    await this.cacheGameState(gameId, gameInstance.getSnapshot());
+
+    logger.gameEvent("Undo request resolved", {
+      gameId,
+      playerId,
+      approved,
+      reason,
+    });
+    this.broadcast(gameId, "undo_resolved", {
+      playerId,
+      approved,
+      reason,
+      move,
+      gameState: gameInstance.getGameState(),
+    });
+  }
+
+  // Drop a pending undo vote (e.g. a player left) and resume play
+  cancelUndoRequest(gameId, reason) {
+    if (!this.undoRequests.has(gameId)) return;
+    this.resolveUndoRequest(gameId, false, reason).catch((error) =>
+      logger.error(`Failed to cancel undo request in game ${gameId}:`, error)
+    );
+  }
+
   // Handle player disconnection
   async handlePlayerDisconnection(playerId) {
     try {
@@ -317,32 +1152,49 @@ class GameService {
   async endGame(gameId, winnerId) {
     try {
       const gameInstance = await this.getGameInstance(gameId);
+      this.clearTurnTimer(gameId);
+      gameInstance.turnTimer = null;
+      gameInstance.chargeGameClock(this.clock.now());
+      gameInstance.gameClock = null;
 
       // Update database
       const game = await Game.findById(gameId);
       await game.setWinner(winnerId);
 
+      // Finishing positions (partners share their team's placing)
+      const winners = gameInstance.getWinners();
+      const placements = gameInstance.getPlacements();
+
       // Record results for all players
       for (const player of gameInstance.players) {
         const stats = gameInstance.getPlayerStats(player.id);
-        const result = player.id === winnerId ? "win" : "loss";
+        const isWinner = placements[player.id] === 1;
+        const result = isWinner ? "win" : "loss";
 
         await game.recordPlayerResult(
           player.id,
           result,
-          stats.piecesHome * 10, // Score calculation
-          stats.piecesHome
+          stats.score,
+          stats.piecesHome,
+          placements[player.id]
         );
 
-        // Update user statistics
-        const user = await User.findById(player.id);
-        await user.updateGameStats(player.id === winnerId);
+        // Update user statistics (handicapped games are unrated)
+        if (gameInstance.isRated()) {
+          const user = await User.findById(player.id);
+          await user.updateGameStats(isWinner);
+        }
       }
 
       logger.gameEvent("Game ended", {
         gameId,
         winnerId,
+        winners,
+        placements,
+        scores: gameInstance.scores,
+        rated: gameInstance.isRated(),
         duration: game.getDuration(),
+        diceSeed: gameInstance.dice.getPublicInfo(true).seed,
       });
 
       // Clean up after a delay
@@ -355,22 +1207,28 @@ class GameService {
     }
   }
 
-  // Save move to database
+  // Save move to database, together with the events it produced since the last save
   async saveMove(gameId, playerId, moveResult) {
     try {
       const db = require("../config/database");
 
+      // Move number is the sequence of the row's first event in the game log
+      const gameInstance = this.activeGames.get(gameId);
+      const moveNumber = gameInstance ? gameInstance.savedEventCount : 0;
+      const events = gameInstance ? gameInstance.getUnsavedEvents() : [];
+
       const query = `
         INSERT INTO game_moves (
           game_id, player_id, move_number, dice_roll, piece_moved,
-          from_position, to_position, captured_piece, captured_player_id, extra_turn
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          from_position, to_position, captured_piece, captured_player_id, extra_turn,
+          move_type, six_streak, roll_nonce, events, item
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
       `;
 
       await db.query(query, [
         gameId,
         playerId,
-        moveResult.moveNumber || 0,
+        moveNumber,
         moveResult.diceValue,
         moveResult.pieceIndex,
         moveResult.from,
@@ -378,10 +1236,21 @@ class GameService {
         moveResult.captured || false,
         moveResult.capturedPlayer || null,
         moveResult.extraTurn || false,
+        moveResult.type || "move",
+        moveResult.sixStreak || 0,
+        moveResult.rollNonce !== undefined ? moveResult.rollNonce : null,
+        JSON.stringify(events),
+        moveResult.item || null,
       ]);
+
+      // Events only count as saved once their row is written
+      if (gameInstance) {
+        gameInstance.markEventsSaved(moveNumber + events.length);
+      }
     } catch (error) {
       logger.error("Failed to save move to database:", error);
-      // Don't throw - game can continue without move history
+      // Don't throw - the game goes on and the unsaved events are written
+      // with the next row
     }
   }
 
@@ -403,25 +1272,158 @@ class GameService {
     }
   }
 
-  // Restore game from cached state
+  // Restore game from cached state by replaying its event log
+  // (null if the snapshot cannot be replayed, e.g. cached by an older version)
   restoreGameFromState(cachedState) {
-    const gameInstance = new LudoGame(cachedState.gameId, cachedState.players);
+    const dice = createDiceSource(cachedState.diceState);
+    let gameInstance;
+
+    if (cachedState.gameStatus === "waiting") {
+      // Lobby: nothing has happened yet besides players joining
+      gameInstance = new LudoGame(cachedState.gameId, cachedState.players, {
+        rules: cachedState.rules,
+        board: cachedState.boardConfig && cachedState.boardConfig.layout,
+        gameMode: cachedState.gameMode,
+        dice,
+        teamMode: cachedState.teamMode,
+        partnerPlay: cachedState.partnerPlay,
+        openingRoll: cachedState.openingRoll,
+        plugins: cachedState.plugins,
+        arcade: cachedState.arcade,
+        handicaps: cachedState.handicaps,
+      });
+    } else if (cachedState.events && cachedState.events.length > 0) {
+      gameInstance = LudoGame.fromEvents(
+        cachedState.gameId,
+        cachedState.events,
+        { dice }
+      );
+      gameInstance.savedEventCount = cachedState.savedEventCount || 0;
+    } else {
+      return null;
+    }
 
-    // Restore state
-    gameInstance.currentTurn = cachedState.currentTurn;
-    gameInstance.gameStatus = cachedState.gameStatus;
-    gameInstance.winnerId = cachedState.winnerId;
-    gameInstance.piecePositions = cachedState.piecePositions;
-    gameInstance.lastDiceRoll = cachedState.lastDiceRoll;
-    gameInstance.moveHistory = cachedState.moveHistory;
+    // Wall-clock state is not part of the event log
+    gameInstance.turnTimer = cachedState.turnTimer || null;
+    gameInstance.gameClocks = cachedState.gameClocks || gameInstance.gameClocks;
+    gameInstance.gameClock = cachedState.gameClock || null;
 
     return gameInstance;
   }
 
+  // Rebuild a game in progress from the events saved in game_moves
+  async rebuildGameFromEvents(gameId) {
+    try {
+      const game = await Game.findById(gameId);
+      if (!game || game.status !== "playing") {
+        return null;
+      }
+
+      const events = await game.getEvents();
+      if (events.length === 0) {
+        return null;
+      }
+
+      // Continue the committed dice sequence after the last recorded roll
+      const gameInstance = LudoGame.fromEvents(gameId, events, {
+        dice: this.createLogDice(game, events),
+      });
+
+      // A log that replays into a broken state cannot be repaired
+      const violations = gameInstance.getInvariantViolations();
+      if (violations.length > 0) {
+        await this.quarantineGame(gameId, violations, "rebuild");
+        return null;
+      }
+
+      this.activeGames.set(gameId, gameInstance);
+      const players = await game.getPlayers();
+      players.forEach((player) => {
+        this.playerGameMap.set(player.user_id, gameId);
+      });
+
+      // Turn clocks restart: wall-clock time is not in the event log
+      if (gameInstance.gameStatus === "playing") {
+        this.startTurnTimer(gameId, gameInstance);
+      }
+      await this.cacheGameState(gameId, gameInstance.getSnapshot());
+
+      logger.gameEvent("Game rebuilt from event log", {
+        gameId,
+        events: events.length,
+      });
+
+      return gameInstance;
+    } catch (error) {
+      logger.error(`Failed to rebuild game ${gameId} from events:`, error);
+      return null;
+    }
+  }
+
+  // Check a game's invariants after a change. A broken state is repaired by
+  // replaying the event log; if the log itself replays into a broken state,
+  // the game is quarantined instead of served.
+  async verifyGameState(gameId, gameInstance, action) {
+    const violations = gameInstance.getInvariantViolations();
+    if (violations.length === 0) return;
+
+    logger.gameEvent("Game invariants violated", {
+      gameId,
+      action,
+      violations,
+    });
+
+    if (gameInstance.rebuildState()) {
+      const remaining = gameInstance.getInvariantViolations();
+      if (remaining.length === 0) {
+        logger.gameEvent("Game state repaired from event log", {
+          gameId,
+          action,
+          repaired: violations.map((violation) => violation.code),
+        });
+        return;
+      }
+      await this.quarantineGame(gameId, remaining, action);
+    } else {
+      await this.quarantineGame(gameId, violations, action);
+    }
+
+    this.assertNotQuarantined(gameId);
+  }
+
+  // Take a corrupted game out of play (kept out until the server restarts
+  // and its log replays cleanly)
+  async quarantineGame(gameId, violations, action) {
+    this.quarantinedGames.set(gameId, {
+      action,
+      violations,
+      quarantinedAt: new Date(this.clock.now()).toISOString(),
+    });
+    await this.cleanupGame(gameId);
+
+    logger.gameEvent("Game quarantined", { gameId, action, violations });
+    this.broadcast(gameId, "game_quarantined", { gameId, action, violations });
+  }
+
+  // Refuse to serve a quarantined game
+  assertNotQuarantined(gameId) {
+    if (this.quarantinedGames.has(gameId)) {
+      throw new Error(
+        `Game ${gameId} is quarantined after failing its integrity checks`
+      );
+    }
+  }
+
   // Clean up game instance
   async cleanupGame(gameId) {
     try {
-      // Remove from memory
+      // Stop the turn clock and remove from memory
+      this.clearTurnTimer(gameId);
+      const undoRequest = this.undoRequests.get(gameId);
+      if (undoRequest) {
+        this.clock.clearTimeout(undoRequest.timeout);
+        this.undoRequests.delete(gameId);
+      }
       this.activeGames.delete(gameId);
 
       // Remove player mappings
@@ -1,6 +1,7 @@
 const { authenticateSocket } = require("../middleware/auth");
 const logger = require("../utils/logger");
 const config = require("../config/app");
+const { projectGameState } = require("../game/projection");
 
 class SocketService {
   constructor(io, gameService) {
@@ -15,6 +16,11 @@ class SocketService {
     // Authentication middleware
     this.io.use(authenticateSocket);
 
+    // Let the game service broadcast turn timers and automatic actions
+    this.gameService.setBroadcaster((gameId, event, data) =>
+      this.broadcastToGame(gameId, event, data)
+    );
+
     // Connection handler
     this.io.on("connection", (socket) => {
       this.handleConnection(socket);
@@ -33,6 +39,7 @@ class SocketService {
       this.connectedUsers.set(socket.id, {
         userId,
         username: user.username,
+        isAdmin: !!user.is_admin,
         connectedAt: new Date(),
       });
       this.userSockets.set(userId, socket.id);
@@ -80,13 +87,18 @@ class SocketService {
     socket.on("join_game", (data) => this.handleJoinGame(socket, data));
     socket.on("leave_game", (data) => this.handleLeaveGame(socket, data));
     socket.on("start_game", (data) => this.handleStartGame(socket, data));
+    socket.on("resign", (data) => this.handleResign(socket, data));
 
     // Gameplay events
     socket.on("roll_dice", (data) => this.handleRollDice(socket, data));
     socket.on("move_piece", (data) => this.handleMovePiece(socket, data));
+    socket.on("use_item", (data) => this.handleUseItem(socket, data));
     socket.on("get_game_state", (data) =>
       this.handleGetGameState(socket, data)
     );
+    socket.on("get_hints", (data) => this.handleGetHints(socket, data));
+    socket.on("request_undo", (data) => this.handleRequestUndo(socket, data));
+    socket.on("undo_vote", (data) => this.handleUndoVote(socket, data));
 
     // Chat and communication events
     socket.on("send_message", (data) => this.handleSendMessage(socket, data));
@@ -114,10 +126,11 @@ class SocketService {
       // Join the game room
       socket.join(`game_${gameId}`);
 
-      // Get game state
+      // Get game state (seated players, spectators and admins see different views)
       const gameState = await this.gameService.getGameStateForPlayer(
         gameId,
-        userId
+        userId,
+        this.connectedUsers.get(socket.id)?.isAdmin
       );
 
       // Send game state to the player
@@ -185,8 +198,13 @@ class SocketService {
       // Start the game
       const gameInstance = await this.gameService.startGame(gameId);
 
+      // Replay the roll-off for the first turn, one roll at a time
+      gameInstance.openingRolls.forEach((roll) => {
+        this.io.to(`game_${gameId}`).emit("opening_roll", roll);
+      });
+
       // Broadcast game started to all players in the room
-      this.io.to(`game_${gameId}`).emit("game_started", {
+      this.emitToGame(gameId, "game_started", {
         gameState: gameInstance.getGameState(),
       });
 
@@ -202,6 +220,29 @@ class SocketService {
     }
   }
 
+  // Handle a player resigning from a game in progress
+  // (player_forfeited and game_ended are broadcast by the game service)
+  async handleResign(socket, data) {
+    try {
+      const { gameId } = data;
+      const userId = this.connectedUsers.get(socket.id)?.userId;
+
+      if (!userId || !gameId) {
+        socket.emit("error", { message: "Invalid resign request" });
+        return;
+      }
+
+      await this.gameService.resignPlayer(gameId, userId);
+
+      logger.socketEvent("Player resigned", socket.id, { userId, gameId });
+    } catch (error) {
+      logger.error("Resign error:", error);
+      socket.emit("error", {
+        message: error.message || "Failed to resign",
+      });
+    }
+  }
+
   // Handle dice roll
   async handleRollDice(socket, data) {
     try {
@@ -219,6 +260,8 @@ class SocketService {
       // Send result to the player
       socket.emit("dice_rolled", {
         diceValue: result.diceValue,
+        dice: result.dice,
+        sixStreak: result.sixStreak,
         validMoves: result.validMoves,
       });
 
@@ -226,9 +269,33 @@ class SocketService {
       socket.to(`game_${gameId}`).emit("player_rolled_dice", {
         playerId: userId,
         diceValue: result.diceValue,
+        dice: result.dice,
+        sixStreak: result.sixStreak,
         username: this.connectedUsers.get(socket.id)?.username,
       });
 
+      // Third consecutive six forfeits the turn
+      if (result.forfeited) {
+        this.emitToGame(gameId, "turn_forfeited", {
+          playerId: userId,
+          reason: "three_sixes",
+          penalty: result.penalty,
+          gameState: result.gameState,
+        });
+      }
+
+      // No legal moves: the turn was passed automatically
+      if (result.passed) {
+        this.emitToGame(gameId, "turn_passed", {
+          playerId: userId,
+          username: this.connectedUsers.get(socket.id)?.username,
+          diceValue: result.diceValue,
+          extraTurn: result.pass.extraTurn,
+          nextPlayerId: result.nextPlayer?.id,
+          gameState: result.gameState,
+        });
+      }
+
       logger.socketEvent("Dice rolled", socket.id, {
         userId,
         gameId,
@@ -243,7 +310,7 @@ class SocketService {
   // Handle piece movement
   async handleMovePiece(socket, data) {
     try {
-      const { gameId, pieceIndex, diceValue } = data;
+      const { gameId, pieceIndex, diceValue, dieIndex } = data;
       const userId = this.connectedUsers.get(socket.id)?.userId;
 
       if (!userId || !gameId || pieceIndex === undefined || !diceValue) {
@@ -256,21 +323,33 @@ class SocketService {
         gameId,
         userId,
         pieceIndex,
-        diceValue
+        diceValue,
+        dieIndex
       );
 
       // Broadcast move to all players in the game
-      this.io.to(`game_${gameId}`).emit("piece_moved", {
+      this.emitToGame(gameId, "piece_moved", {
         playerId: userId,
         username: this.connectedUsers.get(socket.id)?.username,
         moveResult: result.moveResult,
         gameState: result.gameState,
       });
 
+      // A player got all pieces home
+      if (result.moveResult.playerFinished) {
+        this.io.to(`game_${gameId}`).emit("player_finished", {
+          playerId: userId,
+          username: this.connectedUsers.get(socket.id)?.username,
+          placement: result.moveResult.placement,
+        });
+      }
+
       // Check if game ended
       if (result.moveResult.gameEnded) {
-        this.io.to(`game_${gameId}`).emit("game_ended", {
+        this.emitToGame(gameId, "game_ended", {
           winner: result.moveResult.winner,
+          winners: result.moveResult.winners,
+          finishingOrder: result.gameState.finishingOrder,
           gameState: result.gameState,
         });
       }
@@ -290,6 +369,74 @@ class SocketService {
     }
   }
 
+  // Handle an arcade item (shield and swap name their pieces)
+  async handleUseItem(socket, data) {
+    try {
+      const { gameId, item, pieceIndex, targetPlayerId, targetPieceIndex } =
+        data;
+      const userId = this.connectedUsers.get(socket.id)?.userId;
+      const username = this.connectedUsers.get(socket.id)?.username;
+
+      if (!userId || !gameId || !item) {
+        socket.emit("error", { message: "Invalid use item request" });
+        return;
+      }
+
+      const result = await this.gameService.useItem(gameId, userId, item, {
+        pieceIndex,
+        targetPlayerId,
+        targetPieceIndex,
+      });
+
+      // Broadcast the item and its effect to all players in the game
+      this.emitToGame(gameId, "item_used", {
+        playerId: userId,
+        username,
+        item,
+        record: result.record,
+        dice: result.dice,
+        gameState: result.gameState,
+      });
+
+      // A re-roll or double move changes the moves the player can make
+      if (result.dice && !result.forfeited && !result.passed) {
+        socket.emit("dice_rolled", {
+          diceValue: result.dice[0],
+          dice: result.dice,
+          sixStreak: result.sixStreak,
+          validMoves: result.validMoves,
+        });
+      }
+
+      if (result.forfeited) {
+        this.emitToGame(gameId, "turn_forfeited", {
+          playerId: userId,
+          reason: "three_sixes",
+          penalty: result.pass,
+          gameState: result.gameState,
+        });
+      }
+
+      if (result.passed) {
+        this.emitToGame(gameId, "turn_passed", {
+          playerId: userId,
+          username,
+          diceValue: result.pass.diceValue,
+          extraTurn: result.pass.extraTurn,
+          nextPlayerId: result.nextPlayer?.id,
+          gameState: result.gameState,
+        });
+      }
+
+      logger.socketEvent("Item used", socket.id, { userId, gameId, item });
+    } catch (error) {
+      logger.error("Use item error:", error);
+      socket.emit("error", {
+        message: error.message || "Failed to use item",
+      });
+    }
+  }
+
   // Handle getting game state
   async handleGetGameState(socket, data) {
     try {
@@ -304,7 +451,8 @@ class SocketService {
       // Get game state
       const gameState = await this.gameService.getGameStateForPlayer(
         gameId,
-        userId
+        userId,
+        this.connectedUsers.get(socket.id)?.isAdmin
       );
 
       socket.emit("game_state", { gameState });
@@ -319,6 +467,78 @@ class SocketService {
     }
   }
 
+  // Handle move hint requests (ranked moves for the pending roll)
+  async handleGetHints(socket, data) {
+    try {
+      const { gameId } = data;
+      const userId = this.connectedUsers.get(socket.id)?.userId;
+
+      if (!userId || !gameId) {
+        socket.emit("error", { message: "Invalid hints request" });
+        return;
+      }
+
+      const result = await this.gameService.getMoveHints(gameId, userId);
+      socket.emit("hints", result);
+
+      logger.socketEvent("Hints requested", socket.id, {
+        userId,
+        gameId,
+        diceValue: result.diceValue,
+      });
+    } catch (error) {
+      logger.error("Get hints error:", error);
+      socket.emit("error", {
+        message: error.message || "Failed to get hints",
+      });
+    }
+  }
+
+  // Handle a request to take back the player's last move
+  // (the vote itself is broadcast by the game service: undo_requested, undo_vote, undo_resolved)
+  async handleRequestUndo(socket, data) {
+    try {
+      const { gameId } = data;
+      const userId = this.connectedUsers.get(socket.id)?.userId;
+
+      if (!userId || !gameId) {
+        socket.emit("error", { message: "Invalid undo request" });
+        return;
+      }
+
+      await this.gameService.requestUndo(gameId, userId);
+
+      logger.socketEvent("Undo requested", socket.id, { userId, gameId });
+    } catch (error) {
+      logger.error("Request undo error:", error);
+      socket.emit("error", {
+        message: error.message || "Failed to request undo",
+      });
+    }
+  }
+
+  // Handle an opponent's vote on a pending undo request
+  async handleUndoVote(socket, data) {
+    try {
+      const { gameId, approve } = data;
+      const userId = this.connectedUsers.get(socket.id)?.userId;
+
+      if (!userId || !gameId || typeof approve !== "boolean") {
+        socket.emit("error", { message: "Invalid undo vote" });
+        return;
+      }
+
+      await this.gameService.voteUndo(gameId, userId, approve);
+
+      logger.socketEvent("Undo vote", socket.id, { userId, gameId, approve });
+    } catch (error) {
+      logger.error("Undo vote error:", error);
+      socket.emit("error", {
+        message: error.message || "Failed to vote on undo",
+      });
+    }
+  }
+
   // Handle chat messages
   async handleSendMessage(socket, data) {
     try {
@@ -443,7 +663,30 @@ class SocketService {
 
   // Broadcast to all users in a game
   broadcastToGame(gameId, event, data) {
-    this.io.to(`game_${gameId}`).emit(event, data);
+    this.emitToGame(gameId, event, data);
+  }
+
+  // Emit to every socket in a game room; a full gameState in the payload is
+  // projected for each socket's viewer (active player, player, spectator, admin)
+  emitToGame(gameId, event, data) {
+    if (!data || !data.gameState) {
+      this.io.to(`game_${gameId}`).emit(event, data);
+      return;
+    }
+
+    const room = this.io.sockets.adapter.rooms.get(`game_${gameId}`);
+    if (!room) return;
+
+    room.forEach((socketId) => {
+      const user = this.connectedUsers.get(socketId);
+      this.io.to(socketId).emit(event, {
+        ...data,
+        gameState: projectGameState(data.gameState, {
+          userId: user?.userId,
+          isAdmin: user?.isAdmin,
+        }),
+      });
+    });
   }
 
   // Send notification to all connected users
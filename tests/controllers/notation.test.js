@@ -0,0 +1,69 @@
+const Game = require("../../src/models/Game");
+const { getGameNotation } = require("../../src/controllers/gameController");
+
+// Response that records its status and JSON body
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+describe("notation export access", () => {
+  let exportGameNotation;
+
+  // Export game 7 (with the given status, user 1 seated) as a user
+  const exportAs = async (status, user) => {
+    jest.spyOn(Game, "findById").mockResolvedValue({
+      id: 7,
+      status,
+      getPlayer: async (userId) => (userId === 1 ? { user_id: 1 } : null),
+    });
+    const res = mockResponse();
+    await getGameNotation(
+      {
+        params: { id: "7" },
+        userId: user.id,
+        user,
+        app: { get: () => ({ exportGameNotation }) },
+      },
+      res
+    );
+    return res;
+  };
+
+  beforeEach(() => {
+    exportGameNotation = jest.fn().mockResolvedValue('[Game "7"]');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("players export their game while it is in play", async () => {
+    const res = await exportAs("playing", { id: 1 });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.notation).toBe('[Game "7"]');
+  });
+
+  test("other users cannot export a game in play", async () => {
+    const res = await exportAs("playing", { id: 2 });
+
+    expect(res.statusCode).toBe(403);
+    expect(exportGameNotation).not.toHaveBeenCalled();
+  });
+
+  test("admins and, once finished, any user can export", async () => {
+    expect(
+      (await exportAs("playing", { id: 2, is_admin: true })).statusCode
+    ).toBe(200);
+    expect((await exportAs("finished", { id: 2 })).statusCode).toBe(200);
+  });
+});
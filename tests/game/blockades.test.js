@@ -0,0 +1,61 @@
+const { startGame } = require("../helpers");
+
+// Two-player game with player 1 holding a blockade on square 10
+const startBlockadeGame = (rules = {}) => {
+  const game = startGame(2, { rules });
+  game.piecePositions[1] = [10, 10, 0, 0];
+  return game;
+};
+
+describe("blockades", () => {
+  test("moving a piece onto an own piece forms a blockade", () => {
+    const game = startGame(2);
+    game.piecePositions[1] = [7, 10, 0, 0];
+
+    expect(game.calculateMove(1, 0, 3)).toMatchObject({
+      isValid: true,
+      newPosition: 10,
+      formsBlockade: true,
+    });
+  });
+
+  test("a third own piece cannot join a blockade", () => {
+    const game = startBlockadeGame();
+    game.piecePositions[1] = [10, 10, 7, 0];
+
+    expect(game.calculateMove(1, 2, 3).isValid).toBe(false);
+  });
+
+  test("opponents can neither pass nor land on a blockade", () => {
+    const game = startBlockadeGame();
+    game.piecePositions[2] = [8, 0, 0, 0];
+
+    expect(game.getBlockadeOwner(10)).toBe(1);
+    expect(game.calculateMove(2, 0, 1).isValid).toBe(true);
+    expect(game.calculateMove(2, 0, 2).isValid).toBe(false);
+    expect(game.calculateMove(2, 0, 4).isValid).toBe(false);
+  });
+
+  test("the owner's own pieces pass their blockade", () => {
+    const game = startBlockadeGame();
+    game.piecePositions[1] = [10, 10, 8, 0];
+
+    expect(game.calculateMove(1, 2, 4).isValid).toBe(true);
+  });
+
+  test("a blockade on the start square keeps opponents in the yard", () => {
+    const game = startGame(2);
+    game.piecePositions[1] = [14, 14, 0, 0];
+
+    expect(game.calculateMove(2, 0, 6).isValid).toBe(false);
+  });
+
+  test("with blockades off own pieces cannot share a square and nothing blocks", () => {
+    const game = startBlockadeGame({ blockades: false });
+    game.piecePositions[1] = [10, 10, 7, 0];
+    game.piecePositions[2] = [8, 0, 0, 0];
+
+    expect(game.calculateMove(1, 2, 3).isValid).toBe(false);
+    expect(game.calculateMove(2, 0, 4).isValid).toBe(true);
+  });
+});
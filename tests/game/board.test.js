@@ -0,0 +1,157 @@
+const LudoGame = require("../../src/game/LudoGame");
+const {
+  createBoardConfig,
+  getBoardGeometry,
+  getRelativeProgress,
+} = require("../../src/game/board");
+const {
+  scriptedDice,
+  makePlayers,
+  startGame,
+  playGame,
+} = require("../helpers");
+
+describe("board layouts", () => {
+  test("the classic board keeps the 52-square layout", () => {
+    expect(createBoardConfig()).toMatchObject({
+      layout: "classic",
+      seats: 4,
+      totalSquares: 52,
+      homeSquares: 6,
+      safeSquares: [1, 9, 14, 22, 27, 35, 40, 48],
+      playerStartSquares: { 0: 1, 1: 14, 2: 27, 3: 40 },
+      playerHomeEntrySquares: { 0: 51, 1: 12, 2: 25, 3: 38 },
+    });
+  });
+
+  test("the six-player board has 78 squares and six arms", () => {
+    const board = createBoardConfig("six_player");
+
+    expect(board).toMatchObject({
+      seats: 6,
+      totalSquares: 78,
+      playerStartSquares: { 0: 1, 1: 14, 2: 27, 3: 40, 4: 53, 5: 66 },
+      playerHomeEntrySquares: { 0: 77, 1: 12, 2: 25, 3: 38, 4: 51, 5: 64 },
+    });
+    expect(board.colors).toHaveLength(6);
+    expect(board.safeSquares).toHaveLength(12);
+  });
+
+  test("unknown layouts are rejected", () => {
+    expect(() => createBoardConfig("hexagon")).toThrow(
+      "Unknown board layout: hexagon"
+    );
+  });
+
+  test("a board takes no more players than it has seats", () => {
+    const game = new LudoGame(1, makePlayers(4));
+
+    expect(() => game.addPlayer({ id: 5, position: 4 })).toThrow(
+      "Game is full"
+    );
+
+    const sixSeats = new LudoGame(1, makePlayers(4), { board: "six_player" });
+    sixSeats.addPlayer({ id: 5, position: 4 });
+    expect(sixSeats.validateGameState()).toBe(true);
+  });
+
+  test("pieces on the six-player board enter their home track after 78 squares", () => {
+    const game = startGame(6, {
+      board: "six_player",
+      dice: scriptedDice([3]),
+    });
+    game.currentTurn = 5;
+    game.piecePositions[6] = [63, 0, 0, 0];
+
+    game.rollDice(6);
+    game.movePiece(6, 0, 3);
+
+    expect(game.piecePositions[6]).toEqual([80, 0, 0, 0]);
+  });
+
+  test("a six-player game is played to the end", () => {
+    const game = playGame(startGame(6, { board: "six_player" }, "six-seats"), {
+      maxSteps: 20000,
+    });
+
+    expect(game.gameStatus).toBe("finished");
+    expect(game.finishingOrder).toHaveLength(6);
+    expect(game.validateGameState()).toBe(true);
+  });
+});
+
+describe("board geometry", () => {
+  // Every cell a layout draws: track squares, home tracks and yard slots
+  const allCells = (geometry) => [
+    ...geometry.track,
+    ...geometry.seats.flatMap((seat) => [...seat.homeTrack, ...seat.yard]),
+  ];
+
+  test.each([
+    ["classic", 1.5],
+    ["six_player", 2.5],
+  ])("%s cells fit the grid without overlapping", (layout, maxStep) => {
+    const geometry = getBoardGeometry(layout);
+    const cells = allCells(geometry);
+
+    cells.forEach(({ x, y }) => {
+      expect(Math.min(x, y)).toBeGreaterThanOrEqual(0);
+      expect(Math.max(x, y)).toBeLessThan(geometry.gridSize);
+    });
+    expect(new Set(cells.map(({ x, y }) => `${x},${y}`)).size).toBe(
+      cells.length
+    );
+
+    // The track is a closed loop of neighbouring cells
+    geometry.track.forEach((square, index) => {
+      const next = geometry.track[(index + 1) % geometry.track.length];
+      expect(Math.hypot(next.x - square.x, next.y - square.y)).toBeLessThan(
+        maxStep
+      );
+    });
+  });
+
+  test("classic squares sit on whole cells and mark starts and safe squares", () => {
+    const geometry = getBoardGeometry("classic");
+
+    geometry.track.forEach(({ x, y }) => {
+      expect(Number.isInteger(x) && Number.isInteger(y)).toBe(true);
+    });
+    expect(geometry.track[13]).toMatchObject({
+      square: 14,
+      safe: true,
+      startOf: 1,
+    });
+    expect(geometry.seats[1]).toMatchObject({
+      color: "blue",
+      startSquare: 14,
+      homeEntrySquare: 12,
+    });
+    expect(geometry.seats[1].homeTrack[5]).toEqual({
+      square: 58,
+      step: 6,
+      x: 6,
+      y: 7,
+      finish: true,
+    });
+  });
+
+  test("progress counts squares from the yard for each seat", () => {
+    const board = createBoardConfig();
+
+    expect(getRelativeProgress(board, 1, 0)).toBe(0);
+    expect(getRelativeProgress(board, 1, 14)).toBe(1);
+    expect(getRelativeProgress(board, 1, 12)).toBe(51);
+    expect(getRelativeProgress(board, 1, 58)).toBe(57);
+  });
+
+  test("game state carries the geometry and every piece's progress", () => {
+    const game = startGame(2);
+    game.piecePositions[2] = [14, 20, 0, 58];
+
+    const state = game.getGameState();
+
+    expect(state.boardGeometry).toBe(getBoardGeometry("classic"));
+    expect(state.pieceProgress).toEqual({ 1: [0, 0, 0, 0], 2: [1, 7, 0, 57] });
+  });
+});
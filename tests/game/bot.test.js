@@ -0,0 +1,91 @@
+const LudoGame = require("../../src/game/LudoGame");
+const { chooseMove } = require("../../src/game/bot");
+const { scriptedDice, makePlayers, startGame } = require("../helpers");
+
+// Two-player game where player 1 has rolled the given value
+const rolledGame = (value, positions) => {
+  const game = new LudoGame(1, makePlayers(2), { dice: scriptedDice([value]) });
+  game.startGame();
+  Object.assign(game.piecePositions, positions);
+  game.rollDice(1);
+  return game;
+};
+
+describe("bots", () => {
+  test("have nothing to choose without legal moves", () => {
+    const game = rolledGame(6, {});
+
+    expect(chooseMove(game, 1, [], "hard")).toBeNull();
+  });
+
+  test("easy bots play any legal move", () => {
+    const game = rolledGame(6, { 1: [20, 0, 0, 0] });
+    const moves = game.getValidMoves(1, 6);
+
+    expect(chooseMove(game, 1, moves, "easy", () => 0)).toBe(moves[0]);
+    expect(chooseMove(game, 1, moves, "easy", () => 0.99)).toBe(
+      moves[moves.length - 1]
+    );
+  });
+
+  test("medium bots capture when they can", () => {
+    const game = rolledGame(3, { 1: [10, 30, 0, 0], 2: [13, 40, 0, 0] });
+
+    const move = chooseMove(game, 1, game.getValidMoves(1, 3), "medium");
+
+    expect([move.from, move.to, move.capturedPlayer]).toEqual([10, 13, 2]);
+  });
+
+  test("medium bots bring a piece out on a 6", () => {
+    const game = rolledGame(6, { 1: [20, 0, 0, 0] });
+
+    const move = chooseMove(game, 1, game.getValidMoves(1, 6), "medium");
+
+    expect([move.from, move.to]).toEqual([0, 1]);
+  });
+
+  test("hard bots leave the game untouched while looking ahead", () => {
+    const game = startGame(4, { teamMode: true, rules: { diceCount: 2 } });
+    for (let step = 0; step < 200 && game.gameStatus === "playing"; step++) {
+      const playerId = game.getCurrentPlayer().id;
+      if (!game.hasPendingRoll(playerId)) {
+        game.rollDice(playerId);
+        continue;
+      }
+
+      const state = JSON.stringify(game.getEngineState());
+      const move = chooseMove(
+        game,
+        playerId,
+        game.getValidMoves(playerId),
+        "hard"
+      );
+      expect(JSON.stringify(game.getEngineState())).toBe(state);
+      game.movePiece(playerId, move.pieceIndex, move.diceValue, move.dieIndex);
+    }
+
+    expect(game.getInvariantViolations()).toEqual([]);
+  });
+});
+
+describe("hard bots", () => {
+  test("play out the opponent's next roll, blockades included", () => {
+    // Blue can reach 24 from 22, but cannot pass red's blockade on 6 to hit 7
+    const game = rolledGame(4, { 1: [6, 6, 3, 20], 2: [5, 22, 0, 0] });
+    const moves = game.getValidMoves(1);
+
+    const move = chooseMove(game, 1, moves, "hard");
+
+    expect([move.from, move.to]).toEqual([3, 7]);
+  });
+
+  test("prefer a capture that leaves nothing in reach", () => {
+    const game = rolledGame(3, { 1: [10, 30, 0, 0], 2: [13, 29, 0, 0] });
+    const moves = game.getValidMoves(1);
+
+    const move = chooseMove(game, 1, moves, "hard");
+
+    expect(move.capturedPlayers).toEqual([2]);
+    expect([move.from, move.to]).toEqual([10, 13]);
+  });
+});
@@ -0,0 +1,106 @@
+const {
+  SeededDice,
+  CryptoDice,
+  createDiceSource,
+  hashSeed,
+  deriveRoll,
+  verifyRolls,
+} = require("../../src/game/dice");
+const { EVENTS } = require("../../src/game/events");
+const { startGame, playGame } = require("../helpers");
+
+// Every die rolled in a game's log ({ nonce, value }), roll-off included
+const getLoggedRolls = (events) =>
+  events.flatMap((event) => {
+    if (event.type === EVENTS.OPENING_ROLLED) return [event];
+    if (event.type === EVENTS.DICE_ROLLED) return event.dice || [event];
+    return [];
+  });
+
+describe("dice", () => {
+  test("seeded dice commit to their seed and roll from it", () => {
+    const dice = new SeededDice("dice-seed");
+
+    expect(dice.getCommitment()).toBe(hashSeed("dice-seed"));
+    expect(dice.getPublicInfo().seed).toBeNull();
+    expect(dice.getPublicInfo(true).seed).toBe("dice-seed");
+
+    const rolls = [dice.roll(), dice.roll(), dice.roll()];
+    expect(rolls).toEqual(
+      [0, 1, 2].map((nonce) => ({
+        nonce,
+        value: deriveRoll("dice-seed", nonce),
+      }))
+    );
+  });
+
+  test("every face comes up", () => {
+    const counts = {};
+    for (let nonce = 0; nonce < 600; nonce++) {
+      const value = deriveRoll("fair-seed", nonce);
+      counts[value] = (counts[value] || 0) + 1;
+    }
+
+    expect(Object.keys(counts).sort()).toEqual(["1", "2", "3", "4", "5", "6"]);
+    Object.values(counts).forEach((count) => expect(count).toBeGreaterThan(60));
+  });
+
+  test("restored dice go on with the same sequence", () => {
+    const dice = new SeededDice("resume-seed");
+    dice.roll();
+    dice.roll();
+
+    const restored = createDiceSource(dice.getState());
+
+    expect(restored.roll()).toEqual(dice.roll());
+  });
+
+  test.each([
+    ["one die", {}],
+    ["two dice and a roll-off", { rules: { diceCount: 2 }, openingRoll: true }],
+  ])(
+    "rolls logged in a game with %s verify against the seed",
+    (name, options) => {
+      const game = playGame(startGame(4, options, "verify-seed"), {
+        maxSteps: 400,
+      });
+      const rolls = getLoggedRolls(game.events);
+
+      expect(rolls.length).toBeGreaterThan(50);
+      expect(
+        verifyRolls("verify-seed", hashSeed("verify-seed"), rolls)
+      ).toEqual({
+        valid: true,
+        commitmentValid: true,
+        mismatches: [],
+      });
+    }
+  );
+
+  test("a changed roll or a different seed fails verification", () => {
+    const commitment = hashSeed("verify-seed");
+    const rolls = [0, 1, 2].map((nonce) => ({
+      nonce,
+      value: deriveRoll("verify-seed", nonce),
+    }));
+    const changed = { ...rolls[1], value: (rolls[1].value % 6) + 1 };
+
+    expect(
+      verifyRolls("verify-seed", commitment, [rolls[0], changed, rolls[2]])
+    ).toEqual({ valid: false, commitmentValid: true, mismatches: [changed] });
+    expect(verifyRolls("other-seed", commitment, rolls)).toMatchObject({
+      valid: false,
+      commitmentValid: false,
+    });
+  });
+
+  test("crypto dice make no commitment", () => {
+    const dice = new CryptoDice();
+    const { value, nonce } = dice.roll();
+
+    expect(dice.getCommitment()).toBeNull();
+    expect(value).toBeGreaterThanOrEqual(1);
+    expect(value).toBeLessThanOrEqual(6);
+    expect(nonce).toBe(0);
+  });
+});
@@ -0,0 +1,68 @@
+const LudoGame = require("../../src/game/LudoGame");
+const {
+  MOVE_REASONS,
+  applyMove,
+  evaluateMove,
+  rankMoves,
+} = require("../../src/game/evaluator");
+const { scriptedDice, makePlayers } = require("../helpers");
+
+// Two-player game where player 1 has rolled the given value
+const rolledGame = (value, positions) => {
+  const game = new LudoGame(1, makePlayers(2), { dice: scriptedDice([value]) });
+  game.startGame();
+  Object.assign(game.piecePositions, positions);
+  game.rollDice(1);
+  return game;
+};
+
+// Reason codes given for a move
+const reasonCodes = (evaluation) =>
+  evaluation.reasons.map((reason) => reason.code);
+
+describe("move evaluator", () => {
+  test("a capture is explained and scored", () => {
+    const game = rolledGame(3, { 1: [10, 0, 0, 0], 2: [13, 0, 0, 0] });
+    const [move] = game.getValidMoves(1, 3);
+
+    const evaluation = evaluateMove(game, 1, move);
+
+    expect(reasonCodes(evaluation)).toEqual(["capture"]);
+    expect(evaluation.progress).toBe(13);
+    expect(evaluation.score).toBe(MOVE_REASONS.capture.points + 0.13);
+  });
+
+  test("every opponent piece in reach of the landing square counts", () => {
+    const game = rolledGame(6, { 1: [10, 0, 0, 0], 2: [11, 13, 0, 0] });
+    const [move] = game.getValidMoves(1, 6);
+
+    const evaluation = evaluateMove(game, 1, move);
+
+    expect(evaluation.reasons).toEqual([
+      {
+        code: "danger",
+        points: 2 * MOVE_REASONS.danger.points,
+        message: MOVE_REASONS.danger.message,
+      },
+    ]);
+  });
+
+  test("moving out of reach and onto a safe square is preferred", () => {
+    const game = rolledGame(4, { 1: [5, 20, 0, 0], 2: [2, 0, 0, 0] });
+    const [escape, advance] = rankMoves(game, 1, game.getValidMoves(1, 4));
+
+    expect(escape).toMatchObject({ from: 5, to: 9 });
+    expect(reasonCodes(escape)).toEqual(["safe_square", "escape_danger"]);
+    expect(advance).toMatchObject({ from: 20, to: 24, reasons: [] });
+  });
+
+  test("applying a move copies the positions and sends captured pieces home", () => {
+    const game = rolledGame(3, { 1: [10, 0, 0, 0], 2: [13, 0, 0, 0] });
+    const [move] = game.getValidMoves(1, 3);
+
+    const positions = applyMove(game, move);
+
+    expect(positions).toEqual({ 1: [13, 0, 0, 0], 2: [0, 0, 0, 0] });
+    expect(game.piecePositions[2]).toEqual([13, 0, 0, 0]);
+  });
+});
@@ -0,0 +1,67 @@
+const LudoGame = require("../../src/game/LudoGame");
+const {
+  EVENTS,
+  createEvent,
+  createInitialState,
+  reduceGame,
+  replayEvents,
+  getNextDiceNonce,
+} = require("../../src/game/events");
+const { startGame, playGame, copyLog } = require("../helpers");
+
+describe("event reducer", () => {
+  test.each([
+    ["classic", {}],
+    ["two dice", { rules: { diceCount: 2 } }],
+    ["team", { teamMode: true, partnerPlay: true }],
+    ["arcade", { arcade: true }],
+    ["quick", { gameMode: "quick", openingRoll: true }],
+  ])("%s game logs replay into their engine state", (name, options) => {
+    const game = playGame(startGame(4, options, `events-${name}`));
+    const events = copyLog(game.events);
+
+    expect(replayEvents(createInitialState(), events)).toEqual(
+      copyLog(game.getEngineState())
+    );
+    expect(LudoGame.fromEvents(1, events).getEngineState()).toEqual(
+      game.getEngineState()
+    );
+  });
+
+  test("reducing an event leaves the previous state untouched", () => {
+    const game = startGame(4, { teamMode: true }, "events-pure");
+    let state = replayEvents(createInitialState(), [game.events[0]]);
+
+    playGame(game, { maxSteps: 150 });
+    game.events.slice(1).forEach((event) => {
+      const before = copyLog(state);
+      const next = reduceGame(state, event);
+      expect(state).toEqual(before);
+      state = next;
+    });
+    expect(state).toEqual(game.getEngineState());
+  });
+
+  test("events cannot be edited in place", () => {
+    const event = createEvent(EVENTS.DICE_ROLLED, { value: 6 });
+
+    expect(Object.isFrozen(event)).toBe(true);
+    expect(event.timestamp).toEqual(expect.any(String));
+  });
+
+  test("dice go on after the last roll in the log", () => {
+    const game = playGame(startGame(2, {}, "events-nonce"), { maxSteps: 40 });
+    const rolls = game.events.filter(
+      (event) => event.type === EVENTS.DICE_ROLLED
+    );
+
+    expect(getNextDiceNonce(game.events)).toBe(rolls.length);
+    expect(getNextDiceNonce([])).toBe(0);
+  });
+
+  test("a log without a GameStarted event cannot be replayed", () => {
+    expect(() => LudoGame.fromEvents(1, [])).toThrow(
+      "Event log has no GameStarted event"
+    );
+  });
+});
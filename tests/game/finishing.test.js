@@ -0,0 +1,75 @@
+const { scriptedDice, startGame } = require("../helpers");
+
+// Three-player game where player 1 is a roll of 1 away from finishing
+const startFinishingGame = (values) => {
+  const game = startGame(3, { dice: scriptedDice(values) });
+  game.piecePositions[1] = [58, 58, 58, 57];
+  game.piecePositions[2] = [58, 58, 58, 57];
+  game.piecePositions[3] = [5, 0, 0, 0];
+  return game;
+};
+
+describe("finishing order", () => {
+  test("a player who finishes is placed and the others race on", () => {
+    const game = startFinishingGame([1]);
+
+    game.rollDice(1);
+    const result = game.movePiece(1, 3, 1);
+
+    expect(result).toMatchObject({
+      playerFinished: true,
+      placement: 1,
+      extraTurn: false,
+      gameEnded: false,
+    });
+    expect(game.finishingOrder).toEqual([1]);
+    expect(game.gameStatus).toBe("playing");
+    expect(game.getCurrentPlayer().id).toBe(2);
+  });
+
+  test("finished players are skipped in the turn order", () => {
+    const game = startFinishingGame([1, 3, 2]);
+    game.piecePositions[2] = [10, 0, 0, 0];
+
+    game.rollDice(1);
+    game.movePiece(1, 3, 1);
+    game.rollDice(2);
+    game.movePiece(2, 0, 3);
+    game.rollDice(3);
+    game.movePiece(3, 0, 2);
+
+    expect(game.getCurrentPlayer().id).toBe(2);
+  });
+
+  test("the game ends when one player is left and places everyone", () => {
+    const game = startFinishingGame([1, 1]);
+
+    game.rollDice(1);
+    game.movePiece(1, 3, 1);
+    game.rollDice(2);
+    const result = game.movePiece(2, 3, 1);
+
+    expect(result).toMatchObject({
+      playerFinished: true,
+      placement: 2,
+      gameEnded: true,
+      winner: 1,
+      winners: [1],
+      finishingOrder: [1, 2, 3],
+    });
+    expect(game.gameStatus).toBe("finished");
+    expect(game.getPlacements()).toEqual({ 1: 1, 2: 2, 3: 3 });
+  });
+
+  test("partners share their team's placement", () => {
+    const game = startGame(4, { teamMode: true, dice: scriptedDice([1]) });
+    game.piecePositions[1] = [58, 58, 58, 58];
+    game.piecePositions[3] = [58, 58, 58, 57];
+    game.currentTurn = 2;
+
+    game.rollDice(3);
+    game.movePiece(3, 3, 1);
+
+    expect(game.getPlacements()).toEqual({ 1: 1, 2: 2, 3: 1, 4: 2 });
+  });
+});
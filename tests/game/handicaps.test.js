@@ -0,0 +1,125 @@
+const LudoGame = require("../../src/game/LudoGame");
+const { createGameSchema } = require("../../src/middleware/validation");
+const { scriptedDice, makePlayers, startGame } = require("../helpers");
+
+// Validate gameSettings the way POST /api/games does
+const validateSettings = (gameSettings) =>
+  createGameSchema.validate(
+    { name: "Handicap game", gameSettings },
+    { abortEarly: false, stripUnknown: true }
+  ).error;
+
+describe("handicaps", () => {
+  const handicaps = [
+    { seat: 1, headStart: [1, 14], extraRolls: 2, immunitySquares: [3, 4] },
+    { seat: 3, extraRolls: 1 },
+  ];
+
+  test("head starts and extra rolls are set when the game starts", () => {
+    const game = startGame(4, { handicaps });
+
+    expect(game.piecePositions[2]).toEqual([14, 27, 0, 0]);
+    expect(game.extraRolls).toEqual({ 1: 0, 2: 2, 3: 0, 4: 1 });
+    expect(game.isRated()).toBe(false);
+    expect(startGame(4).isRated()).toBe(true);
+    expect(game.getInvariantViolations()).toEqual([]);
+  });
+
+  test("handicaps stay with their seat after an earlier seat resigns", () => {
+    const game = startGame(4, { handicaps });
+
+    game.removePlayer(1);
+
+    expect(game.getHandicap(2).seat).toBe(1);
+    expect(game.getHandicap(4).extraRolls).toBe(1);
+    expect(game.getHandicap(3)).toBeNull();
+    expect(game.getInvariantViolations()).toEqual([]);
+  });
+
+  test("an extra roll keeps the turn once, then play goes on", () => {
+    const game = startGame(2, {
+      handicaps: [{ seat: 0, extraRolls: 1 }],
+      dice: scriptedDice([3, 3]),
+    });
+    game.piecePositions[1] = [10, 0, 0, 0];
+
+    game.rollDice(1);
+    const result = game.movePiece(1, 0, 3);
+    expect(result).toMatchObject({ extraTurn: true, extraRoll: true });
+    expect(game.getCurrentPlayer().id).toBe(1);
+    expect(game.extraRolls[1]).toBe(0);
+
+    game.rollDice(1);
+    expect(game.movePiece(1, 0, 3).extraTurn).toBe(false);
+    expect(game.getCurrentPlayer().id).toBe(2);
+  });
+
+  test("pieces on their immunity squares cannot be captured", () => {
+    const game = startGame(2, {
+      handicaps: [{ seat: 1, immunitySquares: [3] }],
+    });
+    game.piecePositions[1] = [13, 20, 0, 0];
+    game.piecePositions[2] = [16, 23, 0, 0];
+
+    expect(game.calculateMove(1, 0, 3).isValid).toBe(false);
+    expect(game.calculateMove(1, 1, 3).canCapture).toBe(true);
+  });
+
+  test("head starts that put opponents on one square are refused", () => {
+    // Seat 0 square 15 and seat 1 square 2 are both main track square 15
+    const game = new LudoGame(1, makePlayers(2), {
+      handicaps: [
+        { seat: 0, headStart: [15] },
+        { seat: 1, headStart: [2] },
+      ],
+    });
+
+    expect(() => game.startGame()).toThrow(
+      "Head starts put opponents on square 15"
+    );
+  });
+
+  test("handicaps must fit the board", () => {
+    expect(
+      () => new LudoGame(1, makePlayers(2), { handicaps: [{ seat: 5 }] })
+    ).toThrow("Handicap seat must be between 0 and 3");
+    expect(
+      () =>
+        new LudoGame(1, makePlayers(2), {
+          handicaps: [{ seat: 0, headStart: [60] }],
+        })
+    ).toThrow("Invalid handicaps");
+  });
+
+  test("settings are checked against the chosen board", () => {
+    expect(
+      validateSettings({ handicaps: [{ seat: 5, headStart: [70] }] })
+    ).toBeDefined();
+    expect(
+      validateSettings({
+        board: "six_player",
+        handicaps: [{ seat: 5, headStart: [70] }],
+      })
+    ).toBeUndefined();
+  });
+
+  test("clashing head starts are refused when the game is created", () => {
+    const clash = [
+      { seat: 0, headStart: [15] },
+      { seat: 1, headStart: [2] },
+    ];
+    expect(validateSettings({ handicaps: clash }).message).toMatch(
+      "Head starts put opponents on square 15"
+    );
+
+    // Partners may start together
+    const partners = [
+      { seat: 0, headStart: [16] },
+      { seat: 2, headStart: [42] },
+    ];
+    expect(validateSettings({ handicaps: partners })).toBeDefined();
+    expect(
+      validateSettings({ teamMode: true, handicaps: partners })
+    ).toBeUndefined();
+  });
+});
@@ -0,0 +1,95 @@
+const LudoGame = require("../../src/game/LudoGame");
+const {
+  startGame,
+  playScenario,
+  describeScenarios,
+  copyLog,
+} = require("../helpers");
+
+// Codes of the invariants a game breaks
+const violationCodes = (game) =>
+  game.getInvariantViolations().map((violation) => violation.code);
+
+describe("invariants", () => {
+  describeScenarios("%s games", (name) => {
+    test("every state the engine reaches passes the checks", () => {
+      ["log-1", "log-2"].forEach((seed) => {
+        const game = playScenario(name, seed, {
+          onStep: (current) => {
+            expect(current.getInvariantViolations()).toEqual([]);
+          },
+        });
+        expect(game.gameStatus).toBe("finished");
+      });
+    });
+
+    test("the saved log replays into the state the engine had", () => {
+      const checkpoints = [];
+      const game = playScenario(name, "log-1", {
+        onStep: (current, step) => {
+          if (step % 25 !== 0) return;
+          checkpoints.push({
+            eventCount: current.events.length,
+            state: copyLog(current.getEngineState()),
+          });
+        },
+      });
+      const events = copyLog(game.events);
+
+      checkpoints.forEach(({ eventCount, state }) => {
+        const replayed = LudoGame.fromEvents(1, events.slice(0, eventCount));
+        expect(copyLog(replayed.getEngineState())).toEqual(state);
+        expect(replayed.getInvariantViolations()).toEqual([]);
+      });
+    });
+  });
+
+  test("pieces off the board are reported", () => {
+    const game = startGame(2);
+    game.piecePositions[1] = [99, 0, 0, 0];
+
+    expect(violationCodes(game)).toEqual(["piece_positions"]);
+  });
+
+  test("opponents sharing a square off the safe squares are reported", () => {
+    const game = startGame(2);
+    game.piecePositions[1] = [10, 0, 0, 0];
+    game.piecePositions[2] = [10, 0, 0, 0];
+
+    expect(game.getInvariantViolations()).toEqual([
+      expect.objectContaining({ code: "square_shared", square: 10 }),
+    ]);
+  });
+
+  test("a turn with a finished player is reported", () => {
+    const game = startGame(3);
+    game.piecePositions[1] = [58, 58, 58, 58];
+    game.finishingOrder = [1];
+
+    expect(game.getInvariantViolations()).toEqual([
+      expect.objectContaining({ code: "current_turn", playerId: 1 }),
+    ]);
+  });
+
+  test("a player finishing twice is reported", () => {
+    const game = startGame(2);
+    game.piecePositions[2] = [58, 58, 58, 58];
+    game.finishingOrder = [2, 2];
+
+    expect(violationCodes(game)).toContain("finishing_order");
+  });
+
+  test("edits made outside the reducer are dropped by rebuilding from the log", () => {
+    const game = playScenario("handicaps", "log-1", { maxSteps: 300 });
+    const state = copyLog(game.getEngineState());
+
+    game.piecePositions[2] = [99, 0, 0, 0];
+    game.extraRolls[2] = 7;
+    expect(violationCodes(game)).toEqual(["piece_positions"]);
+
+    expect(game.rebuildState()).toBe(true);
+    expect(copyLog(game.getEngineState())).toEqual(state);
+    expect(game.getInvariantViolations()).toEqual([]);
+    expect(game.validateGameState()).toBe(true);
+  });
+});
@@ -0,0 +1,130 @@
+const { getPowerUpSquares } = require("../../src/game/items");
+const { createBoardConfig } = require("../../src/game/board");
+const { scriptedDice, startGame } = require("../helpers");
+
+// Two-player arcade game rolling the given dice
+const startArcadeGame = (values = []) =>
+  startGame(2, { arcade: true, dice: scriptedDice(values) });
+
+describe("arcade items", () => {
+  test("each seat has a power-up square 6 steps past its start", () => {
+    expect(getPowerUpSquares(createBoardConfig())).toEqual({
+      7: "shield",
+      20: "double_move",
+      33: "swap",
+      46: "reroll",
+    });
+  });
+
+  test("landing on a power-up square grants its item", () => {
+    const game = startArcadeGame([3]);
+    game.piecePositions[1] = [4, 0, 0, 0];
+    game.rollDice(1);
+
+    const result = game.movePiece(1, 0, 3);
+
+    expect(result.itemGranted).toBe("shield");
+    expect(game.items[1]).toEqual(["shield"]);
+  });
+
+  test("no item is granted outside arcade mode or with a full inventory", () => {
+    const classic = startGame(2, { dice: scriptedDice([3]) });
+    classic.piecePositions[1] = [4, 0, 0, 0];
+    classic.rollDice(1);
+    expect(classic.movePiece(1, 0, 3).itemGranted).toBeUndefined();
+
+    const game = startArcadeGame([3]);
+    game.piecePositions[1] = [4, 0, 0, 0];
+    game.items[1] = ["swap", "swap", "reroll"];
+    game.rollDice(1);
+    game.movePiece(1, 0, 3);
+    expect(game.items[1]).toEqual(["swap", "swap", "reroll"]);
+  });
+
+  test("a shielded piece cannot be landed on until its owner's next turn", () => {
+    const game = startArcadeGame([1, 3]);
+    game.currentTurn = 1;
+    game.piecePositions[1] = [27, 0, 0, 0];
+    game.piecePositions[2] = [30, 20, 0, 0];
+    game.items[2] = ["shield"];
+
+    game.useItem(2, "shield", { pieceIndex: 0 });
+    expect(game.items[2]).toEqual([]);
+    game.rollDice(2);
+    game.movePiece(2, 1, 1);
+
+    expect(game.calculateMove(1, 0, 3).isValid).toBe(false);
+    game.rollDice(1);
+    expect(game.lastDiceRoll.passed).toBe(true);
+    expect(game.getCurrentPlayer().id).toBe(2);
+    expect(game.shields[2]).toEqual([]);
+  });
+
+  test("a double move doubles the squares of the pending roll", () => {
+    const game = startArcadeGame([3]);
+    game.piecePositions[1] = [10, 0, 0, 0];
+    game.items[1] = ["double_move"];
+    game.rollDice(1);
+
+    game.useItem(1, "double_move");
+    const result = game.movePiece(1, 0, 3);
+
+    expect(result.to).toBe(16);
+    expect(game.scores[1]).toBe(6);
+  });
+
+  test("a swap trades places with an opponent's piece before rolling", () => {
+    const game = startArcadeGame([2]);
+    game.piecePositions[1] = [10, 0, 0, 0];
+    game.piecePositions[2] = [30, 0, 0, 0];
+    game.items[1] = ["swap", "swap"];
+
+    game.useItem(1, "swap", {
+      pieceIndex: 0,
+      targetPlayerId: 2,
+      targetPieceIndex: 0,
+    });
+
+    expect(game.piecePositions[1][0]).toBe(30);
+    expect(game.piecePositions[2][0]).toBe(10);
+
+    game.rollDice(1);
+    expect(() =>
+      game.useItem(1, "swap", {
+        pieceIndex: 0,
+        targetPlayerId: 2,
+        targetPieceIndex: 0,
+      })
+    ).toThrow("Use swap before rolling");
+  });
+
+  test("a reroll throws the pending roll away and rolls again", () => {
+    const game = startArcadeGame([2, 5]);
+    game.piecePositions[1] = [10, 0, 0, 0];
+    game.items[1] = ["reroll"];
+    game.rollDice(1);
+
+    const record = game.useItem(1, "reroll");
+
+    expect(record).toMatchObject({
+      type: "item",
+      item: "reroll",
+      diceValue: 2,
+    });
+    expect(game.lastDiceRoll).toMatchObject({ value: 5, nonce: 1 });
+    expect(game.hasPendingRoll(1)).toBe(true);
+  });
+
+  test("items are refused outside arcade mode or when not held", () => {
+    const classic = startGame(2);
+    expect(() => classic.useItem(1, "reroll")).toThrow(
+      "Items are only available in arcade mode"
+    );
+
+    const game = startArcadeGame();
+    expect(() => game.useItem(1, "shield", { pieceIndex: 0 })).toThrow(
+      "You have no shield item"
+    );
+    expect(() => game.useItem(1, "jetpack")).toThrow("Unknown item: jetpack");
+  });
+});
@@ -0,0 +1,88 @@
+const {
+  exportNotation,
+  importNotation,
+  parseNotation,
+} = require("../../src/game/notation");
+const { startGame, playGame } = require("../helpers");
+
+// Play a game with bots and export it, seed included
+const exportPlayed = (options, seed, seats = 4) => {
+  const game = playGame(startGame(seats, options, seed));
+  return { game, text: exportNotation(game.events, { gameId: 1, seed }) };
+};
+
+describe("notation", () => {
+  test.each([
+    ["classic rules", {}],
+    ["two dice", { rules: { diceCount: 2 } }],
+    ["partner play", { teamMode: true, partnerPlay: true }],
+    ["an opening roll-off", { openingRoll: true }],
+    ["arcade items", { arcade: true }],
+    ["rule plugins", { plugins: ["teleport", "forced_capture"] }],
+    [
+      "handicaps",
+      {
+        handicaps: [
+          { seat: 1, headStart: [5], extraRolls: 2, immunitySquares: [3] },
+        ],
+      },
+    ],
+  ])("games with %s survive an export and import", (name, options) => {
+    const { game, text } = exportPlayed(options, `notation-${name}`);
+
+    const imported = importNotation(text);
+
+    expect(imported.getEngineState()).toEqual(
+      expect.objectContaining({
+        piecePositions: game.piecePositions,
+        scores: game.scores,
+        finishingOrder: game.finishingOrder,
+        winnerId: game.winnerId,
+        gameStatus: "finished",
+      })
+    );
+    expect(
+      exportNotation(imported.events, {
+        gameId: 1,
+        seed: `notation-${name}`,
+      })
+    ).toBe(text);
+  });
+
+  test("six-player games keep their board and colors", () => {
+    const { text } = exportPlayed({ board: "six_player" }, "notation-six", 6);
+    const { tags } = parseNotation(text);
+
+    expect(tags.Board).toBe("six_player");
+    expect(importNotation(text).boardConfig.seats).toBe(6);
+  });
+
+  describe("rejects", () => {
+    const { text } = exportPlayed({}, "notation-illegal");
+
+    test("rolls the seed did not produce", () => {
+      const tampered = text.replace(
+        '[Seed "notation-illegal"]',
+        '[Seed "another-seed"]'
+      );
+      expect(() => importNotation(tampered)).toThrow(
+        /Illegal token 1 .*roll does not match the seed/
+      );
+    });
+
+    test("a move to the wrong square", () => {
+      const tampered = text.replace(/([RBGY]a0-)(\d+)/, "$199");
+      expect(() => importNotation(tampered)).toThrow(/lands on square/);
+    });
+
+    test("a capture left out", () => {
+      const tampered = text.replace(/\s+x[RBGY][a-d]/, "");
+      expect(() => importNotation(tampered)).toThrow(/the move captures/);
+    });
+
+    test("a result the moves do not reach", () => {
+      const tampered = text.replace(/\[Result "[^"]*"\]/, '[Result "*"]');
+      expect(() => importNotation(tampered)).toThrow(/does not match/);
+    });
+  });
+});
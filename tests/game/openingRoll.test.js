@@ -0,0 +1,59 @@
+const { EVENTS, getNextDiceNonce } = require("../../src/game/events");
+const { scriptedDice, startGame } = require("../helpers");
+
+// Start a game with the opening roll-off rolling the given values
+const startRollOff = (count, values) =>
+  startGame(count, { openingRoll: true, dice: scriptedDice(values) });
+
+describe("opening roll-off", () => {
+  test("the highest roller takes the first turn", () => {
+    const game = startRollOff(4, [2, 5, 3, 1]);
+
+    expect(game.getCurrentPlayer().id).toBe(2);
+    expect(game.openingRolls).toEqual([
+      { playerId: 1, value: 2, nonce: 0, round: 1 },
+      { playerId: 2, value: 5, nonce: 1, round: 1 },
+      { playerId: 3, value: 3, nonce: 2, round: 1 },
+      { playerId: 4, value: 1, nonce: 3, round: 1 },
+    ]);
+    expect(game.events[game.events.length - 1]).toMatchObject({
+      type: EVENTS.FIRST_TURN_DECIDED,
+      playerId: 2,
+      currentTurn: 1,
+    });
+  });
+
+  test("only the tied highest rollers roll again", () => {
+    const game = startRollOff(4, [6, 2, 6, 4, 3, 5]);
+
+    expect(game.getCurrentPlayer().id).toBe(3);
+    expect(
+      game.openingRolls
+        .filter((roll) => roll.round === 2)
+        .map((roll) => roll.playerId)
+    ).toEqual([1, 3]);
+  });
+
+  test("a tie that never breaks leaves the first seat to start", () => {
+    const game = startRollOff(2, []);
+
+    expect(game.openingRolls).toHaveLength(40);
+    expect(game.getCurrentPlayer().id).toBe(1);
+  });
+
+  test("turn rolls go on from the roll-off's nonces", () => {
+    const game = startRollOff(2, [1, 4, 3]);
+    game.rollDice(2);
+
+    expect(game.lastDiceRoll).toMatchObject({ value: 3, nonce: 2 });
+    expect(getNextDiceNonce(game.events)).toBe(3);
+  });
+
+  test("without the option the first seat starts with no roll-off", () => {
+    const game = startGame(4, { dice: scriptedDice([1, 6]) });
+
+    expect(game.getCurrentPlayer().id).toBe(1);
+    expect(game.openingRolls).toEqual([]);
+    expect(getNextDiceNonce(game.events)).toBe(0);
+  });
+});
@@ -0,0 +1,61 @@
+const { scriptedDice, startGame } = require("../helpers");
+
+describe("automatic passes", () => {
+  test("a roll with no legal moves passes the turn", () => {
+    const game = startGame(2, { dice: scriptedDice([3]) });
+
+    game.rollDice(1);
+
+    expect(game.lastDiceRoll).toMatchObject({ value: 3, passed: true });
+    expect(game.getCurrentPlayer().id).toBe(2);
+    expect(game.moveHistory).toEqual([
+      expect.objectContaining({
+        type: "pass",
+        playerId: 1,
+        diceValue: 3,
+        extraTurn: false,
+      }),
+    ]);
+    expect(game.getPlayerStats(1).totalMoves).toBe(0);
+  });
+
+  test("a 6 with no legal moves still earns a re-roll", () => {
+    const game = startGame(2, { dice: scriptedDice([6]) });
+    game.piecePositions[2] = [1, 1, 0, 0]; // Blockade on player 1's start
+
+    game.rollDice(1);
+
+    expect(game.lastDiceRoll.passed).toBe(true);
+    expect(game.moveHistory[0].extraTurn).toBe(true);
+    expect(game.getCurrentPlayer().id).toBe(1);
+  });
+
+  test("a roll with a legal move waits for the player", () => {
+    const game = startGame(2, { dice: scriptedDice([3]) });
+    game.piecePositions[1] = [5, 0, 0, 0];
+
+    game.rollDice(1);
+
+    expect(game.lastDiceRoll.passed).toBeUndefined();
+    expect(game.getCurrentPlayer().id).toBe(1);
+    expect(game.moveHistory).toEqual([]);
+  });
+
+  test("a forfeited third six is not also recorded as a pass", () => {
+    const game = startGame(2, { dice: scriptedDice([6, 6, 6]) });
+    game.piecePositions[1] = [56, 0, 0, 0];
+    game.rollDice(1);
+    game.movePiece(1, 1, 6);
+    game.rollDice(1);
+    game.movePiece(1, 1, 6);
+    game.rollDice(1);
+
+    expect(game.lastDiceRoll).toMatchObject({ forfeited: true });
+    expect(game.lastDiceRoll.passed).toBeUndefined();
+    expect(game.moveHistory.map((record) => record.type)).toEqual([
+      "move",
+      "move",
+      "penalty",
+    ]);
+  });
+});
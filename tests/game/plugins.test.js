@@ -0,0 +1,107 @@
+const {
+  registerPlugin,
+  getPluginNames,
+  loadPlugins,
+} = require("../../src/game/plugins");
+const { scriptedDice, startGame } = require("../helpers");
+
+// Start a game with the given rule plugins rolling the given dice
+const startPluginGame = (count, plugins, values = []) =>
+  startGame(count, { plugins, dice: scriptedDice(values) });
+
+describe("rule plugins", () => {
+  test("the built-in plugins are registered and loaded by name", () => {
+    expect(getPluginNames()).toEqual(
+      expect.arrayContaining(["teleport", "forced_capture", "two_pieces_home"])
+    );
+    expect(loadPlugins(["teleport"]).map((plugin) => plugin.name)).toEqual([
+      "teleport",
+    ]);
+    expect(() => loadPlugins(["moon_base"])).toThrow(
+      "Unknown rule plugin: moon_base"
+    );
+  });
+
+  test("plugins need a name, a unique one and function hooks", () => {
+    expect(() => registerPlugin({})).toThrow("Rule plugin must have a name");
+    expect(() => registerPlugin({ name: "teleport" })).toThrow(
+      "Rule plugin already registered: teleport"
+    );
+    expect(() => registerPlugin({ name: "broken", checkWin: true })).toThrow(
+      "Rule plugin broken: checkWin must be a function"
+    );
+  });
+
+  test("a teleport square jumps the piece ahead, over a blockade", () => {
+    const game = startPluginGame(2, ["teleport"]);
+    game.piecePositions[1] = [1, 0, 0, 0];
+    game.piecePositions[2] = [8, 8, 0, 0];
+
+    expect(game.calculateMove(1, 0, 4)).toMatchObject({
+      isValid: true,
+      newPosition: 11,
+    });
+    expect(game.calculateMove(1, 0, 3).newPosition).toBe(4);
+  });
+
+  test("forced capture rules out moves that pass up a capture", () => {
+    const game = startPluginGame(2, ["forced_capture"], [3]);
+    game.piecePositions[1] = [10, 20, 0, 0];
+    game.piecePositions[2] = [13, 0, 0, 0];
+    game.rollDice(1);
+
+    expect(game.getValidMoves(1)).toEqual([
+      expect.objectContaining({ pieceIndex: 0, canCapture: true }),
+    ]);
+    expect(() => game.movePiece(1, 1, 3)).toThrow("Invalid move");
+    expect(game.movePiece(1, 0, 3).captured).toBe(true);
+  });
+
+  test("with two pieces home a player finishes once the main track is clear", () => {
+    const game = startPluginGame(3, ["two_pieces_home"], [1]);
+    game.piecePositions[1] = [58, 57, 0, 53];
+
+    game.rollDice(1);
+    game.movePiece(1, 1, 1);
+
+    expect(game.finishingOrder).toEqual([1]);
+    expect(game.getCurrentPlayer().id).toBe(2);
+  });
+
+  test("two pieces home is not enough with a piece left on the main track", () => {
+    const game = startPluginGame(3, ["two_pieces_home"], [1]);
+    game.piecePositions[1] = [58, 57, 20, 0];
+
+    game.rollDice(1);
+    game.movePiece(1, 1, 1);
+
+    expect(game.finishingOrder).toEqual([]);
+  });
+
+  test("hooks see rolls and captures as they happen", () => {
+    const calls = [];
+    registerPlugin({
+      name: "recorder",
+      beforeRoll: (game, playerId) => {
+        if (playerId === 2) throw new Error("Player 2 sits this one out");
+      },
+      onCapture: (game, capture) => calls.push(capture),
+    });
+    const game = startPluginGame(2, ["recorder"], [3]);
+    game.piecePositions[1] = [10, 0, 0, 0];
+    game.piecePositions[2] = [13, 0, 0, 0];
+
+    game.rollDice(1);
+    game.movePiece(1, 0, 3);
+
+    expect(calls).toEqual([
+      { playerId: 1, pieceOwnerId: 1, capturedPlayer: 2, position: 13 },
+    ]);
+    expect(game.getGameState().plugins).toEqual(["recorder"]);
+
+    const refused = startPluginGame(2, ["recorder"]);
+    refused.currentTurn = 1;
+    expect(() => refused.rollDice(2)).toThrow("Player 2 sits this one out");
+    expect(refused.lastDiceRoll).toBeNull();
+  });
+});
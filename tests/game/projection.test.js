@@ -0,0 +1,86 @@
+const {
+  getViewerRole,
+  projectPlayer,
+  projectGameState,
+} = require("../../src/game/projection");
+const { scriptedDice, startGame } = require("../helpers");
+
+// Game state with seats holding game_players rows (user_id plus row fields)
+// and player 1 holding a roll of 3
+const rolledState = () => {
+  const game = startGame(2, { dice: scriptedDice([3]) });
+  game.piecePositions[1] = [5, 0, 0, 0];
+  game.rollDice(1);
+
+  const state = game.getGameState();
+  state.players = state.players.map((player) => ({
+    ...player,
+    user_id: player.id,
+    id: player.id + 100,
+    game_id: 1,
+    joined_at: "2026-01-01T00:00:00.000Z",
+  }));
+  state.currentPlayer = state.players[0];
+  return state;
+};
+
+describe("state projection", () => {
+  test("viewers are told apart by seat, turn and admin flag", () => {
+    const state = rolledState();
+
+    expect(getViewerRole(state, { userId: 1 })).toBe("active");
+    expect(getViewerRole(state, { userId: 2 })).toBe("player");
+    expect(getViewerRole(state, { userId: 3 })).toBe("spectator");
+    expect(getViewerRole(state, { userId: 3, isAdmin: true })).toBe("admin");
+    expect(getViewerRole(state, { userId: 2, isAdmin: true })).toBe("player");
+    expect(getViewerRole(state)).toBe("spectator");
+  });
+
+  test("the active player sees their roll", () => {
+    const view = projectGameState(rolledState(), { userId: 1 });
+
+    expect(view.viewerRole).toBe("active");
+    expect(view.lastDiceRoll).toMatchObject({ playerId: 1, value: 3 });
+    expect(view.moveHistory).toBeDefined();
+  });
+
+  test("other players see the history but not the roll", () => {
+    const view = projectGameState(rolledState(), { userId: 2 });
+
+    expect(view.viewerRole).toBe("player");
+    expect(view.lastDiceRoll).toBeUndefined();
+    expect(view.sixStreak).toBe(0);
+    expect(view.moveHistory).toBeDefined();
+  });
+
+  test("spectators see the board but no history or roll", () => {
+    const view = projectGameState(rolledState(), { userId: 3 });
+
+    expect(view.viewerRole).toBe("spectator");
+    expect(view.piecePositions[1]).toEqual([5, 0, 0, 0]);
+    expect(view.lastDiceRoll).toBeUndefined();
+    expect(view.moveHistory).toBeUndefined();
+    expect(view.turnTimeouts).toBeUndefined();
+  });
+
+  test("players lose their row ids and timestamps outside the admin view", () => {
+    const state = rolledState();
+    const view = projectGameState(state, { userId: 3 });
+
+    view.players.forEach((player) => {
+      expect(player.user_id).toBeUndefined();
+      expect(player.game_id).toBeUndefined();
+      expect(player.joined_at).toBeUndefined();
+    });
+    expect(view.currentPlayer).toEqual(projectPlayer(state.currentPlayer));
+  });
+
+  test("admins get the full state", () => {
+    const state = rolledState();
+
+    expect(projectGameState(state, { userId: 3, isAdmin: true })).toEqual({
+      ...state,
+      viewerRole: "admin",
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const config = require("../../src/config/app");
+const { SCORE_POINTS } = require("../../src/game/rules");
+const { scriptedDice, startGame } = require("../helpers");
+
+describe("Quick Ludo", () => {
+  const { gameTimeoutMs } = config.game;
+
+  test("moves score squares advanced and captures", () => {
+    const game = startGame(2, { dice: scriptedDice([6, 6, 3]) });
+    game.piecePositions[2] = [10, 0, 0, 0];
+
+    game.rollDice(1);
+    expect(game.movePiece(1, 0, 6).points).toBe(SCORE_POINTS.square);
+    game.rollDice(1);
+    expect(game.movePiece(1, 0, 6).points).toBe(6 * SCORE_POINTS.square);
+    game.rollDice(1);
+    expect(game.movePiece(1, 0, 3).points).toBe(
+      3 * SCORE_POINTS.square + SCORE_POINTS.capture
+    );
+
+    expect(game.getPlayerStats(1).score).toBe(30);
+  });
+
+  test("only the player whose turn it is uses up their clock", () => {
+    const game = startGame(2, { gameMode: "quick", dice: scriptedDice([3]) });
+    game.piecePositions[1] = [5, 0, 0, 0];
+    game.startGameClock(0);
+
+    expect(game.getGameClockRemaining(1, 4000)).toBe(gameTimeoutMs - 4000);
+    expect(game.getGameClockRemaining(2, 4000)).toBe(gameTimeoutMs);
+
+    game.rollDice(1);
+    game.movePiece(1, 0, 3);
+    game.startGameClock(4000);
+
+    expect(game.gameClocks).toEqual({
+      1: gameTimeoutMs - 4000,
+      2: gameTimeoutMs,
+    });
+    expect(game.gameClock).toEqual({ playerId: 2, startedAt: 4000 });
+  });
+
+  test("normal games run no game clock", () => {
+    const game = startGame(2);
+    game.startGameClock(0);
+
+    expect(game.gameClock).toBeNull();
+  });
+
+  test("when time runs out the highest score wins", () => {
+    const game = startGame(3, { gameMode: "quick" });
+    game.scores = { 1: 12, 2: 40, 3: 25 };
+    game.startGameClock(0);
+
+    game.finishOnTime(1000);
+
+    expect(game.gameStatus).toBe("finished");
+    expect(game.winnerId).toBe(2);
+    expect(game.finishingOrder).toEqual([2, 3, 1]);
+    expect(game.getPlacements()).toEqual({ 1: 3, 2: 1, 3: 2 });
+    expect(game.gameClocks[1]).toBe(gameTimeoutMs - 1000);
+  });
+
+  test("in team games the partners' scores are added up", () => {
+    const game = startGame(4, { gameMode: "quick", teamMode: true });
+    game.scores = { 1: 30, 2: 35, 3: 30, 4: 20 };
+
+    game.finishOnTime(0);
+
+    expect(game.winningTeam).toBe(0);
+    expect(game.getWinners()).toEqual([1, 3]);
+  });
+});
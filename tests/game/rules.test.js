@@ -0,0 +1,103 @@
+const { DEFAULT_RULES, resolveRules } = require("../../src/game/rules");
+const { scriptedDice, startGame } = require("../helpers");
+
+// Two-player game with the given house rules rolling the given dice
+const startRulesGame = (rules, values = []) =>
+  startGame(2, { rules, dice: scriptedDice(values) });
+
+// Roll for a player and move one of their pieces
+const play = (game, playerId, pieceIndex) => {
+  const value = game.rollDice(playerId);
+  return game.movePiece(playerId, pieceIndex, value);
+};
+
+describe("house rules", () => {
+  test("missing rules fall back to classic Ludo", () => {
+    expect(resolveRules()).toEqual(DEFAULT_RULES);
+    expect(resolveRules({ exitOn: "one_or_six" })).toEqual({
+      ...DEFAULT_RULES,
+      exitOn: "one_or_six",
+    });
+  });
+
+  test("invalid rules are rejected", () => {
+    expect(() => resolveRules({ exitOn: "five" })).toThrow(
+      "Exit rule must be one of: six, one_or_six"
+    );
+    expect(() => resolveRules({ safeSquares: "sometimes" })).toThrow(
+      "Safe squares must be a boolean"
+    );
+  });
+
+  test.each([
+    ["six", 1, false],
+    ["six", 6, true],
+    ["one_or_six", 1, true],
+    ["one_or_six", 5, false],
+  ])("with exitOn %s a %i releases a piece: %s", (exitOn, value, valid) => {
+    const game = startRulesGame({ exitOn });
+
+    expect(game.calculateMove(1, 0, value).isValid).toBe(valid);
+  });
+
+  test("overshooting the final square needs exactRollToFinish off", () => {
+    const exact = startRulesGame({});
+    exact.piecePositions[1] = [56, 0, 0, 0];
+    expect(exact.calculateMove(1, 0, 5).isValid).toBe(false);
+
+    const loose = startRulesGame({ exactRollToFinish: false });
+    loose.piecePositions[1] = [56, 0, 0, 0];
+    expect(loose.calculateMove(1, 0, 5)).toMatchObject({
+      isValid: true,
+      newPosition: 58,
+      reachesHome: true,
+    });
+  });
+
+  test("with mustCaptureBeforeHome a piece goes round again until it captures", () => {
+    const game = startRulesGame({ mustCaptureBeforeHome: true });
+    game.piecePositions[1] = [49, 0, 0, 0];
+    expect(game.calculateMove(1, 0, 4).newPosition).toBe(1);
+
+    game.capturesMade[1] = 1;
+    expect(game.calculateMove(1, 0, 4).newPosition).toBe(54);
+  });
+
+  test("safe squares only protect pieces while the rule is on", () => {
+    const safe = startRulesGame({});
+    safe.piecePositions[1] = [5, 0, 0, 0];
+    safe.piecePositions[2] = [9, 0, 0, 0];
+    expect(safe.calculateMove(1, 0, 4).canCapture).toBe(false);
+
+    const open = startRulesGame({ safeSquares: false }, [4]);
+    open.piecePositions[1] = [5, 0, 0, 0];
+    open.piecePositions[2] = [9, 0, 0, 0];
+    const result = play(open, 1, 0);
+
+    expect(result.captured).toBe(true);
+    expect(open.piecePositions[2]).toEqual([0, 0, 0, 0]);
+    expect(open.capturesMade[1]).toBe(1);
+  });
+
+  test("a capture passes the turn when extraTurnOnCapture is off", () => {
+    const game = startRulesGame({ extraTurnOnCapture: false }, [3]);
+    game.piecePositions[1] = [5, 0, 0, 0];
+    game.piecePositions[2] = [8, 0, 0, 0];
+
+    const result = play(game, 1, 0);
+
+    expect(result.captured).toBe(true);
+    expect(result.extraTurn).toBe(false);
+    expect(game.getCurrentPlayer().id).toBe(2);
+  });
+
+  test("reaching the final square keeps the turn when extraTurnOnHome is on", () => {
+    const game = startRulesGame({ extraTurnOnHome: true }, [2]);
+    game.piecePositions[1] = [56, 0, 0, 0];
+
+    const result = play(game, 1, 0);
+
+    expect(result.extraTurn).toBe(true);
+    expect(game.getCurrentPlayer().id).toBe(1);
+  });
+});
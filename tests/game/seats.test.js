@@ -0,0 +1,48 @@
+const LudoGame = require("../../src/game/LudoGame");
+const { startGame, playGame } = require("../helpers");
+
+describe("board seats", () => {
+  test("players keep their start square after an earlier seat leaves", () => {
+    const game = startGame(4);
+    expect(game.getSeat(3)).toBe(2);
+
+    game.removePlayer(2);
+
+    expect(game.getSeat(3)).toBe(2);
+    expect(game.getSeat(4)).toBe(3);
+    expect(game.getSeat(2)).toBe(-1);
+
+    // A piece of the third seat leaves the yard onto square 27
+    game.piecePositions[3] = [0, 0, 0, 0];
+    game.lastDiceRoll = null;
+    expect(game.calculateMove(3, 0, 6).newPosition).toBe(27);
+    expect(game.getPieceProgress(3, 27)).toBe(1);
+  });
+
+  test("lobby seats close up when a player leaves before the start", () => {
+    const game = new LudoGame(1, [{ id: 1 }, { id: 2 }, { id: 3 }]);
+
+    game.removePlayer(1);
+    game.addPlayer({ id: 4 });
+
+    expect(game.seats).toEqual({ 2: 0, 3: 1, 4: 2 });
+  });
+
+  test("a game with a resigned player replays and keeps its invariants", () => {
+    const game = startGame(4, {}, "seats-resign");
+    playGame(game, {
+      maxSteps: 3000,
+      onStep: (current, step) => {
+        if (step === 200) {
+          current.removePlayer(2);
+          current.finishIfDecided();
+        }
+        expect(current.getInvariantViolations()).toEqual([]);
+      },
+    });
+
+    expect(game.gameStatus).toBe("finished");
+    const replayed = LudoGame.fromEvents(1, game.events);
+    expect(replayed.getEngineState()).toEqual(game.getEngineState());
+  });
+});
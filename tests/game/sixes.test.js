@@ -0,0 +1,80 @@
+const { scriptedDice, startGame } = require("../helpers");
+
+// Roll two sixes for player 1, moving their first piece out and on to 7,
+// then roll a third six
+const rollThreeSixes = (rules) => {
+  const game = startGame(2, { rules, dice: scriptedDice([6, 6, 6]) });
+  game.rollDice(1);
+  game.movePiece(1, 0, 6);
+  game.rollDice(1);
+  game.movePiece(1, 0, 6);
+  game.rollDice(1);
+  return game;
+};
+
+describe("three sixes", () => {
+  test("a third six in a row forfeits the turn", () => {
+    const game = rollThreeSixes({});
+
+    expect(game.lastDiceRoll).toMatchObject({ sixStreak: 3, forfeited: true });
+    expect(game.getCurrentPlayer().id).toBe(2);
+    expect(game.sixStreak).toBe(0);
+    expect(game.piecePositions[1]).toEqual([7, 0, 0, 0]);
+    expect(game.moveHistory[game.moveHistory.length - 1]).toMatchObject({
+      type: "penalty",
+      playerId: 1,
+      to: null,
+    });
+    expect(game.getPlayerStats(1).totalMoves).toBe(2);
+  });
+
+  test("with send_home the piece moved last goes back to the yard", () => {
+    const game = rollThreeSixes({ threeSixesPenalty: "send_home" });
+
+    expect(game.piecePositions[1]).toEqual([0, 0, 0, 0]);
+    expect(game.moveHistory[game.moveHistory.length - 1]).toMatchObject({
+      type: "penalty",
+      pieceIndex: 0,
+      from: 7,
+      to: 0,
+    });
+    expect(game.getCurrentPlayer().id).toBe(2);
+  });
+
+  test("with send_home a piece on the home track is safe", () => {
+    const game = startGame(2, {
+      rules: { threeSixesPenalty: "send_home" },
+      dice: scriptedDice([6, 6, 6]),
+    });
+    game.piecePositions[1] = [50, 0, 0, 0];
+    game.rollDice(1);
+    game.movePiece(1, 1, 6);
+    game.rollDice(1);
+    game.movePiece(1, 0, 6);
+    game.rollDice(1);
+
+    expect(game.lastDiceRoll.forfeited).toBe(true);
+    expect(game.piecePositions[1]).toEqual([57, 1, 0, 0]);
+  });
+
+  test("with no penalty the third six is played", () => {
+    const game = rollThreeSixes({ threeSixesPenalty: "none" });
+
+    expect(game.lastDiceRoll.forfeited).toBeUndefined();
+    expect(game.getCurrentPlayer().id).toBe(1);
+    expect(game.movePiece(1, 0, 6).extraTurn).toBe(true);
+  });
+
+  test("the streak starts over on the next turn", () => {
+    const game = startGame(2, { dice: scriptedDice([6, 6, 3, 6]) });
+    game.rollDice(1);
+    game.movePiece(1, 0, 6);
+    game.rollDice(1);
+    game.movePiece(1, 0, 6);
+    game.rollDice(1);
+    game.movePiece(1, 0, 3);
+    game.rollDice(2);
+
+    expect(game.lastDiceRoll.sixStreak).toBe(1);
+  });
+});
@@ -0,0 +1,155 @@
+const LudoGame = require("../../src/game/LudoGame");
+const { exportNotation } = require("../../src/game/notation");
+const { scriptedDice, makePlayers } = require("../helpers");
+
+// 2v2 game (players 1+3 against 2+4) rolling the given dice
+const startTeamGame = (values, options = {}) => {
+  const game = new LudoGame(1, makePlayers(4), {
+    teamMode: true,
+    dice: scriptedDice(values),
+    ...options,
+  });
+  game.startGame();
+  return game;
+};
+
+describe("team mode", () => {
+  test("opposite seats play together", () => {
+    const game = startTeamGame([]);
+
+    expect(game.teams).toEqual({ 1: 0, 2: 1, 3: 0, 4: 1 });
+    expect(game.getTeammates(2)).toEqual([2, 4]);
+    expect(game.areTeammates(1, 3)).toBe(true);
+    expect(game.areTeammates(1, 2)).toBe(false);
+  });
+
+  test("team games need four players", () => {
+    const game = new LudoGame(1, makePlayers(3), { teamMode: true });
+
+    expect(() => game.startGame()).toThrow("Team mode requires 4 players");
+  });
+
+  test("partners neither capture nor block each other", () => {
+    const game = startTeamGame([]);
+    game.piecePositions[1] = [5, 0, 0, 0];
+    game.piecePositions[3] = [10, 20, 20, 0];
+
+    expect(game.calculateMove(1, 0, 5)).toMatchObject({
+      isValid: true,
+      canCapture: false,
+    });
+    expect(game.calculateMove(1, 0, 18).isValid).toBe(true);
+  });
+
+  test("opponents' blockades still stop a team", () => {
+    const game = startTeamGame([]);
+    game.piecePositions[1] = [5, 0, 0, 0];
+    game.piecePositions[2] = [10, 10, 0, 0];
+
+    expect(game.calculateMove(1, 0, 6).isValid).toBe(false);
+  });
+
+  test("landing on a square shared by two partners captures both pieces", () => {
+    const game = startTeamGame([5]);
+    game.piecePositions[1] = [5, 0, 0, 0];
+    game.piecePositions[2] = [10, 0, 0, 0];
+    game.piecePositions[4] = [10, 0, 0, 0];
+
+    game.rollDice(1);
+    const result = game.movePiece(1, 0, 5);
+
+    expect(result.capturedPlayers).toEqual([2, 4]);
+    expect(game.piecePositions[2]).toEqual([0, 0, 0, 0]);
+    expect(game.piecePositions[4]).toEqual([0, 0, 0, 0]);
+    expect(game.capturesMade[1]).toBe(2);
+    expect(game.getInvariantViolations()).toEqual([]);
+    expect(exportNotation(game.events)).toContain("Ra5-10 xBa xYa");
+  });
+
+  test("a shielded partner on the square rules the landing out", () => {
+    const game = startTeamGame([5], { arcade: true });
+    game.piecePositions[1] = [5, 0, 0, 0];
+    game.piecePositions[2] = [10, 0, 0, 0];
+    game.piecePositions[4] = [10, 0, 0, 0];
+    game.shields[4] = [0];
+
+    expect(game.calculateMove(1, 0, 5).isValid).toBe(false);
+  });
+
+  test("the game goes on until both partners are home", () => {
+    const game = startTeamGame([1, 1]);
+    game.piecePositions[1] = [58, 58, 58, 57];
+    game.piecePositions[3] = [58, 58, 58, 30];
+
+    game.rollDice(1);
+    const result = game.movePiece(1, 3, 1);
+
+    expect(result.gameEnded).toBe(false);
+    expect(game.gameStatus).toBe("playing");
+  });
+
+  test("the last partner home wins the game for the team", () => {
+    const game = startTeamGame([1]);
+    game.piecePositions[1] = [58, 58, 58, 58];
+    game.piecePositions[3] = [58, 58, 58, 57];
+    game.currentTurn = 2;
+
+    game.rollDice(3);
+    const result = game.movePiece(3, 3, 1);
+
+    expect(result).toMatchObject({
+      gameEnded: true,
+      winner: 3,
+      winners: [1, 3],
+    });
+    expect(game.winningTeam).toBe(0);
+  });
+
+  test("a player finishing on a 6 is recorded and passes the turn", () => {
+    const game = startTeamGame([6]);
+    game.piecePositions[1] = [58, 58, 58, 51];
+
+    game.rollDice(1);
+    const result = game.movePiece(1, 3, 6);
+
+    expect(result.playerFinished).toBe(true);
+    expect(result.extraTurn).toBe(false);
+    expect(game.finishingOrder).toEqual([1]);
+    expect(game.getCurrentPlayer().id).toBe(2);
+    expect(game.gameStatus).toBe("playing");
+    expect(game.getInvariantViolations()).toEqual([]);
+  });
+
+  test("with partner play a player finishing on a 6 rolls again for their partner", () => {
+    const game = startTeamGame([6], { partnerPlay: true });
+    game.piecePositions[1] = [58, 58, 58, 51];
+
+    game.rollDice(1);
+    const result = game.movePiece(1, 3, 6);
+
+    expect(result.playerFinished).toBe(true);
+    expect(result.extraTurn).toBe(true);
+    expect(game.getCurrentPlayer().id).toBe(1);
+    expect(game.getPieceOwner(1)).toBe(3);
+    expect(game.getInvariantViolations()).toEqual([]);
+  });
+
+  test("with partner play a finished player moves their partner's pieces", () => {
+    const game = startTeamGame([6], { partnerPlay: true });
+    game.piecePositions[1] = [58, 58, 58, 58];
+
+    game.rollDice(1);
+
+    expect(game.getPieceOwner(1)).toBe(3);
+    expect(game.getValidMoves(1, 6)).toEqual([
+      expect.objectContaining({ pieceOwnerId: 3, pieceIndex: 0, to: 27 }),
+      expect.objectContaining({ pieceOwnerId: 3, pieceIndex: 1, to: 27 }),
+      expect.objectContaining({ pieceOwnerId: 3, pieceIndex: 2, to: 27 }),
+      expect.objectContaining({ pieceOwnerId: 3, pieceIndex: 3, to: 27 }),
+    ]);
+
+    const result = game.movePiece(1, 0, 6);
+    expect(result.pieceOwnerId).toBe(3);
+    expect(game.piecePositions[3]).toEqual([27, 0, 0, 0]);
+  });
+});
@@ -0,0 +1,132 @@
+const { resolveRules } = require("../../src/game/rules");
+const { scriptedDice, startGame } = require("../helpers");
+
+// Two-player game with the two-dice rule rolling the given values
+const startTwoDiceGame = (values) =>
+  startGame(2, { rules: { diceCount: 2 }, dice: scriptedDice(values) });
+
+describe("two dice", () => {
+  test("a roll throws both dice and lists the moves for each", () => {
+    const game = startTwoDiceGame([6, 3]);
+    game.piecePositions[1] = [10, 0, 0, 0];
+
+    game.rollDice(1);
+
+    expect(game.lastDiceRoll.dice).toEqual([
+      { value: 6, nonce: 0, used: false },
+      { value: 3, nonce: 1, used: false },
+    ]);
+    expect(game.getPendingDice(1)).toEqual([
+      { dieIndex: 0, value: 6 },
+      { dieIndex: 1, value: 3 },
+    ]);
+    expect(
+      game.getValidMoves(1).map(({ pieceIndex, dieIndex, to }) => ({
+        pieceIndex,
+        dieIndex,
+        to,
+      }))
+    ).toEqual([
+      { pieceIndex: 0, dieIndex: 0, to: 16 },
+      { pieceIndex: 1, dieIndex: 0, to: 1 },
+      { pieceIndex: 2, dieIndex: 0, to: 1 },
+      { pieceIndex: 3, dieIndex: 0, to: 1 },
+      { pieceIndex: 0, dieIndex: 1, to: 13 },
+    ]);
+  });
+
+  test("each die is spent on its own move within the turn", () => {
+    const game = startTwoDiceGame([4, 3]);
+    game.piecePositions[1] = [10, 20, 0, 0];
+    game.rollDice(1);
+
+    const first = game.movePiece(1, 0, 4, 0);
+    expect(first).toMatchObject({ extraTurn: false, gameEnded: false });
+    expect(first.remainingDice).toEqual([{ dieIndex: 1, value: 3 }]);
+    expect(game.getCurrentPlayer().id).toBe(1);
+    expect(() => game.movePiece(1, 1, 4, 0)).toThrow("Invalid dice value");
+
+    game.movePiece(1, 1, 3, 1);
+    expect(game.piecePositions[1]).toEqual([14, 23, 0, 0]);
+    expect(game.lastDiceRoll.used).toBe(true);
+    expect(game.getCurrentPlayer().id).toBe(2);
+  });
+
+  test("a six on either die earns another roll", () => {
+    const game = startTwoDiceGame([3, 6]);
+    game.piecePositions[1] = [10, 0, 0, 0];
+    game.rollDice(1);
+
+    game.movePiece(1, 1, 6, 1);
+    const result = game.movePiece(1, 1, 3, 0);
+
+    expect(result.extraTurn).toBe(true);
+    expect(game.piecePositions[1]).toEqual([10, 4, 0, 0]);
+    expect(game.getCurrentPlayer().id).toBe(1);
+    expect(game.sixStreak).toBe(1);
+  });
+
+  test("a die with no legal move left is dropped", () => {
+    const game = startTwoDiceGame([1, 5]);
+    game.piecePositions[1] = [56, 0, 0, 0];
+    game.rollDice(1);
+
+    const result = game.movePiece(1, 0, 1, 0);
+
+    expect(result.extraTurn).toBe(false);
+    expect(game.lastDiceRoll.used).toBe(true);
+    expect(game.lastDiceRoll.dice[1].used).toBe(false);
+    expect(game.getCurrentPlayer().id).toBe(2);
+  });
+
+  test("with an extra roll earned the unplayable die is dropped", () => {
+    const game = startTwoDiceGame([6, 5]);
+    game.piecePositions[1] = [50, 58, 58, 58];
+    game.rollDice(1);
+
+    const result = game.movePiece(1, 0, 6);
+
+    expect(result).toMatchObject({ extraTurn: true, gameEnded: false });
+    expect(game.lastDiceRoll.used).toBe(true);
+    expect(game.getCurrentPlayer().id).toBe(1);
+    expect(game.hasPendingRoll(1)).toBe(false);
+  });
+
+  test("doubles list each move once and pay with either die", () => {
+    const game = startTwoDiceGame([3, 3]);
+    game.piecePositions[1] = [10, 0, 0, 0];
+    game.rollDice(1);
+
+    expect(game.getPendingDice(1)).toEqual([{ dieIndex: 0, value: 3 }]);
+    expect(game.getValidMoves(1)).toHaveLength(1);
+
+    game.movePiece(1, 0, 3);
+    expect(game.getPendingDice(1)).toEqual([{ dieIndex: 1, value: 3 }]);
+    game.movePiece(1, 0, 3);
+
+    expect(game.piecePositions[1]).toEqual([16, 0, 0, 0]);
+    expect(game.getCurrentPlayer().id).toBe(2);
+  });
+
+  test("only the move made with the second die can be taken back", () => {
+    const game = startTwoDiceGame([4, 3]);
+    game.piecePositions[1] = [10, 20, 0, 0];
+    game.rollDice(1);
+    game.movePiece(1, 0, 4, 0);
+    game.movePiece(1, 1, 3, 1);
+
+    expect(game.getUndoableMove(1)).toMatchObject({
+      pieceIndex: 1,
+      from: 20,
+      to: 23,
+    });
+  });
+
+  test("the rule allows one or two dice", () => {
+    expect(resolveRules({}).diceCount).toBe(1);
+    expect(resolveRules({ diceCount: 2 }).diceCount).toBe(2);
+    expect(() => resolveRules({ diceCount: 3 })).toThrow(
+      "Dice count must be 1 or 2"
+    );
+  });
+});
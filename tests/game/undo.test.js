@@ -0,0 +1,43 @@
+const { scriptedDice, startGame, copyLog } = require("../helpers");
+
+describe("undo", () => {
+  test("an undone move restores the state after its roll", () => {
+    const game = startGame(2, { dice: scriptedDice([6, 4]) });
+    game.rollDice(1);
+    const rolled = copyLog(game.getEngineState());
+
+    game.movePiece(1, 0, 6);
+    expect(game.getUndoableMove(1)).toMatchObject({ from: 0, to: 1 });
+    game.undoLastMove(1);
+
+    const state = copyLog(game.getEngineState());
+    ["piecePositions", "scores", "currentTurn", "lastDiceRoll"].forEach(
+      (field) => expect(state[field]).toEqual(rolled[field])
+    );
+    expect(state.moveHistory.pop()).toMatchObject({
+      type: "move",
+      reverted: true,
+    });
+    expect(game.getPlayerStats(1).totalMoves).toBe(0);
+  });
+
+  test("a move cannot be taken back once the next roll is made", () => {
+    const game = startGame(2, { dice: scriptedDice([6, 4]) });
+    game.rollDice(1);
+    game.movePiece(1, 0, 6);
+    game.rollDice(1);
+
+    expect(game.getUndoableMove(1)).toBeNull();
+    expect(() => game.undoLastMove(1)).toThrow("No move to undo");
+  });
+
+  test("only the player who moved can take the move back", () => {
+    const game = startGame(2, { dice: scriptedDice([3]) });
+    game.piecePositions[1] = [5, 0, 0, 0];
+    game.rollDice(1);
+    game.movePiece(1, 0, 3);
+
+    expect(game.getUndoableMove(2)).toBeNull();
+    expect(game.getUndoableMove(1)).toMatchObject({ from: 5, to: 8 });
+  });
+});
@@ -0,0 +1,169 @@
+const LudoGame = require("../src/game/LudoGame");
+const Game = require("../src/models/Game");
+const { SeededDice, hashSeed } = require("../src/game/dice");
+const { chooseMove } = require("../src/game/bot");
+
+// Dice source that rolls the given values in order (then 1s)
+const scriptedDice = (values = []) => {
+  const queue = [...values];
+  let nonce = 0;
+  return {
+    roll: () => ({
+      value: queue.length > 0 ? queue.shift() : 1,
+      nonce: nonce++,
+    }),
+    getCommitment: () => null,
+    getPublicInfo: () => ({ type: "scripted", nonce }),
+    getState: () => ({ type: "scripted", nonce }),
+  };
+};
+
+// Players with IDs 1..count seated in order
+const makePlayers = (count) =>
+  Array.from({ length: count }, (_, seat) => ({
+    id: seat + 1,
+    username: `player${seat + 1}`,
+    position: seat,
+  }));
+
+// Start a game with seeded dice
+const startGame = (count, options = {}, seed = "test-seed") => {
+  const game = new LudoGame(1, makePlayers(count), {
+    dice: new SeededDice(seed),
+    ...options,
+  });
+  game.startGame();
+  return game;
+};
+
+// Play a started game with medium bots, calling onStep after every action
+// (stops after maxSteps actions or when the game ends)
+const playGame = (game, { maxSteps = 5000, onStep = () => {} } = {}) => {
+  for (let step = 0; step < maxSteps && game.gameStatus === "playing"; step++) {
+    const playerId = game.getCurrentPlayer().id;
+    if (!game.hasPendingRoll(playerId)) {
+      game.rollDice(playerId);
+    } else {
+      const move = chooseMove(
+        game,
+        playerId,
+        game.getValidMoves(playerId),
+        "medium"
+      );
+      game.movePiece(playerId, move.pieceIndex, move.diceValue, move.dieIndex);
+    }
+    onStep(game, step);
+  }
+  return game;
+};
+
+// Games whose logs the integrity tests replay: team play, partner play, a
+// player resigning (resign.playerId leaves before action resign.step), and
+// handicaps with an earlier seat resigning
+const SCENARIOS = {
+  classic: { options: {} },
+  team: { options: { teamMode: true } },
+  partner_play: { options: { teamMode: true, partnerPlay: true } },
+  team_resign: {
+    options: { teamMode: true },
+    resign: { step: 150, playerId: 3 },
+  },
+  resign: { options: {}, resign: { step: 150, playerId: 2 } },
+  handicaps: {
+    options: {
+      handicaps: [
+        { seat: 1, headStart: [1, 14], extraRolls: 2, immunitySquares: [3, 4] },
+        { seat: 3, extraRolls: 3 },
+      ],
+    },
+    resign: { step: 100, playerId: 1 },
+  },
+};
+
+// Play a scenario game on four seats (see playGame)
+const playScenario = (name, seed, { maxSteps, onStep = () => {} } = {}) => {
+  const { options, resign } = SCENARIOS[name];
+  return playGame(startGame(4, options, seed), {
+    maxSteps,
+    onStep: (game, step) => {
+      if (resign && step === resign.step) {
+        game.removePlayer(resign.playerId);
+        game.finishIfDecided();
+      }
+      onStep(game, step);
+    },
+  });
+};
+
+// Declare a describe block per scenario (the title gets its name as %s)
+const describeScenarios = (title, fn) =>
+  describe.each(Object.keys(SCENARIOS))(title, fn);
+
+// Clock for GameService whose timers only fire when a test advances it
+const fakeClock = () => {
+  let now = 0;
+  let nextHandle = 1;
+  const timers = new Map(); // handle -> { at, fn, everyMs }
+
+  const schedule = (fn, ms, everyMs) => {
+    const handle = nextHandle++;
+    timers.set(handle, { at: now + ms, fn, everyMs });
+    return handle;
+  };
+
+  return {
+    now: () => now,
+    setTimeout: (fn, ms) => schedule(fn, ms, null),
+    clearTimeout: (handle) => timers.delete(handle),
+    setInterval: (fn, ms) => schedule(fn, ms, ms),
+    clearInterval: (handle) => timers.delete(handle),
+
+    // Move time forward, running (and awaiting) each timer as it falls due
+    advance: async (ms) => {
+      const until = now + ms;
+      for (;;) {
+        const due = [...timers]
+          .filter(([, timer]) => timer.at <= until)
+          .sort(([, a], [, b]) => a.at - b.at)[0];
+        if (!due) break;
+
+        const [handle, timer] = due;
+        now = timer.at;
+        if (timer.everyMs) {
+          timer.at += timer.everyMs;
+        } else {
+          timers.delete(handle);
+        }
+        await timer.fn();
+      }
+      now = until;
+    },
+  };
+};
+
+// Copy an event log (or a state) the way it comes back from the database
+const copyLog = (events) => JSON.parse(JSON.stringify(events));
+
+// Serve a games row (ID 7) with a saved event log from Game.findById
+const mockSavedGame = (events, { status = "playing", seed = null } = {}) =>
+  jest.spyOn(Game, "findById").mockResolvedValue({
+    id: 7,
+    status,
+    dice_seed: seed,
+    dice_commitment: seed && hashSeed(seed),
+    getEvents: async () => copyLog(events),
+    getPlayers: async () => [],
+  });
+
+module.exports = {
+  scriptedDice,
+  makePlayers,
+  startGame,
+  playGame,
+  SCENARIOS,
+  playScenario,
+  describeScenarios,
+  fakeClock,
+  copyLog,
+  mockSavedGame,
+};
@@ -0,0 +1,53 @@
+const { DEFAULT_RULES } = require("../../src/game/rules");
+const {
+  parseArgs,
+  runSimulation,
+  toCsv,
+} = require("../../src/scripts/simulate");
+
+describe("simulation CLI", () => {
+  test("arguments fall back to the defaults", () => {
+    expect(parseArgs(["--games=20", "--strategies=easy,hard"])).toMatchObject({
+      games: 20,
+      players: 4,
+      board: "classic",
+      strategies: ["easy", "hard"],
+      rules: DEFAULT_RULES,
+      format: "json",
+    });
+  });
+
+  test.each([
+    [["--turbo=1"], "Unknown argument: --turbo=1"],
+    [["--players=5"], "Players must be between 2 and 4"],
+    [["--strategies=genius"], "Unknown strategy: genius"],
+    [["--format=xml"], "Format must be json or csv"],
+    [['--rules={"exitOn":"five"}'], "Invalid game rules"],
+  ])("%j is rejected", (argv, message) => {
+    expect(() => parseArgs(argv)).toThrow(message);
+  });
+
+  test("a seeded run reports the same balance metrics every time", () => {
+    const options = parseArgs([
+      "--games=6",
+      "--players=2",
+      "--strategies=easy,medium",
+      "--seed=balance",
+    ]);
+
+    const report = runSimulation(options);
+
+    expect(report.completedGames).toBe(6);
+    expect(
+      report.winDistribution.easy.wins + report.winDistribution.medium.wins
+    ).toBe(6);
+    expect(report.firstPlayerAdvantage.expectedWinRate).toBe(0.5);
+    expect(runSimulation(options)).toEqual(report);
+  });
+
+  test("CSV reports have one metric per row", () => {
+    const csv = toCsv({ completedGames: 3, captures: { perGame: 1.5 } });
+
+    expect(csv).toBe("metric,value\ncompletedGames,3\ncaptures.perGame,1.5\n");
+  });
+});
@@ -0,0 +1,54 @@
+const Game = require("../../src/models/Game");
+const GameService = require("../../src/services/GameService");
+const { playScenario, mockSavedGame } = require("../helpers");
+
+describe("game state for viewers", () => {
+  let service;
+
+  beforeEach(() => {
+    service = new GameService();
+    service.cacheGameState = async () => {};
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("a finished game is replayed from its log without becoming active", async () => {
+    const game = playScenario("team", "finished-log");
+    expect(game.gameStatus).toBe("finished");
+    mockSavedGame(game.events, { status: "finished", seed: "finished-log" });
+    const row = await Game.findById(7);
+
+    const state = await service.getGameStateForPlayer(7, 1);
+
+    expect(state.gameStatus).toBe("finished");
+    expect(state.piecePositions).toEqual(game.piecePositions);
+    expect(state.winnerId).toBe(game.winnerId);
+    expect(state.dice).toMatchObject({
+      commitment: row.dice_commitment,
+      seed: row.dice_seed,
+    });
+    expect(state.dice.nonce).toBe(game.dice.nonce);
+    expect(service.activeGames.size).toBe(0);
+    expect(service.playerGameMap.size).toBe(0);
+  });
+
+  test("a finished game without a saved log has no state", async () => {
+    mockSavedGame([], { status: "finished" });
+
+    expect(await service.getGameStateForPlayer(7, 1)).toBeNull();
+    expect(service.activeGames.size).toBe(0);
+  });
+
+  test("a finished game still in memory is served from memory", async () => {
+    const game = playScenario("resign", "finished-log");
+    service.activeGames.set(7, game);
+    const findById = jest.spyOn(Game, "findById");
+
+    const state = await service.getGameStateForPlayer(7, 1);
+
+    expect(state.finishingOrder).toEqual(game.finishingOrder);
+    expect(findById).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,130 @@
+const Game = require("../../src/models/Game");
+const User = require("../../src/models/User");
+const GameService = require("../../src/services/GameService");
+const { chooseMove } = require("../../src/game/bot");
+const { EVENTS } = require("../../src/game/events");
+const {
+  startGame,
+  SCENARIOS,
+  playScenario,
+  describeScenarios,
+  fakeClock,
+  copyLog,
+  mockSavedGame,
+} = require("../helpers");
+
+describe("game integrity", () => {
+  let service;
+  let broadcasts;
+
+  beforeEach(() => {
+    service = new GameService({ clock: fakeClock() });
+    service.saveMove = async () => {};
+    service.cacheGameState = async () => {};
+    broadcasts = [];
+    service.setBroadcaster((gameId, event, data) =>
+      broadcasts.push({ event, data })
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describeScenarios("%s games", (name) => {
+    test("played through the service are never quarantined", async () => {
+      jest.spyOn(Game, "findById").mockResolvedValue({
+        recordPlayerResult: async () => {},
+      });
+      jest.spyOn(User, "findById").mockResolvedValue({
+        updateGameStats: async () => {},
+      });
+
+      const { options, resign } = SCENARIOS[name];
+      const game = startGame(4, options, "service-log");
+      service.activeGames.set(7, game);
+
+      for (let step = 0; step < 400; step++) {
+        const playerId = game.getCurrentPlayer().id;
+        if (resign && step === resign.step) {
+          await service.resignPlayer(7, resign.playerId);
+        } else if (!game.hasPendingRoll(playerId)) {
+          await service.rollDice(7, playerId);
+        } else {
+          const moves = game.getValidMoves(playerId);
+          const move = chooseMove(game, playerId, moves, "medium");
+          await service.movePiece(
+            7,
+            playerId,
+            move.pieceIndex,
+            move.diceValue,
+            move.dieIndex
+          );
+        }
+        if (game.gameStatus !== "playing") break;
+      }
+
+      expect(service.quarantinedGames.size).toBe(0);
+      expect(game.getInvariantViolations()).toEqual([]);
+    });
+
+    test("rebuild from their log into the game they came from", async () => {
+      const game = playScenario(name, "rebuild-log", { maxSteps: 300 });
+      mockSavedGame(game.events, { seed: "rebuild-log" });
+
+      const rebuilt = await service.rebuildGameFromEvents(7);
+
+      expect(service.quarantinedGames.size).toBe(0);
+      expect(copyLog(rebuilt.getEngineState())).toEqual(
+        copyLog(game.getEngineState())
+      );
+    });
+  });
+
+  test("a log that replays into a broken state quarantines the game", async () => {
+    const game = playScenario("resign", "broken-log", { maxSteps: 100 });
+    const events = copyLog(game.events);
+    const move = events.findLast((event) => event.type === EVENTS.PIECE_MOVED);
+    move.to = 99;
+    mockSavedGame(events, { seed: "broken-log" });
+
+    expect(await service.rebuildGameFromEvents(7)).toBeNull();
+    expect(service.quarantinedGames.get(7)).toMatchObject({
+      action: "rebuild",
+      violations: [expect.objectContaining({ code: "piece_positions" })],
+    });
+    await expect(service.getGameInstance(7)).rejects.toThrow("quarantined");
+  });
+
+  test("a state edited outside the reducer is repaired from the log", async () => {
+    const game = playScenario("team", "repair-log", { maxSteps: 200 });
+    const state = copyLog(game.getEngineState());
+    service.activeGames.set(7, game);
+
+    game.piecePositions[2] = [99, 0, 0, 0];
+    await service.verifyGameState(7, game, "move");
+
+    expect(copyLog(game.getEngineState())).toEqual(state);
+    expect(service.quarantinedGames.size).toBe(0);
+    expect(service.activeGames.get(7)).toBe(game);
+  });
+
+  test("a state the log cannot repair takes the game out of play", async () => {
+    const game = playScenario("partner_play", "repair-log", { maxSteps: 200 });
+    service.activeGames.set(7, game);
+
+    const index = game.events.findLastIndex(
+      (event) => event.type === EVENTS.PIECE_MOVED
+    );
+    game.events[index] = { ...game.events[index], to: 99 };
+    game.piecePositions[2] = [99, 0, 0, 0];
+
+    await expect(service.verifyGameState(7, game, "move")).rejects.toThrow(
+      "quarantined"
+    );
+    expect(service.activeGames.has(7)).toBe(false);
+    expect(broadcasts.map((broadcast) => broadcast.event)).toEqual([
+      "game_quarantined",
+    ]);
+  });
+});
@@ -0,0 +1,58 @@
+const db = require("../../src/config/database");
+const GameService = require("../../src/services/GameService");
+const { scriptedDice, startGame, fakeClock } = require("../helpers");
+
+// Move number and events of a game_moves INSERT
+const savedRow = ([, params]) => ({
+  moveNumber: params[2],
+  events: JSON.parse(params[13]).map((event) => event.type),
+});
+
+describe("saving the move log", () => {
+  let service;
+  let game;
+  let query;
+
+  beforeEach(() => {
+    service = new GameService({ clock: fakeClock() });
+    query = jest.spyOn(db, "query").mockResolvedValue({ rows: [] });
+
+    game = startGame(2, { dice: scriptedDice([3, 4]) });
+    game.piecePositions[1] = [5, 0, 0, 0];
+    service.activeGames.set(3, game);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("each row carries the events logged since the previous one", async () => {
+    await service.saveMove(3, null, { type: "start" });
+    game.rollDice(1);
+    await service.saveMove(3, 1, { type: "roll" });
+
+    expect(query.mock.calls.map(savedRow)).toEqual([
+      { moveNumber: 0, events: ["GameStarted"] },
+      { moveNumber: 1, events: ["DiceRolled"] },
+    ]);
+    expect(game.savedEventCount).toBe(2);
+  });
+
+  test("events of a failed insert are written with the next row", async () => {
+    await service.saveMove(3, null, { type: "start" });
+    query.mockRejectedValueOnce(new Error("database down"));
+    game.rollDice(1);
+
+    await service.saveMove(3, 1, { type: "roll" });
+    expect(game.savedEventCount).toBe(1);
+
+    const move = game.movePiece(1, 0, 3);
+    await service.saveMove(3, 1, move);
+
+    expect(savedRow(query.mock.calls[2])).toEqual({
+      moveNumber: 1,
+      events: ["DiceRolled", "PieceMoved", "TurnPassed"],
+    });
+    expect(game.savedEventCount).toBe(game.events.length);
+  });
+});
@@ -0,0 +1,63 @@
+const GameService = require("../../src/services/GameService");
+const {
+  startGame,
+  playGame,
+  fakeClock,
+  copyLog,
+  mockSavedGame,
+} = require("../helpers");
+
+describe("rebuilding games from their log", () => {
+  let service;
+
+  beforeEach(() => {
+    service = new GameService({ clock: fakeClock() });
+    service.saveMove = async () => {};
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("a saved log rebuilds the game it came from", async () => {
+    const game = playGame(startGame(4, {}, "rebuild-log"), { maxSteps: 300 });
+    mockSavedGame(game.events, { seed: "rebuild-log" });
+
+    const rebuilt = await service.rebuildGameFromEvents(7);
+
+    expect(rebuilt.getEngineState()).toEqual(copyLog(game.getEngineState()));
+    expect(service.activeGames.get(7)).toBe(rebuilt);
+    expect(rebuilt.savedEventCount).toBe(game.events.length);
+
+    // The committed dice go on where the log stopped
+    const playerId = game.getCurrentPlayer().id;
+    if (!game.hasPendingRoll(playerId)) {
+      expect(rebuilt.rollDice(playerId)).toBe(game.rollDice(playerId));
+    }
+  });
+
+  test("a cached snapshot is restored by replaying its events", () => {
+    const game = playGame(startGame(4, { teamMode: true }, "snapshot-log"), {
+      maxSteps: 300,
+    });
+
+    const restored = service.restoreGameFromState(copyLog(game.getSnapshot()));
+
+    expect(restored.getEngineState()).toEqual(copyLog(game.getEngineState()));
+  });
+
+  test("a snapshot without events is not restored", () => {
+    const game = playGame(startGame(2, {}, "snapshot-log"), { maxSteps: 20 });
+    const snapshot = { ...copyLog(game.getSnapshot()), events: [] };
+
+    expect(service.restoreGameFromState(snapshot)).toBeNull();
+  });
+
+  test("only games in progress are rebuilt", async () => {
+    const game = playGame(startGame(2, {}, "finished-log"));
+    mockSavedGame(game.events, { status: "finished" });
+
+    expect(await service.rebuildGameFromEvents(7)).toBeNull();
+    expect(service.activeGames.size).toBe(0);
+  });
+});
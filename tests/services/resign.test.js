@@ -0,0 +1,72 @@
+const Game = require("../../src/models/Game");
+const User = require("../../src/models/User");
+const GameService = require("../../src/services/GameService");
+const { scriptedDice, startGame, fakeClock } = require("../helpers");
+
+describe("resigning", () => {
+  let service;
+  let game;
+  let broadcasts;
+  let results;
+
+  beforeEach(() => {
+    service = new GameService({ clock: fakeClock() });
+    service.saveMove = async () => {};
+    service.cacheGameState = async () => {};
+    broadcasts = [];
+    service.setBroadcaster((gameId, event, data) =>
+      broadcasts.push({ event, data })
+    );
+
+    results = [];
+    jest.spyOn(Game, "findById").mockResolvedValue({
+      recordPlayerResult: async (...args) => results.push(args),
+    });
+    jest.spyOn(User, "findById").mockResolvedValue({
+      updateGameStats: async () => {},
+    });
+
+    game = startGame(3, { dice: scriptedDice([4]) });
+    service.activeGames.set(5, game);
+  });
+
+  afterEach(() => {
+    service.clearTurnTimer(5);
+    jest.restoreAllMocks();
+  });
+
+  test("a resigned player leaves and is recorded as a forfeit in last place", async () => {
+    game.currentTurn = 2;
+
+    await service.resignPlayer(5, 1);
+
+    expect(game.players.map((player) => player.id)).toEqual([2, 3]);
+    expect(game.getCurrentPlayer().id).toBe(3);
+    expect(results).toEqual([[1, "forfeit", 0, 0, 3]]);
+    expect(
+      broadcasts.find((broadcast) => broadcast.event === "player_forfeited")
+        .data
+    ).toEqual({ playerId: 1, reason: "resigned" });
+  });
+
+  test("the last player left wins", async () => {
+    const endGame = jest.spyOn(service, "endGame").mockResolvedValue();
+
+    await service.resignPlayer(5, 1);
+    await service.resignPlayer(5, 2);
+
+    expect(endGame).toHaveBeenCalledWith(5, 3);
+    expect(game.winnerId).toBe(3);
+  });
+
+  test("only seated players of a game in play can resign", async () => {
+    await expect(service.resignPlayer(5, 9)).rejects.toThrow(
+      "You are not in this game"
+    );
+
+    game.gameStatus = "finished";
+    await expect(service.resignPlayer(5, 1)).rejects.toThrow(
+      "Game is not in playing status"
+    );
+  });
+});
@@ -0,0 +1,159 @@
+const config = require("../../src/config/app");
+const GameService = require("../../src/services/GameService");
+const { scriptedDice, startGame, fakeClock } = require("../helpers");
+
+describe("turn timers", () => {
+  const { turnTimeoutMs, turnTimerTickMs, maxTurnTimeouts } = config.game;
+  let clock;
+  let service;
+  let game;
+  let broadcasts;
+
+  beforeEach(() => {
+    clock = fakeClock();
+    service = new GameService({ clock });
+    service.saveMove = async () => {};
+    broadcasts = [];
+    service.setBroadcaster((gameId, event, data) =>
+      broadcasts.push({ event, data })
+    );
+
+    game = startGame(2, { dice: scriptedDice([4]) });
+    game.piecePositions[1] = [5, 0, 0, 0]; // Every roll has a legal move
+    service.activeGames.set(5, game);
+    service.startTurnTimer(5, game);
+  });
+
+  afterEach(() => {
+    config.game.turnTimeoutAction = "auto";
+    service.clearTurnTimer(5);
+    jest.restoreAllMocks();
+  });
+
+  const broadcastsOf = (event) =>
+    broadcasts.filter((broadcast) => broadcast.event === event);
+
+  test("the remaining time is broadcast on every tick", async () => {
+    await clock.advance(turnTimerTickMs);
+
+    expect(broadcastsOf("turn_timer").map(({ data }) => data)).toEqual([
+      {
+        playerId: 1,
+        deadline: turnTimeoutMs,
+        remainingMs: turnTimeoutMs,
+        gameClockMs: null,
+      },
+      {
+        playerId: 1,
+        deadline: turnTimeoutMs,
+        remainingMs: turnTimeoutMs - turnTimerTickMs,
+        gameClockMs: null,
+      },
+    ]);
+  });
+
+  test("an expired turn is rolled and played on the player's behalf", async () => {
+    await clock.advance(turnTimeoutMs);
+
+    expect(game.piecePositions[1]).toEqual([9, 0, 0, 0]);
+    expect(game.turnTimeouts[1]).toBe(1);
+    expect(game.getCurrentPlayer().id).toBe(2);
+    expect(broadcastsOf("player_rolled_dice")[0].data).toMatchObject({
+      playerId: 1,
+      diceValue: 4,
+      auto: true,
+    });
+    expect(broadcastsOf("piece_moved")[0].data.auto).toBe(true);
+    expect(game.turnTimer).toEqual({
+      playerId: 2,
+      startedAt: turnTimeoutMs,
+      deadline: 2 * turnTimeoutMs,
+    });
+  });
+
+  test("a roll left unplayed is played when the turn expires", async () => {
+    await service.rollDice(5, 1);
+
+    await clock.advance(turnTimeoutMs);
+
+    expect(game.piecePositions[1]).toEqual([9, 0, 0, 0]);
+    expect(broadcastsOf("player_rolled_dice")).toEqual([]);
+    expect(game.getCurrentPlayer().id).toBe(2);
+  });
+
+  test("a move before the deadline restarts the clock", async () => {
+    await clock.advance(turnTimeoutMs - 1);
+    await service.rollDice(5, 1);
+    await service.movePiece(5, 1, 0, 4);
+
+    await clock.advance(turnTimeoutMs - 1);
+
+    expect(broadcastsOf("turn_timeout")).toEqual([]);
+    expect(game.turnTimeouts[1]).toBe(0);
+  });
+
+  test("with the skip action an expired turn is passed without a roll", async () => {
+    config.game.turnTimeoutAction = "skip";
+
+    await clock.advance(turnTimeoutMs);
+
+    expect(game.piecePositions[1]).toEqual([5, 0, 0, 0]);
+    expect(game.moveHistory).toEqual([
+      expect.objectContaining({ type: "skip", playerId: 1, reason: "timeout" }),
+    ]);
+    expect(broadcastsOf("turn_passed")[0].data).toMatchObject({
+      playerId: 1,
+      reason: "timeout",
+      nextPlayerId: 2,
+    });
+  });
+
+  test("too many expired turns forfeit the game", async () => {
+    const endGame = jest.spyOn(service, "endGame").mockResolvedValue();
+    game.turnTimeouts[1] = maxTurnTimeouts - 1;
+
+    await clock.advance(turnTimeoutMs);
+
+    expect(game.players.map((player) => player.id)).toEqual([2]);
+    expect(broadcastsOf("player_forfeited")[0].data).toEqual({
+      playerId: 1,
+      reason: "timeout",
+    });
+    expect(endGame).toHaveBeenCalledWith(5, 2);
+    expect(game.winnerId).toBe(2);
+    expect(broadcastsOf("game_ended")[0].data.winner).toBe(2);
+  });
+
+  test("in Quick Ludo the game ends when a game clock runs out", async () => {
+    const endGame = jest.spyOn(service, "endGame").mockResolvedValue();
+    game = startGame(2, { gameMode: "quick" });
+    game.scores = { 1: 10, 2: 30 };
+    game.gameClocks[1] = turnTimerTickMs;
+    service.activeGames.set(5, game);
+    service.startTurnTimer(5, game);
+
+    await clock.advance(turnTimerTickMs);
+
+    expect(game.gameStatus).toBe("finished");
+    expect(game.gameClocks[1]).toBe(0);
+    expect(endGame).toHaveBeenCalledWith(5, 2);
+    expect(broadcastsOf("game_ended")[0].data).toMatchObject({
+      reason: "time",
+      winner: 2,
+      finishingOrder: [2, 1],
+    });
+    expect(broadcastsOf("turn_timeout")).toEqual([]);
+  });
+
+  test("bots play their turn after a short delay", async () => {
+    game.players[0].bot_difficulty = "medium";
+    service.startTurnTimer(5, game);
+
+    await clock.advance(config.game.botMoveDelayMs);
+
+    expect(game.piecePositions[1]).toEqual([9, 0, 0, 0]);
+    expect(broadcastsOf("piece_moved")[0].data.auto).toBe(true);
+    expect(broadcastsOf("turn_timeout")).toEqual([]);
+    expect(game.turnTimeouts[1]).toBe(0);
+  });
+});
@@ -0,0 +1,129 @@
+const config = require("../../src/config/app");
+const Game = require("../../src/models/Game");
+const GameService = require("../../src/services/GameService");
+const { scriptedDice, startGame, fakeClock, copyLog } = require("../helpers");
+
+describe("undo votes", () => {
+  let clock;
+  let service;
+  let game;
+  let broadcasts;
+  let reverted;
+
+  beforeEach(async () => {
+    reverted = [];
+    jest.spyOn(Game, "findById").mockResolvedValue({
+      revertMove: async (rollNonce) => reverted.push(rollNonce),
+    });
+
+    clock = fakeClock();
+    service = new GameService({ clock });
+    service.saveMove = async () => {};
+    broadcasts = [];
+    service.setBroadcaster((gameId, event, data) =>
+      broadcasts.push({ event, data })
+    );
+
+    // Two dice: the 6 brings a piece out, the 3 is still to play
+    game = startGame(2, {
+      rules: { diceCount: 2 },
+      dice: scriptedDice([6, 3]),
+    });
+    service.activeGames.set(9, game);
+
+    await service.rollDice(9, 1);
+    await service.movePiece(9, 1, 0, 6, 0);
+    await service.requestUndo(9, 1);
+  });
+
+  afterEach(() => {
+    service.clearTurnTimer(9);
+    jest.restoreAllMocks();
+  });
+
+  const resolved = () =>
+    broadcasts.find((broadcast) => broadcast.event === "undo_resolved").data;
+
+  test("rolls wait for the vote", async () => {
+    await expect(service.rollDice(9, 1)).rejects.toThrow(
+      "Waiting for the undo vote"
+    );
+  });
+
+  test("moves wait for the vote", async () => {
+    await expect(service.movePiece(9, 1, 0, 3, 1)).rejects.toThrow(
+      "Waiting for the undo vote"
+    );
+    expect(game.piecePositions[1][0]).toBe(1);
+  });
+
+  test("only opponents vote", async () => {
+    await expect(service.voteUndo(9, 1, true)).rejects.toThrow(
+      "You cannot vote on this undo request"
+    );
+  });
+
+  test("an approved vote takes the move back in the engine and the log", async () => {
+    await service.voteUndo(9, 2, true);
+
+    expect(resolved()).toMatchObject({ approved: true, reason: "approved" });
+    expect(game.piecePositions[1][0]).toBe(0);
+    expect(game.hasPendingRoll(1)).toBe(true);
+    expect(reverted).toEqual([game.lastDiceRoll.nonce]);
+  });
+
+  test("a rejected vote keeps the move", async () => {
+    await service.voteUndo(9, 2, false);
+
+    expect(resolved()).toMatchObject({ approved: false, reason: "rejected" });
+    expect(game.piecePositions[1][0]).toBe(1);
+    expect(reverted).toEqual([]);
+  });
+
+  test("a vote nobody answers is rejected when it runs out", async () => {
+    await clock.advance(config.game.undoRequestTimeoutMs);
+
+    expect(resolved()).toMatchObject({ approved: false, reason: "timeout" });
+    expect(game.piecePositions[1][0]).toBe(1);
+    expect(service.undoRequests.size).toBe(0);
+  });
+
+  test("a vote on a move that is no longer the last one is not applied", async () => {
+    game.movePiece(1, 0, 3, 1); // Played around the service
+
+    await service.voteUndo(9, 2, true);
+
+    expect(resolved()).toMatchObject({ approved: false, reason: "stale" });
+    expect(game.piecePositions[1][0]).toBe(4);
+    expect(reverted).toEqual([]);
+  });
+
+  test("a failed revert is not reported as approved", async () => {
+    Game.findById.mockResolvedValue({
+      revertMove: async () => {
+        throw new Error("database down");
+      },
+    });
+    const eventCount = game.events.length;
+    const state = copyLog(game.getEngineState());
+
+    await service.voteUndo(9, 2, true);
+
+    expect(resolved()).toMatchObject({ approved: false, reason: "failed" });
+    expect(game.piecePositions[1][0]).toBe(1);
+    expect(game.events).toHaveLength(eventCount);
+    expect(copyLog(game.getEngineState())).toEqual(state);
+  });
+
+  test("a failed undo leaves the log untouched", async () => {
+    jest.spyOn(game, "undoLastMove").mockImplementation(() => {
+      throw new Error("No move to undo");
+    });
+
+    await service.voteUndo(9, 2, true);
+
+    expect(resolved()).toMatchObject({ approved: false, reason: "failed" });
+    expect(game.piecePositions[1][0]).toBe(1);
+    expect(reverted).toEqual([]);
+  });
+});
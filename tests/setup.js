@@ -0,0 +1,3 @@
+// Tests run without Redis and keep the logger quiet (services log every event)
+process.env.SKIP_REDIS = "true";
+require("../src/utils/logger").silent = true;